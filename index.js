@@ -1,4 +1,4 @@
-const { Client, GatewayIntentBits, SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const { Client, GatewayIntentBits, SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, StringSelectMenuBuilder, AttachmentBuilder } = require('discord.js');
 const { google } = require('googleapis');
 const { Octokit } = require('@octokit/rest');
 const express = require('express');
@@ -8,7 +8,13 @@ const fs = require('fs').promises;
 const path = require('path');
 const settings = require('./settings.json');
 const fetch = require('node-fetch');
-const { format } = require('date-fns-tz');
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { Readable } = require('stream');
+const { pathToFileURL } = require('url');
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { format, formatInTimeZone } = require('date-fns-tz');
 
 // GMT+8 timezone constant
 const GMT8_TIMEZONE = 'Asia/Singapore'; // Singapore is in GMT+8
@@ -23,6 +29,37 @@ function getGMT8Date() {
     return new Date();
 }
 
+// Discord rejects embeds with more than 25 fields or more than 6000 characters of text in total
+const EMBED_MAX_FIELDS = 25;
+const EMBED_MAX_LENGTH = 6000;
+
+// Characters Discord counts towards an embed's total length
+function getEmbedLength(embed) {
+    const data = embed.data;
+    return (data.title || '').length +
+        (data.description || '').length +
+        (data.footer?.text || '').length +
+        (data.author?.name || '').length +
+        (data.fields || []).reduce((total, field) => total + field.name.length + field.value.length, 0);
+}
+
+// Add fields in order until the next one would break Discord's embed limits, keeping `reserve`
+// characters free for fields added afterwards; returns how many were added
+function addFieldsWithinLimit(embed, fields, reserve = 0) {
+    let length = getEmbedLength(embed);
+    let added = 0;
+    for (const field of fields) {
+        const fieldLength = field.name.length + field.value.length;
+        if ((embed.data.fields || []).length >= EMBED_MAX_FIELDS - (reserve > 0 ? 1 : 0) || length + fieldLength > EMBED_MAX_LENGTH - reserve) {
+            break;
+        }
+        embed.addFields(field);
+        length += fieldLength;
+        added++;
+    }
+    return added;
+}
+
 
 // FaJotform configuration
 const JOTFORM_API_KEY = process.env.JOTFORM_API_KEY;
@@ -32,9 +69,17 @@ const JOTFORM_TEMPLATE_ID = process.env.JOTFORM_TEMPLATE_ID; // Create one reusa
 // Notification channel
 const NOTIFICATION_CHANNEL_ID = '1400401242064162826';
 
+// How agents hand in claim documents: 'jotform', 'portal' or 'discord' (see uploadProviders)
+const UPLOAD_PROVIDER_NAME = (settings.uploads && settings.uploads.provider) || 'jotform';
+
 // Initialize Discord client
 const client = new Client({
-    intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages]
+    intents: [
+        GatewayIntentBits.Guilds,
+        GatewayIntentBits.GuildMessages,
+        // Reading attachments from agents' messages needs the privileged Message Content intent
+        ...(UPLOAD_PROVIDER_NAME === 'discord' ? [GatewayIntentBits.MessageContent] : [])
+    ]
 });
 
 // OAuth configuration
@@ -48,9 +93,8 @@ if (GOOGLE_OAUTH_SECRETS) {
 }
 
 // Initialize services
-let drive, octokit;
+let drive, octokit, storage, documentStore;
 const app = express();
-const upload = multer({ dest: 'uploads/' });
 
 // Session configuration
 app.use(session({
@@ -63,12 +107,84 @@ app.use(session({
     }
 }));
 
-// Store submission data temporarily with unique tokens
-const submissions = new Map();
-const tokenToUserId = new Map(); // Maps tokens to user IDs
+// Map that reports every change so in-progress drafts can be mirrored to storage
+class PersistedMap extends Map {
+    constructor(onChange) {
+        super();
+        this.onChange = onChange;
+        this.touchedAt = new Map(); // Last time each key was written, used for draft expiry
+    }
+
+    set(key, value) {
+        super.set(key, value);
+        this.touchedAt?.set(key, Date.now());
+        this.onChange?.();
+        return this;
+    }
+
+    delete(key) {
+        const deleted = super.delete(key);
+        this.touchedAt?.delete(key);
+        this.onChange?.();
+        return deleted;
+    }
+}
+
+// Store submission drafts keyed by draft ID, so one agent can prepare several claims at once
+// (mirrored to drafts.json, see saveDrafts)
+const submissions = new PersistedMap(() => scheduleDraftSave());
+const activeDrafts = new PersistedMap(() => scheduleDraftSave()); // Maps user IDs to the draft the wizard is editing
+const tokenToDraftId = new PersistedMap(() => scheduleDraftSave()); // Maps session tokens to draft IDs
+const pendingDraftNames = new Map(); // Names given to /fast-comm-submission, applied when the first form is saved
+
+// Drafts untouched for longer than this are dropped, along with their session tokens
+const DRAFT_TTL_MS = ((settings.drafts && settings.drafts.ttlHours) || 72) * 60 * 60 * 1000;
+const DRAFT_SAVE_DELAY_MS = 10 * 1000; // Batch rapid wizard steps into one write
+const GITHUB_DRAFT_SAVE_DELAY_MS = 5 * 60 * 1000; // Every GitHub write is a commit; shutdown still flushes
+const DRAFT_SWEEP_INTERVAL_MS = 60 * 1000;
+const MAX_DRAFTS_PER_USER = (settings.drafts && settings.drafts.maxPerUser) || 10;
+
+// Consultant slots per claim and the split total they must add up to
+const MAX_AGENTS = (settings.validation && settings.validation.maxAgents) || 4;
+const REQUIRED_AGENT_PERCENTAGE_TOTAL = (settings.validation && settings.validation.requiredAgentPercentageTotal) || 100;
+const CONSULTANTS_PER_REVIEW_PAGE = 4;
+// Back buttons the consultant review can offer, keyed by the customId they return to
+const CONSULTANT_REVIEW_BACK_BUTTONS = {
+    back_to_confirmation: '← Back to Confirmation',
+    show_customer_form: '← Back to Customer Form'
+};
+
+// Limits for documents uploaded through the portal or as Discord attachments
+const UPLOAD_PORTAL_SETTINGS = settings.uploadPortal || {};
+const UPLOAD_LINK_TTL_MS = (UPLOAD_PORTAL_SETTINGS.linkTtlHours || 24) * 60 * 60 * 1000;
+const UPLOAD_MAX_FILE_MB = UPLOAD_PORTAL_SETTINGS.maxFileSizeMb || 10;
+const UPLOAD_MAX_FILES_PER_DOCUMENT = UPLOAD_PORTAL_SETTINGS.maxFilesPerDocument || 5;
+
+// Document types a claim can require, and which of them each buyer type and project needs.
+// A type is a label, or { label, folder } where folder names its subfolder and filename prefix.
+const DOCUMENT_SETTINGS = settings.documents || {};
+const DOCUMENT_TYPES = Object.fromEntries(Object.entries(DOCUMENT_SETTINGS.types || {
+    booking_form: 'Booking Form',
+    spa: 'SPA Document',
+    la: 'LO Document'
+}).map(([key, type]) => {
+    const label = typeof type === 'string' ? type : type.label;
+    return [key, { key, label, folder: (typeof type === 'object' && type.folder) || label }];
+}));
+const DEFAULT_REQUIRED_DOCUMENTS = Object.keys(DOCUMENT_TYPES);
+// Files that no configured Jotform question claims
+const UNCLASSIFIED_DOCUMENT = { key: 'other', label: 'Other Documents', folder: 'Other' };
+
+let draftSaveTimer = null;
+let lastSavedDraftSnapshot = null;
+const sweptDraftSnapshots = new Map(); // Draft ID -> contents seen by the last sweep, to spot in-place edits
+// Drafts turned into claims are removed at once; this short-lived record lets "Check Upload Status",
+// old portal links and old wizard buttons still report the outcome. Maps draft IDs to
+// { userId, sessionToken, claim_number, ... } and is saved with the drafts so it survives a restart.
+const completedDrafts = new PersistedMap(() => scheduleDraftSave());
 
 // Store fast commission percentages per project (default 50%)
-const fastCommissionPercentages = new Map(); // Maps project names to percentages
+const fastCommissionPercentages = new Map(); // Maps project names to their rate history, oldest first
 
 // Store processing confirmation state to prevent duplicate actions
 const processingConfirmations = new Map();
@@ -76,82 +192,389 @@ const processedSubmissions = new Set(); // Track submission IDs that have been p
 const processingSubmissions = new Set(); // Track submission IDs currently being processed
 const processedTokens = new Set(); // Track session tokens that have been processed
 const notificationsSent = new Set(); // Track notifications sent to prevent duplicate notifications
-const userFolderCache = new Map(); // Cache folder IDs for each user submission to prevent duplicate folders
+const pendingBulkDeletes = new Map(); // Maps bulk delete confirmation tokens to { claimNumbers, createdAt }
+const BULK_DELETE_TTL_MS = 10 * 60 * 1000; // A preview older than this must be run again before it can be confirmed
+const claimSearches = new Map(); // Maps search tokens to the filters behind a paginated admin search
+const CLAIM_SEARCH_PAGE_SIZE = 10;
+const CLAIM_SEARCH_TTL_MS = 60 * 60 * 1000;
+
+const DEFAULT_FAST_COMMISSION_PERCENTAGE = 50;
 
-// Load fast commission percentages from GitHub backup
+// Load fast commission rate histories from the configured storage backend
 async function loadFastCommissionPercentages() {
     try {
-        const { data } = await octokit.rest.repos.getContent({
-            owner: settings.github.owner,
-            repo: settings.github.repo,
-            path: `${settings.github.backupPath}/fast_commission_settings.json`
-        });
+        const percentageData = await storage.read('fast_commission_settings.json');
 
-        const content = Buffer.from(data.content, 'base64').toString();
-        const percentageData = JSON.parse(content);
+        if (!percentageData) {
+            console.log(`No existing fast commission settings found in ${storage.name} storage, starting fresh`);
+            return;
+        }
 
-        // Load percentages into memory
-        for (const [projectName, percentage] of Object.entries(percentageData)) {
-            fastCommissionPercentages.set(projectName.toLowerCase(), percentage);
+        // Load histories into memory; older files hold a bare percentage, which applied from the start
+        for (const [projectName, value] of Object.entries(percentageData)) {
+            const history = Array.isArray(value) ?
+                value :
+                [{ percentage: value, effective_from: null, set_by: null, set_by_username: null, set_at: null }];
+            fastCommissionPercentages.set(projectName.toLowerCase(), sortRateHistory(history));
         }
 
-        console.log(`✅ Loaded ${fastCommissionPercentages.size} fast commission percentage settings from GitHub`);
+        console.log(`✅ Loaded ${fastCommissionPercentages.size} fast commission percentage settings from ${storage.name} storage`);
     } catch (error) {
-        if (error.status === 404) {
-            console.log('No existing fast commission settings found in GitHub, starting fresh');
-        } else {
-            console.log('Error loading fast commission percentages from GitHub:', error.message);
-        }
+        console.log(`Error loading fast commission percentages from ${storage.name} storage:`, error.message);
     }
 }
 
-// Save fast commission percentage to GitHub backup
-async function saveFastCommissionPercentage(projectName, percentage) {
+// Order rate entries by effective date; entries without one (legacy) always come first
+function sortRateHistory(history) {
+    return history.slice().sort((a, b) => (a.effective_from || '').localeCompare(b.effective_from || ''));
+}
+
+// Save a fast commission rate change, effective from the given date, to the configured storage backend
+async function saveFastCommissionPercentage(projectName, percentage, actor, effectiveFrom = new Date()) {
     try {
-        // Update in-memory map
-        fastCommissionPercentages.set(projectName.toLowerCase(), percentage);
+        const projectKey = projectName.toLowerCase();
+        const previousPercentage = getFastCommissionPercentage(projectName, effectiveFrom);
+
+        // Update in-memory history
+        const history = fastCommissionPercentages.get(projectKey) || [];
+        history.push({
+            percentage,
+            effective_from: effectiveFrom.toISOString(),
+            set_by: actor ? actor.id : null,
+            set_by_username: actor ? actor.username : null,
+            set_at: new Date().toISOString()
+        });
+        fastCommissionPercentages.set(projectKey, sortRateHistory(history));
 
         // Convert Map to plain object for JSON storage
         const percentageData = {};
-        for (const [project, percent] of fastCommissionPercentages.entries()) {
-            percentageData[project] = percent;
+        for (const [project, projectHistory] of fastCommissionPercentages.entries()) {
+            percentageData[project] = projectHistory;
         }
 
-        const content = Buffer.from(JSON.stringify(percentageData, null, 2)).toString('base64');
+        await storage.write(
+            'fast_commission_settings.json',
+            percentageData,
+            `Update fast commission percentage for ${projectName}: ${percentage}% from ${formatGMT8DateString(effectiveFrom)} - ${new Date().toISOString()}`
+        );
 
-        // Try to get existing file to get SHA
-        let sha;
-        try {
-            const { data: existing } = await octokit.rest.repos.getContent({
-                owner: settings.github.owner,
-                repo: settings.github.repo,
-                path: `${settings.github.backupPath}/fast_commission_settings.json`
-            });
-            sha = existing.sha;
-        } catch (error) {
-            // File doesn't exist, will create new
+        console.log(`✅ Saved fast commission percentage for ${projectName}: ${percentage}% to ${storage.name} storage`);
+        await recordAudit(actor, 'fast_commission_changed', null,
+            { project_name: projectName, percentage: previousPercentage },
+            { project_name: projectName, percentage, effective_from: effectiveFrom.toISOString() });
+        return true;
+    } catch (error) {
+        console.error(`Error saving fast commission percentage to ${storage.name} storage:`, error);
+        return false;
+    }
+}
+
+// Get the fast commission percentage that applied to a project at a point in time (default 50%)
+function getFastCommissionPercentage(projectName, atDate = new Date()) {
+    const history = fastCommissionPercentages.get(String(projectName || '').toLowerCase()) || [];
+    const at = atDate.toISOString();
+    const applicable = history.filter(entry => !entry.effective_from || entry.effective_from <= at);
+    return applicable.length > 0 ? applicable[applicable.length - 1].percentage : DEFAULT_FAST_COMMISSION_PERCENTAGE;
+}
+
+// Fast commission percentage for a claim: its snapshot if it has one, otherwise the rate on its submission date
+function getClaimFastCommissionPercentage(claim) {
+    if (claim.fast_commission_percentage !== undefined) {
+        return claim.fast_commission_percentage;
+    }
+    return getFastCommissionPercentage(claim.project_name, claim.submitted_at ? new Date(claim.submitted_at) : new Date());
+}
+
+// Project registry: canonical project names with developer, default commission rate and active flag
+const projectRegistry = new Map(); // Maps normalized canonical names to project entries
+
+// Load the project registry from the configured storage backend
+async function loadProjectRegistry() {
+    try {
+        const projects = (await storage.read('projects.json')) || [];
+        projectRegistry.clear();
+        for (const project of projects) {
+            projectRegistry.set(normalizeForMatch(project.name), project);
         }
+        console.log(`✅ Loaded ${projectRegistry.size} registered project(s) from ${storage.name} storage`);
+    } catch (error) {
+        console.log(`Error loading project registry from ${storage.name} storage:`, error.message);
+    }
+}
 
-        await octokit.rest.repos.createOrUpdateFileContents({
-            owner: settings.github.owner,
-            repo: settings.github.repo,
-            path: `${settings.github.backupPath}/fast_commission_settings.json`,
-            message: `Update fast commission percentage for ${projectName}: ${percentage}% - ${new Date().toISOString()}`,
-            content: content,
-            sha: sha
-        });
+// Find a registered project by canonical name or alias, ignoring case, spacing and punctuation
+function findProject(name) {
+    const wanted = normalizeForMatch(name);
+    if (!wanted) {
+        return null;
+    }
+    return projectRegistry.get(wanted) ||
+        Array.from(projectRegistry.values()).find(project =>
+            (project.aliases || []).some(alias => normalizeForMatch(alias) === wanted)
+        ) || null;
+}
 
-        console.log(`✅ Saved fast commission percentage for ${projectName}: ${percentage}% to GitHub`);
-        return true;
+// Registered projects agents can currently claim against, sorted by name
+function getActiveProjects() {
+    return Array.from(projectRegistry.values())
+        .filter(project => project.active)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Create or update a registry entry; only the given fields change on update. Returns { project, created }
+async function saveProject(name, changes, actor) {
+    const existing = findProject(name);
+
+    // An alias may only ever resolve to one project
+    for (const alias of changes.aliases || []) {
+        const wanted = normalizeForMatch(alias);
+        const other = Array.from(projectRegistry.values()).find(project => project !== existing && (
+            normalizeForMatch(project.name) === wanted ||
+            (project.aliases || []).some(otherAlias => normalizeForMatch(otherAlias) === wanted)
+        ));
+        if (other) {
+            throw new Error(`Alias "${alias}" already refers to project ${other.name}.`);
+        }
+    }
+
+    const before = existing ? { ...existing } : null;
+    const project = existing || {
+        name: name.trim(),
+        developer: null,
+        default_commission_rate: null,
+        aliases: [],
+        active: true,
+        created_at: new Date().toISOString()
+    };
+
+    for (const [field, value] of Object.entries(changes)) {
+        if (value !== null && value !== undefined) {
+            project[field] = value;
+        }
+    }
+    project.updated_at = new Date().toISOString();
+    project.updated_by = actor.id;
+
+    projectRegistry.set(normalizeForMatch(project.name), project);
+    await storage.write('projects.json', Array.from(projectRegistry.values()), `${existing ? 'Update' : 'Add'} project ${project.name}`);
+    await recordAudit(actor, existing ? 'project_updated' : 'project_created', null, before, { ...project });
+
+    return { project, created: !existing };
+}
+
+// Consultant directory: agent code → name → Discord user → team leader
+const consultantDirectory = new Map(); // Maps upper-cased agent codes to consultant entries
+
+function normalizeAgentCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+// Load the consultant directory from the configured storage backend
+async function loadConsultantDirectory() {
+    try {
+        const consultants = (await storage.read('consultants.json')) || [];
+        consultantDirectory.clear();
+        for (const consultant of consultants) {
+            consultantDirectory.set(normalizeAgentCode(consultant.code), consultant);
+        }
+        console.log(`✅ Loaded ${consultantDirectory.size} consultant(s) from ${storage.name} storage`);
     } catch (error) {
-        console.error('Error saving fast commission percentage to GitHub:', error);
-        return false;
+        console.log(`Error loading consultant directory from ${storage.name} storage:`, error.message);
+    }
+}
+
+function findConsultant(code) {
+    return consultantDirectory.get(normalizeAgentCode(code)) || null;
+}
+
+// Create or update a consultant; only the given fields change on update. Returns { consultant, created }
+async function saveConsultant(code, changes, actor) {
+    const agentCode = normalizeAgentCode(code);
+    const existing = findConsultant(agentCode);
+
+    if (changes.team_leader_code) {
+        changes.team_leader_code = normalizeAgentCode(changes.team_leader_code);
+        if (changes.team_leader_code === agentCode) {
+            throw new Error('A consultant cannot be their own team leader.');
+        }
+        if (!findConsultant(changes.team_leader_code)) {
+            throw new Error(`Team leader ${changes.team_leader_code} is not in the consultant directory.`);
+        }
+        if (getLeaderChain(changes.team_leader_code).some(leader => leader.code === agentCode)) {
+            throw new Error(`${changes.team_leader_code} already reports to ${agentCode}; this would make a reporting loop.`);
+        }
+    }
+    if (changes.tier) {
+        changes.tier = changes.tier.trim().toLowerCase();
+    }
+    if (!existing && !changes.name) {
+        throw new Error('New consultants need a consultant_name.');
+    }
+
+    const before = existing ? { ...existing } : null;
+    const consultant = existing || {
+        code: agentCode,
+        name: null,
+        discord_user_id: null,
+        team_leader_code: null,
+        tier: null,
+        active: true,
+        created_at: new Date().toISOString()
+    };
+
+    for (const [field, value] of Object.entries(changes)) {
+        if (value !== null && value !== undefined) {
+            consultant[field] = value;
+        }
+    }
+    consultant.updated_at = new Date().toISOString();
+    consultant.updated_by = actor.id;
+
+    consultantDirectory.set(agentCode, consultant);
+    await storage.write('consultants.json', Array.from(consultantDirectory.values()), `${existing ? 'Update' : 'Add'} consultant ${agentCode}`);
+    await recordAudit(actor, existing ? 'consultant_updated' : 'consultant_created', null,
+        before && maskConsultantForAudit(before), maskConsultantForAudit(consultant));
+
+    return { consultant, created: !existing };
+}
+
+// Copy of a directory entry safe for the audit log: only the last 4 digits of the bank account are kept
+function maskConsultantForAudit(consultant) {
+    const masked = { ...consultant };
+    if (masked.bank_account_no) {
+        masked.bank_account_no = `****${String(masked.bank_account_no).slice(-4)}`;
+    }
+    return masked;
+}
+
+// Consultants whose directory entry is linked to this Discord user
+function getLinkedConsultants(discordUserId) {
+    return Array.from(consultantDirectory.values()).filter(consultant => consultant.discord_user_id === discordUserId);
+}
+
+// Create the bank details modal for /my-bank-details, pre-filled from the directory
+function createBankDetailsModal(consultant) {
+    const modal = new ModalBuilder()
+        .setCustomId('bank_details_form')
+        .setTitle('Commission Bank Account');
+
+    const components = [
+        new TextInputBuilder()
+            .setCustomId('bank_name')
+            .setLabel('Bank Name')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('e.g. Maybank')
+            .setRequired(true),
+
+        new TextInputBuilder()
+            .setCustomId('bank_account_no')
+            .setLabel('Account Number')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true),
+
+        new TextInputBuilder()
+            .setCustomId('bank_account_holder')
+            .setLabel('Account Holder Name')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+    ];
+
+    if (consultant.bank_name) components[0].setValue(consultant.bank_name);
+    if (consultant.bank_account_no) components[1].setValue(consultant.bank_account_no);
+    components[2].setValue(consultant.bank_account_holder || consultant.name);
+
+    components.forEach(component => {
+        modal.addComponents(new ActionRowBuilder().addComponents(component));
+    });
+
+    return modal;
+}
+
+// Deduction defaults; projects can override which figure fast commission is paid on
+const DEFAULT_WITHHOLDING_PERCENTAGE = (settings.deductions && settings.deductions.withholdingPercentage) || 0;
+const DEFAULT_FAST_COMMISSION_BASIS = (settings.deductions && settings.deductions.fastCommissionBasis) || 'gross';
+
+// Whether a project's fast commission is a share of gross or net commission
+function getFastCommissionBasis(projectName) {
+    const project = findProject(projectName);
+    return (project && project.fast_commission_basis) || DEFAULT_FAST_COMMISSION_BASIS;
+}
+
+// Override rules pay leaders a percentage of their team's commission, by level above the consultant and leader tier
+const OVERRIDE_RULES = (settings.overrides && settings.overrides.rules) || [];
+const MAX_OVERRIDE_LEVEL = OVERRIDE_RULES.reduce((max, rule) => Math.max(max, rule.level || 1), 0);
+
+// Walk up the team leader chain starting at the given code (inclusive), stopping at any loop
+function getLeaderChain(code, maxDepth = Infinity) {
+    const chain = [];
+    const visited = new Set();
+    let current = findConsultant(code);
+    while (current && chain.length < maxDepth && !visited.has(current.code)) {
+        visited.add(current.code);
+        chain.push(current);
+        current = current.team_leader_code ? findConsultant(current.team_leader_code) : null;
+    }
+    if (current && visited.has(current.code)) {
+        console.log(`⚠️ Team leader loop detected at ${current.code}`);
+    }
+    return chain;
+}
+
+// Pick the rule for a leader at a level; a rule for the leader's tier wins over a rule for any tier
+function findOverrideRule(level, tier) {
+    const rules = OVERRIDE_RULES.filter(rule => (rule.level || 1) === level);
+    return rules.find(rule => rule.tier && rule.tier === tier) || rules.find(rule => !rule.tier) || null;
+}
+
+// Work out leader overrides for each consultant's commission (in sen) from the current directory
+function calculateOverrideCommissions(agentBreakdowns) {
+    if (OVERRIDE_RULES.length === 0 || consultantDirectory.size === 0) {
+        return [];
+    }
+
+    const overrides = [];
+    for (const agent of agentBreakdowns) {
+        const consultant = findConsultant(agent.code);
+        if (!consultant || !consultant.team_leader_code) {
+            continue;
+        }
+
+        getLeaderChain(consultant.team_leader_code, MAX_OVERRIDE_LEVEL).forEach((leader, index) => {
+            const level = index + 1;
+            const rule = findOverrideRule(level, leader.tier);
+            // Inactive leaders earn nothing but the chain above them still does
+            if (!rule || !leader.active || leader.code === consultant.code) {
+                return;
+            }
+
+            overrides.push({
+                leader_code: leader.code,
+                leader_name: leader.name,
+                leader_discord_user_id: leader.discord_user_id || null,
+                leader_tier: leader.tier || null,
+                level,
+                from_agent_code: agent.code,
+                from_agent_name: agent.name,
+                percentage: rule.percentage,
+                amount_sen: applyPercentageSen(agent.commission_sen, rule.percentage)
+            });
+        });
     }
+    return overrides;
 }
 
-// Get fast commission percentage for a project (default 50%)
-function getFastCommissionPercentage(projectName) {
-    return fastCommissionPercentages.get(projectName.toLowerCase()) || 50;
+// Warning text when a commission rate differs from its project's default, or null
+function getCommissionRateWarning(data) {
+    const project = findProject(data.project_name);
+    if (!project || project.default_commission_rate === null || project.default_commission_rate === undefined) {
+        return null;
+    }
+
+    const rate = parseFloat(data.commission_rate);
+    if (rate === project.default_commission_rate) {
+        return null;
+    }
+    return `Commission rate ${data.commission_rate}% differs from the ${project.name} default of ${project.default_commission_rate}%`;
 }
 
 // Initialize Google Drive with OAuth delegation
@@ -210,866 +633,3419 @@ function initializeGitHub() {
     console.log('GitHub initialized');
 }
 
-// Load backup data from GitHub
-async function loadBackupFromGitHub() {
-    try {
-        const { data } = await octokit.rest.repos.getContent({
-            owner: settings.github.owner,
-            repo: settings.github.repo,
-            path: `${settings.github.backupPath}/submissions.json`
-        });
-
-        const content = Buffer.from(data.content, 'base64').toString();
-        return JSON.parse(content);
-    } catch (error) {
-        console.log('No existing backup found, starting fresh');
-        return [];
-    }
-}
+// GitHub storage adapter - each file is a JSON document in the backup folder of the repo
+function createGitHubStorage() {
+    const filePath = (fileName) => `${settings.github.backupPath}/${fileName}`;
 
-// Save backup to GitHub
-async function saveBackupToGitHub(data) {
-    try {
-        const content = Buffer.from(JSON.stringify(data, null, 2)).toString('base64');
+    return {
+        name: 'github',
 
-        // Retry logic for concurrent updates
-        let retries = 3;
-        while (retries > 0) {
+        async read(fileName) {
             try {
-                // Try to get existing file to get SHA
-                let sha;
+                const { data } = await octokit.rest.repos.getContent({
+                    owner: settings.github.owner,
+                    repo: settings.github.repo,
+                    path: filePath(fileName)
+                });
+
+                const content = Buffer.from(data.content, 'base64').toString();
+                return JSON.parse(content);
+            } catch (error) {
+                if (error.status === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async write(fileName, data, message) {
+            const content = Buffer.from(JSON.stringify(data, null, 2)).toString('base64');
+
+            // Retry logic for concurrent updates
+            let retries = 3;
+            while (retries > 0) {
                 try {
-                    const { data: existing } = await octokit.rest.repos.getContent({
+                    // Try to get existing file to get SHA
+                    let sha;
+                    try {
+                        const { data: existing } = await octokit.rest.repos.getContent({
+                            owner: settings.github.owner,
+                            repo: settings.github.repo,
+                            path: filePath(fileName)
+                        });
+                        sha = existing.sha;
+                    } catch (error) {
+                        // File doesn't exist, will create new
+                    }
+
+                    await octokit.rest.repos.createOrUpdateFileContents({
                         owner: settings.github.owner,
                         repo: settings.github.repo,
-                        path: `${settings.github.backupPath}/submissions.json`
+                        path: filePath(fileName),
+                        message: message || `Update ${fileName} - ${new Date().toISOString()}`,
+                        content: content,
+                        sha: sha
                     });
-                    sha = existing.sha;
+                    return; // Success, exit retry loop
                 } catch (error) {
-                    // File doesn't exist, will create new
+                    if (error.status === 409 && retries > 1) {
+                        console.log(`GitHub ${fileName} conflict, retrying... (${retries - 1} attempts left)`);
+                        // Wait a bit before retry
+                        await new Promise(resolve => setTimeout(resolve, 1000));
+                        retries--;
+                    } else {
+                        throw error; // Re-throw if not a conflict or no retries left
+                    }
                 }
+            }
+        }
+    };
+}
 
-                await octokit.rest.repos.createOrUpdateFileContents({
-                    owner: settings.github.owner,
-                    repo: settings.github.repo,
-                    path: `${settings.github.backupPath}/submissions.json`,
-                    message: `Update submissions backup - ${new Date().toISOString()}`,
-                    content: content,
-                    sha: sha
-                });
+// Local file storage adapter - each file is a JSON document in a folder on this machine
+function createLocalStorage(directory) {
+    // Serialize writes so two saves of the same file never interleave
+    let writeQueue = Promise.resolve();
+
+    return {
+        name: 'local',
 
-                console.log('Backup saved to GitHub');
-                return; // Success, exit retry loop
+        async read(fileName) {
+            try {
+                const content = await fs.readFile(path.join(directory, fileName), 'utf8');
+                return JSON.parse(content);
             } catch (error) {
-                if (error.status === 409 && retries > 1) {
-                    console.log(`GitHub backup conflict, retrying... (${retries - 1} attempts left)`);
-                    // Wait a bit before retry
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    retries--;
-                } else {
-                    throw error; // Re-throw if not a conflict or no retries left
+                if (error.code === 'ENOENT') {
+                    return null;
                 }
+                throw error;
             }
+        },
+
+        async write(fileName, data) {
+            const task = writeQueue.then(async () => {
+                await fs.mkdir(directory, { recursive: true });
+
+                // Write to a temp file first, then rename, so a crash never leaves half a file behind
+                const targetPath = path.join(directory, fileName);
+                const tempPath = `${targetPath}.${process.pid}.tmp`;
+                await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+                await fs.rename(tempPath, targetPath);
+            });
+
+            // Keep the queue alive even if this write fails
+            writeQueue = task.catch(() => {});
+            return task;
+        }
+    };
+}
+
+// Pick the storage backend named in settings.json (defaults to GitHub)
+function createStorage() {
+    const storageSettings = settings.storage || {};
+    const backend = storageSettings.backend || 'github';
+
+    if (backend === 'local') {
+        const directory = path.resolve(__dirname, storageSettings.localPath || settings.github.backupPath);
+        console.log('✅ Using local file storage:', directory);
+        return createLocalStorage(directory);
+    }
+
+    if (backend !== 'github') {
+        throw new Error(`Unknown storage backend "${backend}" in settings.json (use "github" or "local")`);
+    }
+
+    if (!process.env.GITHUB_PAT) {
+        console.error('❌ GITHUB_PAT environment variable not set - GitHub storage will fail');
+    }
+    console.log('✅ Using GitHub storage:', `${settings.github.owner}/${settings.github.repo}/${settings.github.backupPath}`);
+    return createGitHubStorage();
+}
+
+// Load backup data from the configured storage backend
+async function loadBackup() {
+    try {
+        const data = await storage.read('submissions.json');
+        if (!data) {
+            console.log('No existing backup found, starting fresh');
+            return [];
         }
+        return data;
     } catch (error) {
-        console.error('Failed to save backup to GitHub:', error);
+        console.log(`Error loading backup from ${storage.name} storage, starting fresh:`, error.message);
+        return [];
     }
 }
 
-// Validate agent percentages
-function validateAgentPercentages(agents) {
-    const total = agents.reduce((sum, agent) => sum + parseFloat(agent.percentage || 0), 0);
-    return Math.abs(total - 100) < 0.01; // Allow for small floating point errors
+// Load the backup to change and save back, or to report on. Unlike loadBackup this throws when the read
+// fails, so a storage error never leads to saving an empty list over every claim or an empty report
+async function loadBackupForUpdate() {
+    return (await storage.read('submissions.json')) || [];
 }
 
-// Calculate commissions
-function calculateCommissions(nettPrice, commissionRate, agents) {
-    console.log('=== RAW INPUT TO CALCULATION ===');
-    console.log('Raw nettPrice parameter:', nettPrice, 'Type:', typeof nettPrice);
-    console.log('Raw commissionRate parameter:', commissionRate, 'Type:', typeof commissionRate);
+let claimsUpdateQueue = Promise.resolve(); // Serializes read-change-save cycles of submissions.json
 
-    // Remove commas and other formatting from nett price
-    const cleanNettPrice = String(nettPrice).replace(/,/g, '');
-    const nett = parseFloat(cleanNettPrice);
-    const rate = parseFloat(commissionRate);
-    const totalCommission = (nett * rate) / 100;
+// Run a read-change-save of the claims backup once any earlier one has finished, so two admins
+// (or a payout confirmation and a status change) acting at once never drop each other's changes
+function queueClaimsUpdate(task) {
+    const run = claimsUpdateQueue.then(task);
+    claimsUpdateQueue = run.catch(() => {});
+    return run;
+}
 
-    console.log('=== COMMISSION CALCULATION DEBUG ===');
-    console.log('Nett Price:', nett);
-    console.log('Commission Rate:', rate);
-    console.log('Total Commission:', totalCommission);
+// Save backup to the configured storage backend
+async function saveBackup(data) {
+    try {
+        await storage.write('submissions.json', data, `Update submissions backup - ${new Date().toISOString()}`);
+        console.log(`Backup saved to ${storage.name} storage`);
+    } catch (error) {
+        console.error(`Failed to save backup to ${storage.name} storage:`, error);
+    }
+}
 
-    return agents.map(agent => {
-        const agentPercentage = parseFloat(agent.percentage) || 0;
-        const agentCommission = (totalCommission * agentPercentage) / 100;
+// Append-only audit trail of admin and state-changing actions, kept next to the backups in audit_log.json
+let auditQueue = Promise.resolve(); // Serializes appends so concurrent actions never drop each other's entries
+
+// Append one audit entry; failures are logged rather than thrown so they never block the action itself
+function recordAudit(actor, action, claimNumber, before, after) {
+    const entry = {
+        timestamp: new Date().toISOString(),
+        actor_id: actor ? actor.id : 'system',
+        actor_username: actor ? actor.username : 'system',
+        action,
+        claim_number: claimNumber || null,
+        before: before === undefined ? null : before,
+        after: after === undefined ? null : after
+    };
+
+    auditQueue = auditQueue
+        .then(async () => {
+            const log = (await storage.read('audit_log.json')) || [];
+            log.push(entry);
+            await storage.write('audit_log.json', log, `Audit: ${action}${claimNumber ? ` ${claimNumber}` : ''}`);
+        })
+        .catch(error => console.error(`❌ Failed to record audit entry ${action}:`, error.message));
+    return auditQueue;
+}
 
-        console.log(`Agent: ${agent.name}`);
-        console.log(`Agent Percentage: ${agentPercentage}`);
-        console.log(`Agent Commission: ${agentCommission}`);
-        console.log('---');
+// Load the audit log from the configured storage backend
+async function loadAuditLog() {
+    try {
+        return (await storage.read('audit_log.json')) || [];
+    } catch (error) {
+        console.log(`Error loading audit log from ${storage.name} storage:`, error.message);
+        return [];
+    }
+}
 
-        return {
-            ...agent,
-            commission: agentCommission.toFixed(2)
-        };
-    });
+// The few claim fields worth keeping in an audit entry
+function summarizeClaimForAudit(claim) {
+    return {
+        project_name: claim.project_name,
+        unit_no: claim.unit_no,
+        username: claim.username,
+        claim_status: getClaimStatus(claim)
+    };
 }
 
-// Create submission form modal
-function createSubmissionModal() {
-    const modal = new ModalBuilder()
-        .setCustomId('submission_form')
-        .setTitle('Commission Submission Form');
+// Deleted claims stay in trash.json for this long before an admin can purge them
+const TRASH_RETENTION_DAYS = (settings.trash && settings.trash.retentionDays) || 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
 
-    const components = [
-        new TextInputBuilder()
-            .setCustomId('project_name')
-            .setLabel('Project Name')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true),
+// Load trashed claims from the configured storage backend; throws when the read fails, since every
+// trash change saves the whole list back
+async function loadTrash() {
+    return (await storage.read('trash.json')) || [];
+}
 
-        new TextInputBuilder()
-            .setCustomId('unit_no')
-            .setLabel('Unit No.')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true),
+// Save trashed claims; unlike saveBackup this throws, so a claim is never removed without landing in the trash
+async function saveTrash(data) {
+    await storage.write('trash.json', data, `Update deleted claims trash - ${new Date().toISOString()}`);
+    console.log(`Trash saved to ${storage.name} storage`);
+}
 
-        new TextInputBuilder()
-            .setCustomId('spa_price')
-            .setLabel('SPA Price')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true),
+// Move claims from the backup into the trash, recording who deleted them; returns the trashed claims
+async function moveClaimsToTrash(claimNumbers, deletedBy) {
+    return queueClaimsUpdate(async () => {
+        const backupData = await loadBackupForUpdate();
+        const claims = claimNumbers
+            .map(number => findSubmissionByClaimNumber(backupData, number))
+            .filter(Boolean);
 
-        new TextInputBuilder()
-            .setCustomId('nett_price')
-            .setLabel('Nett Purchased Price')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true),
+        if (claims.length === 0) {
+            return [];
+        }
 
-        new TextInputBuilder()
-            .setCustomId('commission_rate')
-            .setLabel('Commission Rate (%)')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true)
-    ];
+        const trash = await loadTrash();
+        const deletedAt = new Date().toISOString();
+        for (const claim of claims) {
+            trash.push({
+                claim,
+                deleted_at: deletedAt,
+                deleted_by: deletedBy.id,
+                deleted_by_username: deletedBy.username
+            });
+            backupData.splice(backupData.indexOf(claim), 1);
+        }
 
-    components.forEach((component, index) => {
-        modal.addComponents(new ActionRowBuilder().addComponents(component));
-    });
+        // Trash first, so a failed write can leave a claim in both places but never in neither
+        const trashBefore = trash.slice(0, trash.length - claims.length);
+        await saveTrash(trash);
+        try {
+            await storage.write('submissions.json', backupData, `Move ${claims.length} claim(s) to trash`);
+        } catch (error) {
+            await saveTrash(trashBefore).catch(rollbackError =>
+                console.error('❌ Failed to take claims back out of the trash after a failed backup write:', rollbackError.message));
+            throw error;
+        }
 
-    return modal;
+        for (const claim of claims) {
+            await recordAudit(deletedBy, 'claim_deleted', claim.claim_number, summarizeClaimForAudit(claim), { in_trash: true });
+        }
+        return claims;
+    });
 }
 
-// Create agent details modal
-function createAgentModal(step, existingAgent = {}) {
-    const modal = new ModalBuilder()
-        .setCustomId(`agent_form_${step}`)
-        .setTitle(`Consultant Details - Step ${step}`);
+// Put a trashed claim back into the backup in submission order; returns the claim, or null if not in the trash
+async function restoreClaimFromTrash(claimNumber, actor) {
+    return queueClaimsUpdate(async () => {
+        const wanted = String(claimNumber || '').trim().toUpperCase();
+        const trash = await loadTrash();
+        const entry = trash.find(item => item.claim.claim_number === wanted);
+        if (!entry) {
+            return null;
+        }
 
-    // Only 1 agent per modal to stay within Discord's 5 component limit
-    const agentNum = step;
+        const backupData = await loadBackupForUpdate();
+        if (findSubmissionByClaimNumber(backupData, wanted)) {
+            throw new Error(`Claim ${wanted} already exists in the backup`);
+        }
 
-    if (agentNum <= 4) {
-        const nameComponent = new TextInputBuilder()
-            .setCustomId(`agent${agentNum}_name`)
-            .setLabel(`Consultant ${agentNum} Name`)
-            .setStyle(TextInputStyle.Short)
-            .setRequired(false)
-            .setValue(existingAgent.name || '');
+        const insertAt = backupData.findIndex(submission => submission.submitted_at > entry.claim.submitted_at);
+        backupData.splice(insertAt === -1 ? backupData.length : insertAt, 0, entry.claim);
+        // The trash only changes once the claim is safely back in the backup
+        await storage.write('submissions.json', backupData, `Restore claim ${wanted} from trash`);
 
-        const codeComponent = new TextInputBuilder()
-            .setCustomId(`agent${agentNum}_code`)
-            .setLabel(`Consultant ${agentNum} Code`)
-            .setStyle(TextInputStyle.Short)
-            .setRequired(false)
-            .setValue(existingAgent.code || '');
+        trash.splice(trash.indexOf(entry), 1);
+        await saveTrash(trash);
 
-        const percentageComponent = new TextInputBuilder()
-            .setCustomId(`agent${agentNum}_percentage`)
-            .setLabel(`Consultant ${agentNum} Percentage (%)`)
-            .setStyle(TextInputStyle.Short)
-            .setRequired(false)
-            .setValue(existingAgent.percentage ? existingAgent.percentage.toString() : '')
-            .setPlaceholder('Portion from the total commission');
+        await recordAudit(actor, 'claim_restored', wanted,
+            { in_trash: true, deleted_at: entry.deleted_at, deleted_by: entry.deleted_by },
+            summarizeClaimForAudit(entry.claim));
+        return entry.claim;
+    });
+}
 
-        modal.addComponents(
-            new ActionRowBuilder().addComponents(nameComponent),
-            new ActionRowBuilder().addComponents(codeComponent),
-            new ActionRowBuilder().addComponents(percentageComponent)
-        );
+// Permanently remove trashed claims past the retention period (optionally just one claim); returns the purged entries
+async function purgeTrash(claimNumber, actor) {
+    const wanted = claimNumber ? String(claimNumber).trim().toUpperCase() : null;
+    const trash = await loadTrash();
+    const now = Date.now();
+
+    const purged = trash.filter(item =>
+        (!wanted || item.claim.claim_number === wanted) &&
+        now - new Date(item.deleted_at).getTime() >= TRASH_RETENTION_MS
+    );
+
+    if (purged.length > 0) {
+        await saveTrash(trash.filter(item => !purged.includes(item)));
     }
+    for (const item of purged) {
+        await recordAudit(actor, 'claim_purged', item.claim.claim_number, summarizeClaimForAudit(item.claim), null);
+    }
+    return purged;
+}
 
-    return modal;
+// Custom ID for a wizard button or modal, bound to its draft as "<customId>:<draftId>" so a message
+// from an older draft never acts on the one being edited now. Without a saved draft the ID is unbound.
+function draftCustomId(customId, data) {
+    return data && data.draftId ? `${customId}:${data.draftId}` : customId;
 }
 
-// Create customer details modal
-function createCustomerModal(existingData = {}) {
-    const modal = new ModalBuilder()
-        .setCustomId('customer_form')
-        .setTitle('Customer & Date Details');
+// Get the draft the user is currently editing in the wizard
+function getActiveDraft(userId) {
+    const draftId = activeDrafts.get(userId);
+    return draftId ? submissions.get(draftId) : undefined;
+}
 
-    const components = [
-        new TextInputBuilder()
-            .setCustomId('customer_name')
-            .setLabel('Customer Name')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true),
+// Save the user's active draft, starting a new one if they have none
+function saveActiveDraft(userId, data) {
+    let draftId = activeDrafts.get(userId);
+    if (!draftId || !submissions.has(draftId)) {
+        draftId = `draft_${userId}_${Date.now().toString(36)}`;
+        activeDrafts.set(userId, draftId);
+    }
 
-        new TextInputBuilder()
-            .setCustomId('customer_phone')
-            .setLabel('Customer Phone')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true),
+    const previous = submissions.get(draftId);
+    data.draftId = draftId;
+    data.userId = userId;
+    data.draftName = data.draftName || previous?.draftName || pendingDraftNames.get(userId) ||
+        (data.project_name ? `${data.project_name} - ${data.unit_no}` : 'Untitled draft');
+    data.draftCreatedAt = data.draftCreatedAt || previous?.draftCreatedAt || new Date().toISOString();
+    pendingDraftNames.delete(userId);
 
-        new TextInputBuilder()
-            .setCustomId('customer_address')
-            .setLabel('Customer Address')
-            .setStyle(TextInputStyle.Paragraph)
-            .setRequired(true)
-    ];
+    submissions.set(draftId, data);
+    return data;
+}
 
-    // Set values only if existing data exists
-    if (existingData.customer_name) components[0].setValue(existingData.customer_name);
-    if (existingData.customer_phone) components[1].setValue(existingData.customer_phone);
-    if (existingData.customer_address) components[2].setValue(existingData.customer_address);
+// Remove a draft together with its session token and active pointer
+function discardDraft(draftId) {
+    const draft = submissions.get(draftId);
+    if (draft && draft.sessionToken) {
+        tokenToDraftId.delete(draft.sessionToken);
+    }
+    if (draft && activeDrafts.get(draft.userId) === draftId) {
+        activeDrafts.delete(draft.userId);
+    }
+    submissions.delete(draftId);
+}
 
-    components.forEach(component => {
-        modal.addComponents(new ActionRowBuilder().addComponents(component));
-    });
+function discardActiveDraft(userId) {
+    const draftId = activeDrafts.get(userId);
+    if (draftId) {
+        discardDraft(draftId);
+    }
+}
 
-    return modal;
+// All unfinished drafts belonging to a user, most recently touched first
+function getUserDrafts(userId) {
+    return Array.from(submissions.entries())
+        .filter(([, data]) => data && data.userId === userId && data.status !== 'completed')
+        .sort(([a], [b]) => (submissions.touchedAt.get(b) || 0) - (submissions.touchedAt.get(a) || 0))
+        .map(([, data]) => data);
 }
 
-// Create loan buyer details modal
-function createLoanBuyerModal(existingData = {}) {
-    const modal = new ModalBuilder()
-        .setCustomId('loan_buyer_form')
-        .setTitle('Loan Buyer Details');
+// Queue a draft save after a change, so several quick wizard steps share one write (GitHub waits longer)
+function scheduleDraftSave() {
+    if (!storage || draftSaveTimer) {
+        return;
+    }
 
-    const components = [
-        new TextInputBuilder()
-            .setCustomId('spa_date')
-            .setLabel('SPA Date (YYYY-MM-DD)')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true),
+    draftSaveTimer = setTimeout(async () => {
+        draftSaveTimer = null;
+        try {
+            await saveDrafts();
+        } catch (error) {
+            console.error('❌ Error saving drafts:', error);
+        }
+    }, storage.name === 'github' ? GITHUB_DRAFT_SAVE_DELAY_MS : DRAFT_SAVE_DELAY_MS);
+}
 
-        new TextInputBuilder()
-            .setCustomId('la_date')
-            .setLabel('LA Date (YYYY-MM-DD)')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true),
+// Write in-progress drafts and session tokens to storage (skipped when nothing changed)
+async function saveDrafts() {
+    if (!storage) {
+        return;
+    }
 
-        new TextInputBuilder()
-            .setCustomId('lo_date')
-            .setLabel('LO Date (YYYY-MM-DD)')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true),
+    try {
+        const snapshot = {
+            drafts: Array.from(submissions.entries()).map(([draftId, data]) => ({
+                draftId,
+                updatedAt: submissions.touchedAt.get(draftId) || Date.now(),
+                data
+            })),
+            active: Array.from(activeDrafts.entries()).map(([userId, draftId]) => ({ userId, draftId })),
+            tokens: Array.from(tokenToDraftId.entries()).map(([token, draftId]) => ({ token, draftId })),
+            completed: Array.from(completedDrafts.values())
+        };
 
-        new TextInputBuilder()
-            .setCustomId('bank_of_finance')
-            .setLabel('Bank of Finance')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true),
+        // Handlers often change a draft in place without calling set(), so compare the whole snapshot
+        const serialized = JSON.stringify(snapshot);
+        if (serialized === lastSavedDraftSnapshot) {
+            return;
+        }
 
-        new TextInputBuilder()
-            .setCustomId('loan_amount')
-            .setLabel('Loan Amount (RM)')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true)
-    ];
+        await storage.write('drafts.json', { saved_at: new Date().toISOString(), ...snapshot }, `Update in-progress drafts - ${new Date().toISOString()}`);
+        lastSavedDraftSnapshot = serialized;
+    } catch (error) {
+        console.error(`Failed to save drafts to ${storage.name} storage:`, error);
+    }
+}
 
-    // Set values only if existing data exists
-    if (existingData.spa_date) components[0].setValue(existingData.spa_date);
-    if (existingData.la_date) components[1].setValue(existingData.la_date);
-    if (existingData.lo_date) components[2].setValue(existingData.lo_date);
-    if (existingData.bank_of_finance) components[3].setValue(existingData.bank_of_finance);
-    if (existingData.loan_amount) components[4].setValue(existingData.loan_amount.toString());
+// Restore unexpired drafts and their session tokens after a restart
+async function restoreDrafts() {
+    let saved;
+    try {
+        saved = await storage.read('drafts.json');
+    } catch (error) {
+        console.error(`Error loading drafts from ${storage.name} storage:`, error.message);
+        return;
+    }
 
-    components.forEach(component => {
-        modal.addComponents(new ActionRowBuilder().addComponents(component));
-    });
+    if (!saved) {
+        console.log('No saved drafts found, starting fresh');
+        return;
+    }
 
-    return modal;
-}
+    const now = Date.now();
+    let restored = 0;
+    for (const draft of saved.drafts || []) {
+        if (now - draft.updatedAt > DRAFT_TTL_MS) {
+            continue;
+        }
 
-// Create cash buyer details modal
-function createCashBuyerModal(existingData = {}) {
-    const modal = new ModalBuilder()
-        .setCustomId('cash_buyer_form')
-        .setTitle('Cash Buyer Payment Details');
+        // Snapshots from before multiple drafts were keyed by user ID
+        const draftId = draft.draftId || draft.userId;
+        const data = { ...draft.data, draftId, userId: draft.data.userId || draft.userId };
+        Map.prototype.set.call(submissions, draftId, data);
+        submissions.touchedAt.set(draftId, draft.updatedAt);
+        if (!draft.draftId) {
+            Map.prototype.set.call(activeDrafts, draft.userId, draftId);
+        }
+        restored++;
+    }
 
-    const components = [
-        new TextInputBuilder()
-            .setCustomId('spa_date')
-            .setLabel('SPA Date (YYYY-MM-DD)')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true),
+    for (const { userId, draftId } of saved.active || []) {
+        if (submissions.has(draftId)) {
+            Map.prototype.set.call(activeDrafts, userId, draftId);
+        }
+    }
 
-        new TextInputBuilder()
-            .setCustomId('downpayment_amount')
-            .setLabel('Amount of Downpayment Paid (RM)')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true),
+    // Only keep tokens that still point at a restored draft holding that same token
+    for (const { token, draftId, userId } of saved.tokens || []) {
+        const draft = submissions.get(draftId || userId);
+        if (draft && draft.sessionToken === token) {
+            Map.prototype.set.call(tokenToDraftId, token, draft.draftId);
+        }
+    }
 
-        new TextInputBuilder()
-            .setCustomId('payment_date')
-            .setLabel('Date of Payment (YYYY-MM-DD)')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true)
-    ];
+    for (const completed of saved.completed || []) {
+        if (now - completed.completedAt <= DRAFT_TTL_MS && !submissions.has(completed.draftId)) {
+            Map.prototype.set.call(completedDrafts, completed.draftId, completed);
+        }
+    }
 
-    // Set values only if existing data exists
-    if (existingData.spa_date) components[0].setValue(existingData.spa_date);
-    if (existingData.downpayment_amount) components[1].setValue(existingData.downpayment_amount.toString());
-    if (existingData.payment_date) components[2].setValue(existingData.payment_date);
+    console.log(`✅ Restored ${restored} draft(s), ${completedDrafts.size} completed draft(s) and ${tokenToDraftId.size} session token(s) from ${storage.name} storage`);
+}
 
-    components.forEach(component => {
-        modal.addComponents(new ActionRowBuilder().addComponents(component));
-    });
+// Drop drafts nobody has touched within the TTL. Handlers often edit a draft in place without
+// calling set(), so a draft whose contents changed since the last sweep counts as touched and is
+// queued for saving like any other edit, as are removals.
+async function sweepExpiredDrafts() {
+    const now = Date.now();
+    let edited = false;
+    for (const [draftId, data] of submissions.entries()) {
+        const serialized = JSON.stringify(data);
+        if (sweptDraftSnapshots.has(draftId) && sweptDraftSnapshots.get(draftId) !== serialized) {
+            submissions.touchedAt.set(draftId, now);
+            edited = true;
+        }
+        sweptDraftSnapshots.set(draftId, serialized);
+    }
 
-    return modal;
+    for (const [draftId, completed] of completedDrafts.entries()) {
+        if (now - completed.completedAt > DRAFT_TTL_MS) {
+            completedDrafts.delete(draftId);
+        }
+    }
+
+    let removed = 0;
+    for (const [draftId, touchedAt] of submissions.touchedAt.entries()) {
+        if (now - touchedAt > DRAFT_TTL_MS) {
+            discardDraft(draftId);
+            console.log('🗑️ Expired draft:', draftId);
+            removed++;
+        }
+    }
+    for (const draftId of sweptDraftSnapshots.keys()) {
+        if (!submissions.has(draftId)) {
+            sweptDraftSnapshots.delete(draftId);
+        }
+    }
+
+    if (removed > 0 || edited) {
+        scheduleDraftSave();
+    }
 }
 
-// Create differential payment modal
-function createDifferentialPaymentModal(existingData = {}) {
-    const modal = new ModalBuilder()
-        .setCustomId('differential_payment_form')
-        .setTitle('Differential Payment Details');
+// Forget bulk delete previews nobody confirmed in time
+function sweepExpiredBulkDeletes() {
+    const now = Date.now();
+    for (const [token, pending] of pendingBulkDeletes.entries()) {
+        if (now - pending.createdAt > BULK_DELETE_TTL_MS) {
+            pendingBulkDeletes.delete(token);
+        }
+    }
+}
 
-    const components = [
-        new TextInputBuilder()
-            .setCustomId('differential_amount')
-            .setLabel('Amount Customer Paid (RM)')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true),
+// Claim numbers look like CC-2026-000123 and are never reused, even after a claim is deleted
+const CLAIM_NUMBER_PREFIX = 'CC';
+let claimNumberQueue = Promise.resolve(); // Serializes counter updates so two claims never share a number
 
-        new TextInputBuilder()
-            .setCustomId('differential_payment_date')
-            .setLabel('Date of Payment (YYYY-MM-DD)')
-            .setStyle(TextInputStyle.Short)
-            .setRequired(true)
-    ];
+function formatClaimNumber(year, sequence) {
+    return `${CLAIM_NUMBER_PREFIX}-${year}-${String(sequence).padStart(6, '0')}`;
+}
 
-    // Set values only if existing data exists
-    if (existingData.differential_amount) components[0].setValue(existingData.differential_amount.toString());
-    if (existingData.differential_payment_date) components[1].setValue(existingData.differential_payment_date);
+// Reserve the next claim number for the current GMT+8 year and persist the counter
+function reserveClaimNumber() {
+    const task = claimNumberQueue.then(async () => {
+        const year = formatInTimeZone(getGMT8Date(), GMT8_TIMEZONE, 'yyyy');
+        const counters = (await storage.read('claim_counter.json')) || {};
 
-    components.forEach(component => {
-        modal.addComponents(new ActionRowBuilder().addComponents(component));
+        // Never hand out a number lower than one already on record (e.g. counter file lost)
+        const backupData = await loadBackup();
+        const highestOnRecord = backupData
+            .map(submission => parseClaimNumber(submission.claim_number))
+            .filter(parsed => parsed && parsed.year === year)
+            .reduce((max, parsed) => Math.max(max, parsed.sequence), 0);
+
+        const sequence = Math.max(counters[year] || 0, highestOnRecord) + 1;
+        counters[year] = sequence;
+        await storage.write('claim_counter.json', counters, `Reserve claim number ${formatClaimNumber(year, sequence)}`);
+
+        return formatClaimNumber(year, sequence);
     });
 
-    return modal;
+    claimNumberQueue = task.catch(() => {});
+    return task;
 }
 
-// Create file upload modal
-function createFileUploadModal() {
-    const modal = new ModalBuilder()
-        .setCustomId('file_upload_form')
-        .setTitle('Upload Commission Documents');
+// Split a claim number into its year and sequence, or null if it is not a claim number
+function parseClaimNumber(claimNumber) {
+    const match = /^([A-Z]+)-(\d{4})-(\d+)$/.exec(String(claimNumber || '').trim().toUpperCase());
+    if (!match || match[1] !== CLAIM_NUMBER_PREFIX) {
+        return null;
+    }
+    return { year: match[2], sequence: parseInt(match[3], 10) };
+}
 
-    const instructionComponent = new TextInputBuilder()
-        .setCustomId('upload_instruction')
-        .setLabel('Ready to upload documents')
-        .setStyle(TextInputStyle.Paragraph)
-        .setRequired(false)
-        .setValue('After clicking Submit below, send a new message with your documents attached (PDF, DOC, DOCX, JPG, PNG). You can attach multiple files at once.')
-        .setMaxLength(500);
+// Find a stored claim by its claim number (case-insensitive)
+function findSubmissionByClaimNumber(backupData, claimNumber) {
+    const wanted = String(claimNumber || '').trim().toUpperCase();
+    return backupData.find(submission => submission.claim_number === wanted) || null;
+}
 
-    modal.addComponents(new ActionRowBuilder().addComponents(instructionComponent));
+// Lowercase and strip everything but letters and digits, so "Unit A-12-3" matches "a 12 3"
+function normalizeForMatch(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
 
-    return modal;
+// Key a claim by project and unit, ignoring case, spacing and punctuation
+function getUnitKey(projectName, unitNo) {
+    return `${normalizeForMatch(projectName)}|${normalizeForMatch(unitNo)}`;
 }
 
-// Create document-specific upload modal
-function createDocumentUploadModal(documentType, documentName) {
-    const modal = new ModalBuilder()
-        .setCustomId(`document_upload_${documentType}`)
-        .setTitle(`Upload ${documentName}`);
+// Stored claims for the same unit; rejected claims are left out so a corrected resubmission is not flagged
+function findDuplicateClaims(backupData, data) {
+    const key = getUnitKey(data.project_name, data.unit_no);
+    return backupData.filter(submission =>
+        submission.claim_number !== data.claim_number &&
+        getClaimStatus(submission) !== 'rejected' &&
+        getUnitKey(submission.project_name, submission.unit_no) === key
+    );
+}
 
-    const instructionComponent = new TextInputBuilder()
-        .setCustomId('upload_instruction')
-        .setLabel(`Ready to upload ${documentName}`)
-        .setStyle(TextInputStyle.Paragraph)
-        .setRequired(false)
-        .setValue(`After clicking Submit below, send a new message with your ${documentName} attached (PDF, DOC, DOCX, JPG, PNG). You can attach multiple files for this document type.`)
-        .setMaxLength(500);
+// Group every stored claim that shares a unit with another claim
+function findDuplicateGroups(backupData) {
+    const groups = new Map();
+    for (const submission of backupData) {
+        if (getClaimStatus(submission) === 'rejected') {
+            continue;
+        }
+        const key = getUnitKey(submission.project_name, submission.unit_no);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(submission);
+    }
+    return Array.from(groups.values()).filter(group => group.length > 1);
+}
 
-    modal.addComponents(new ActionRowBuilder().addComponents(instructionComponent));
+// Parse a DD/MM/YYYY or YYYY-MM-DD search date into YYYY-MM-DD; throws on anything else
+function parseSearchDate(input) {
+    const value = input.trim();
+    let match = value.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+    const [year, month, day] = match ?
+        [match[3], match[2], match[1]] :
+        (match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/)) ? [match[1], match[2], match[3]] : [];
+
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (!year || date.getUTCDate() !== Number(day) || date.getUTCMonth() !== Number(month) - 1) {
+        throw new Error(`Invalid date "${input}". Use DD/MM/YYYY or YYYY-MM-DD.`);
+    }
+    return date.toISOString().slice(0, 10);
+}
 
-    return modal;
+// Read search filters by option name; getOption is backed by slash command options or query parameters
+function getClaimSearchFilters(getOption) {
+    const dateFrom = getOption('date_from');
+    const dateTo = getOption('date_to');
+    const filters = {
+        dateFrom: dateFrom ? parseSearchDate(dateFrom) : null,
+        dateTo: dateTo ? parseSearchDate(dateTo) : null,
+        project: getOption('project_name'),
+        unit: getOption('unit_no'),
+        agentCode: getOption('agent_code'),
+        customer: getOption('customer'),
+        bank: getOption('bank'),
+        buyerType: getOption('buyer_type'),
+        status: getOption('status')
+    };
+
+    if (filters.dateFrom && filters.dateTo && filters.dateFrom > filters.dateTo) {
+        throw new Error('date_from must be on or before date_to.');
+    }
+    return filters;
 }
 
-// Create confirmation embed
-function createConfirmationEmbed(data) {
-    const embed = new EmbedBuilder()
-        .setTitle('📋 Commission Submission Confirmation')
-        .setColor(0x00AE86)
-        .addFields(
-            { name: '🏢 Project Details', value: `**Project:** ${data.project_name}\n**Unit:** ${data.unit_no}\n**SPA Price:** RM${Number(String(data.spa_price).replace(/,/g, '')).toLocaleString()}\n**Nett Price:** RM${Number(String(data.nett_price).replace(/,/g, '')).toLocaleString()}\n**Commission Rate:** ${data.commission_rate}%\n\n`, inline: false },
-            { name: '👤 Customer Details', value: `**Name:** ${data.customer_name}\n**Phone:** ${data.customer_phone}\n**Address:** ${data.customer_address}\n\n`, inline: false }
-        );
+// Claims matching every given filter, newest first; dates are compared on the GMT+8 calendar day
+function searchClaims(backupData, filters) {
+    const contains = (value, wanted) => normalizeForMatch(value).includes(normalizeForMatch(wanted));
+
+    return backupData
+        .filter(submission => {
+            const submittedDay = submission.submitted_at ?
+                formatInTimeZone(new Date(submission.submitted_at), GMT8_TIMEZONE, 'yyyy-MM-dd') : '';
+
+            if (filters.dateFrom && submittedDay < filters.dateFrom) return false;
+            if (filters.dateTo && submittedDay > filters.dateTo) return false;
+            if (filters.project && !contains(submission.project_name, filters.project)) return false;
+            if (filters.unit && !contains(submission.unit_no, filters.unit)) return false;
+            if (filters.agentCode && !(submission.agents || []).some(agent =>
+                agent && normalizeForMatch(agent.code) === normalizeForMatch(filters.agentCode))) return false;
+            if (filters.customer && !contains(submission.customer_name, filters.customer) &&
+                !contains(submission.customer_phone, filters.customer)) return false;
+            if (filters.bank && !contains(submission.bank_of_finance, filters.bank)) return false;
+            if (filters.buyerType && submission.buyer_type !== filters.buyerType) return false;
+            if (filters.status && getClaimStatus(submission) !== filters.status) return false;
+            return true;
+        })
+        .reverse();
+}
 
-    if (data.buyer_type === 'loan') {
-        let paymentDetails = `**SPA Date:** ${data.spa_date}\n**LA Date:** ${data.la_date}\n**LO Date:** ${data.lo_date}\n**Bank:** ${data.bank_of_finance}\n**Loan Amount:** RM${data.loan_amount.toLocaleString()}`;
+// One line summary of the active search filters
+function describeClaimSearchFilters(filters) {
+    const parts = [];
+    if (filters.dateFrom || filters.dateTo) parts.push(`**Date:** ${filters.dateFrom || '…'} to ${filters.dateTo || '…'}`);
+    if (filters.project) parts.push(`**Project:** ${filters.project}`);
+    if (filters.unit) parts.push(`**Unit:** ${filters.unit}`);
+    if (filters.agentCode) parts.push(`**Agent Code:** ${filters.agentCode}`);
+    if (filters.customer) parts.push(`**Customer:** ${filters.customer}`);
+    if (filters.bank) parts.push(`**Bank:** ${filters.bank}`);
+    if (filters.buyerType) parts.push(`**Buyer Type:** ${filters.buyerType}`);
+    if (filters.status) parts.push(`**Status:** ${formatClaimStatus(filters.status)}`);
+    return parts.length > 0 ? parts.join(' • ') : 'No filters (all claims)';
+}
 
-        if (data.differential_amount) {
-            paymentDetails += `\n**Differential Paid:** RM${data.differential_amount.toLocaleString()}\n**Payment Date:** ${data.differential_payment_date}`;
-        }
+// Build one page of admin search results with prev/next buttons
+function createClaimSearchPage(results, filters, searchToken, page) {
+    const totalPages = Math.max(1, Math.ceil(results.length / CLAIM_SEARCH_PAGE_SIZE));
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+    const pageResults = results.slice(currentPage * CLAIM_SEARCH_PAGE_SIZE, (currentPage + 1) * CLAIM_SEARCH_PAGE_SIZE);
 
-        embed.addFields({ name: '🏦 Loan Buyer Details', value: paymentDetails, inline: false });
-    } else if (data.buyer_type === 'cash') {
-        const paymentDetails = `**SPA Date:** ${data.spa_date}\n**Downpayment:** RM${data.downpayment_amount.toLocaleString()}\n**Payment Date:** ${data.payment_date}`;
-        embed.addFields({ name: '💵 Cash Buyer Details', value: paymentDetails, inline: false });
-    } else {
-        // Legacy support for old submissions without buyer type
-        embed.addFields({ name: '📅 Important Dates', value: `**SPA Date:** ${data.spa_date || 'N/A'}\n**LA Date:** ${data.la_date || 'N/A'}`, inline: false });
-    }
-    embed.setTimestamp();
+    const embed = new EmbedBuilder()
+        .setTitle('🔎 Claim Search Results')
+        .setColor(0x0099FF)
+        .setDescription(`${describeClaimSearchFilters(filters)}\n\n**${results.length}** claim(s) found`)
+        .setFooter({ text: `Page ${currentPage + 1} of ${totalPages}` })
+        .setTimestamp();
 
-    // Add agent details
-    const agentDetails = data.agents
-        .filter(agent => agent.name)
-        .map(agent => {
-            const formattedCommission = Number(agent.commission).toLocaleString('en-US', {
-                minimumFractionDigits: 2,
-                maximumFractionDigits: 2
+    pageResults.forEach(submission => {
+        const totalCommissionSen = calculateCommissionBreakdown(submission).total_commission_sen;
+        const agentCodes = (submission.agents || []).filter(agent => agent && agent.name).map(agent => agent.code).join(', ');
+
+        embed.addFields({
+            name: `${submission.claim_number} - ${submission.project_name} - ${submission.unit_no}`,
+            value: `**User:** ${submission.username} • **Agents:** ${agentCodes || 'N/A'}\n**Customer:** ${submission.customer_name || 'N/A'} (${submission.customer_phone || 'N/A'})\n**Buyer:** ${submission.buyer_type || 'N/A'}${submission.bank_of_finance ? ` - ${submission.bank_of_finance}` : ''} • **Commission:** RM${formatSen(totalCommissionSen)}\n**Status:** ${formatClaimStatus(getClaimStatus(submission))} • **Submitted:** ${submission.submitted_at ? formatGMT8DateString(new Date(submission.submitted_at)) : 'N/A'}`,
+            inline: false
+        });
+    });
+
+    const navigationRow = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`claim_search_${searchToken}_${currentPage - 1}`)
+                .setLabel('◀️ Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage === 0),
+            new ButtonBuilder()
+                .setCustomId(`claim_search_${searchToken}_${currentPage + 1}`)
+                .setLabel('Next ▶️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage >= totalPages - 1)
+        );
+
+    return { embed, components: totalPages > 1 ? [navigationRow] : [] };
+}
+
+// Spreadsheet columns for claim exports, in order
+const CLAIM_EXPORT_COLUMNS = [
+    { key: 'claim_number', header: 'Claim No.' },
+    { key: 'claim_status', header: 'Status' },
+    { key: 'submitted_at', header: 'Submitted (GMT+8)' },
+    { key: 'username', header: 'Submitted By' },
+    { key: 'user_id', header: 'Discord User ID' },
+    { key: 'project_name', header: 'Project' },
+    { key: 'unit_no', header: 'Unit' },
+    { key: 'spa_price', header: 'SPA Price' },
+    { key: 'nett_price', header: 'Nett Price' },
+    { key: 'commission_rate', header: 'Commission Rate %' },
+    { key: 'customer_name', header: 'Customer Name' },
+    { key: 'customer_phone', header: 'Customer Phone' },
+    { key: 'buyer_type', header: 'Buyer Type' },
+    { key: 'bank_of_finance', header: 'Bank' },
+    { key: 'agent_name', header: 'Agent Name' },
+    { key: 'agent_code', header: 'Agent Code' },
+    { key: 'agent_percentage', header: 'Agent Split %' },
+    { key: 'agent_commission', header: 'Agent Gross Commission' },
+    { key: 'agent_deductions', header: 'Agent Deductions' },
+    { key: 'agent_withholding', header: 'Agent Tax Withheld' },
+    { key: 'agent_net_commission', header: 'Agent Net Commission' },
+    { key: 'fast_commission_percentage', header: 'Fast Commission %' },
+    { key: 'agent_fast_commission', header: 'Agent Fast Commission' },
+    { key: 'agent_balance_commission', header: 'Agent Balance Commission' },
+    { key: 'total_commission', header: 'Claim Total Commission' },
+    { key: 'total_net_commission', header: 'Claim Total Net Commission' },
+    { key: 'total_fast_commission', header: 'Claim Total Fast Commission' }
+];
+
+// Flatten claims into one export row per agent split
+function buildClaimExportRows(claims) {
+    const rows = [];
+    for (const claim of claims) {
+        const breakdown = calculateCommissionBreakdown(claim);
+
+        const claimColumns = {
+            claim_number: claim.claim_number,
+            claim_status: CLAIM_STATUSES[getClaimStatus(claim)].label,
+            submitted_at: claim.submitted_at ? formatInTimeZone(new Date(claim.submitted_at), GMT8_TIMEZONE, 'yyyy-MM-dd HH:mm:ss') : '',
+            username: claim.username,
+            user_id: claim.user_id,
+            project_name: claim.project_name,
+            unit_no: claim.unit_no,
+            spa_price: Number(String(claim.spa_price).replace(/,/g, '')) || 0,
+            nett_price: Number(String(claim.nett_price).replace(/,/g, '')) || 0,
+            commission_rate: parseFloat(claim.commission_rate) || 0,
+            customer_name: claim.customer_name || '',
+            customer_phone: claim.customer_phone || '',
+            buyer_type: claim.buyer_type || '',
+            bank_of_finance: claim.bank_of_finance || '',
+            fast_commission_percentage: breakdown.fast_commission_percentage,
+            total_commission: breakdown.total_commission_sen / 100,
+            total_net_commission: breakdown.total_net_sen / 100,
+            total_fast_commission: breakdown.total_fast_commission_sen / 100
+        };
+
+        // Claims without consultants still get a row so they are not silently missing from the sheet
+        if (breakdown.agents.length === 0) {
+            rows.push(claimColumns);
+            continue;
+        }
+
+        for (const agent of breakdown.agents) {
+            rows.push({
+                ...claimColumns,
+                agent_name: agent.name,
+                agent_code: agent.code,
+                agent_percentage: agent.percentage,
+                agent_commission: agent.commission_sen / 100,
+                agent_deductions: agent.deduction_sen / 100,
+                agent_withholding: agent.withholding_sen / 100,
+                agent_net_commission: agent.net_commission_sen / 100,
+                agent_fast_commission: agent.fast_commission_sen / 100,
+                agent_balance_commission: agent.balance_sen / 100
             });
-            return `**${agent.name}** (${agent.code}): ${agent.percentage}% - RM${formattedCommission}`;
-        })
-        .join('\n');
+        }
+    }
+    return rows;
+}
 
-    if (agentDetails) {
-        embed.addFields({ name: '👥 Agent Commission Breakdown', value: agentDetails, inline: false });
+// Render rows as CSV for the given { key, header } columns, quoting every field that needs it.
+// Text that Excel would run as a formula (leading =, +, -, @, tab or CR) is prefixed with ' first;
+// numbers are left alone so negative amounts stay numeric.
+function createCsv(columns, rows, { delimiter = ',', includeHeader = true } = {}) {
+    const escape = value => {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
 
-        const totalCommission = data.agents.reduce((sum, agent) => sum + parseFloat(agent.commission || 0), 0);
-        const formattedTotalCommission = totalCommission.toLocaleString('en-US', {
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        });
-        embed.addFields({ name: '💰 Total Commission', value: `RM${formattedTotalCommission}`, inline: true });
+    const lines = includeHeader ? [columns.map(column => escape(column.header)).join(delimiter)] : [];
+    for (const row of rows) {
+        lines.push(columns.map(column => escape(row[column.key])).join(delimiter));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
 
-        // Add Fast Commission section
-        const fastCommissionPercentage = getFastCommissionPercentage(data.project_name);
-        const fastCommissionAmount = (totalCommission * fastCommissionPercentage) / 100;
-
-        // Calculate fast commission for each agent
-        const fastCommissionDetails = data.agents
-            .filter(agent => agent.name)
-            .map(agent => {
-                const agentFastCommission = (parseFloat(agent.commission) * fastCommissionPercentage) / 100;
-                const formattedAgentFastCommission = agentFastCommission.toLocaleString('en-US', {
-                    minimumFractionDigits: 2,
-                    maximumFractionDigits: 2
-                });
-                return `**${agent.name}**: RM${formattedAgentFastCommission}`;
-            })
-            .join('\n');
+// Render export rows as CSV
+function createClaimExportCsv(rows) {
+    return createCsv(CLAIM_EXPORT_COLUMNS, rows);
+}
 
-        embed.addFields({ name: '\u200B', value: '\u200B', inline: false });
-        embed.addFields({
-            name: `⚡ Fast Commission (${fastCommissionPercentage}%)`,
-            value: fastCommissionDetails,
-            inline: false
-        });
+// Render export rows as an XLSX workbook buffer
+async function createClaimExportXlsx(rows) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Claims');
+    sheet.columns = CLAIM_EXPORT_COLUMNS.map(column => ({ header: column.header, key: column.key, width: Math.max(12, column.header.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    rows.forEach(row => sheet.addRow(row));
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
 
-        const formattedFastCommissionAmount = fastCommissionAmount.toLocaleString('en-US', {
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        });
+// Claim lifecycle: submitted → under review → approved/rejected → fast commission paid → balance paid
+const CLAIM_STATUSES = {
+    submitted: { label: 'Submitted', emoji: '📥', color: 0x28A745, next: ['under_review'] },
+    under_review: { label: 'Under Review', emoji: '🔍', color: 0xFFC107, next: ['approved', 'rejected'] },
+    approved: { label: 'Approved', emoji: '✅', color: 0x17A2B8, next: ['fast_commission_paid'] },
+    rejected: { label: 'Rejected', emoji: '❌', color: 0xDC3545, next: ['under_review'] },
+    fast_commission_paid: { label: 'Fast Commission Paid', emoji: '⚡', color: 0x6F42C1, next: ['balance_paid'] },
+    balance_paid: { label: 'Balance Paid', emoji: '💰', color: 0x343A40, next: [] }
+};
+
+// Claims saved before the approval workflow existed count as submitted
+function getClaimStatus(submission) {
+    return CLAIM_STATUSES[submission.claim_status] ? submission.claim_status : 'submitted';
+}
 
-        embed.addFields({
-            name: '💸 Total Fast Commission',
-            value: `RM${formattedFastCommissionAmount}`,
-            inline: true
+function formatClaimStatus(status) {
+    const statusInfo = CLAIM_STATUSES[status] || CLAIM_STATUSES.submitted;
+    return `${statusInfo.emoji} ${statusInfo.label}`;
+}
+
+// Each claim pays out in stages: the fast commission release now, the balance once the developer pays
+const CLAIM_STAGES = {
+    fast: { label: 'Fast Commission', emoji: '⚡', dueField: 'fast_commission_sen' },
+    balance: { label: 'Balance', emoji: '🏗️', dueField: 'balance_sen' }
+};
+
+const STAGE_STATUSES = {
+    pending: { label: 'Pending', emoji: '⏳' },
+    due: { label: 'Due', emoji: '🔔' },
+    paid: { label: 'Paid', emoji: '✅' }
+};
+
+// Stage statuses implied by a claim status, for claims saved before stages were tracked
+const CLAIM_STATUS_STAGE_STATUSES = {
+    approved: { fast: 'due', balance: 'pending' },
+    fast_commission_paid: { fast: 'paid', balance: 'pending' },
+    balance_paid: { fast: 'paid', balance: 'paid' }
+};
+
+// Build the payout stages for a claim from its commission breakdown, one line per consultant
+function createClaimStages(breakdown, status = 'submitted') {
+    const stageStatuses = CLAIM_STATUS_STAGE_STATUSES[status] || { fast: 'pending', balance: 'pending' };
+    return Object.entries(CLAIM_STAGES).map(([key, stage]) => {
+        const paid = stageStatuses[key] === 'paid';
+        const lines = breakdown.agents.map(agent => ({
+            code: agent.code,
+            name: agent.name,
+            due_sen: agent[stage.dueField],
+            paid,
+            paid_at: null
+        }));
+        return {
+            key,
+            status: stageStatuses[key],
+            due_sen: lines.reduce((sum, line) => sum + line.due_sen, 0),
+            paid_at: null,
+            lines
+        };
+    });
+}
+
+// A claim's stages; older claims get them derived from the breakdown and claim status
+function getClaimStages(claim) {
+    return Array.isArray(claim.stages) ? claim.stages : createClaimStages(calculateCommissionBreakdown(claim), getClaimStatus(claim));
+}
+
+// Amount of a claim still to be paid, in sen
+function getOutstandingSen(claim) {
+    if (getClaimStatus(claim) === 'rejected') {
+        return 0;
+    }
+    return getClaimStages(claim)
+        .filter(stage => stage.status !== 'paid')
+        .reduce((sum, stage) => sum + stage.lines.filter(line => !line.paid).reduce((lineSum, line) => lineSum + line.due_sen, 0), 0);
+}
+
+// Set a stage's status on a claim in place; paying a stage pays all of its lines. Returns the previous status
+function setClaimStageStatus(claim, stageKey, status, actor) {
+    claim.stages = getClaimStages(claim);
+    const stage = claim.stages.find(entry => entry.key === stageKey);
+    if (!stage || !STAGE_STATUSES[status]) {
+        throw new Error(`Unknown stage ${stageKey} or status ${status}`);
+    }
+
+    const previousStatus = stage.status;
+    const now = getGMT8Date().toISOString();
+    stage.status = status;
+    stage.updated_at = now;
+    stage.updated_by = actor.id;
+    if (status === 'paid') {
+        stage.paid_at = stage.paid_at || now;
+        stage.lines.forEach(line => {
+            if (!line.paid) {
+                line.paid = true;
+                line.paid_at = now;
+            }
         });
     }
+    return previousStatus;
+}
 
-    return embed;
+function formatClaimStages(claim) {
+    return getClaimStages(claim).map(stage => {
+        const stageInfo = CLAIM_STAGES[stage.key];
+        const statusInfo = STAGE_STATUSES[stage.status];
+        const partlyPaidSen = stage.status === 'paid' ? 0 : stage.lines.filter(line => line.paid).reduce((sum, line) => sum + line.due_sen, 0);
+        return `${stageInfo.emoji} **${stageInfo.label}:** RM${formatSen(stage.due_sen)} • ${statusInfo.emoji} ${statusInfo.label}${stage.paid_at ? ` on ${formatGMT8DateString(new Date(stage.paid_at))}` : ''}${partlyPaidSen ? ` (RM${formatSen(partlyPaidSen)} paid so far)` : ''}`;
+    }).join('\n');
 }
 
+// Build the record that gets saved to the backup once a claim's documents are uploaded
+function createClaimRecord(data, userId, uploadedFiles, backupData) {
+    const submittedAt = getGMT8Date().toISOString();
+    const duplicates = findDuplicateClaims(backupData, data);
+    return {
+        ...data,
+        user_id: userId,
+        username: data.username || 'Unknown User',
+        submitted_at: submittedAt,
+        uploadedFiles: uploadedFiles,
+        claim_status: 'submitted',
+        status_history: [{ status: 'submitted', changed_at: submittedAt, changed_by: userId }],
+        possible_duplicate_of: duplicates.map(submission => submission.claim_number),
+        fast_commission_percentage: getFastCommissionPercentage(data.project_name, new Date(submittedAt)),
+        fast_commission_basis: getFastCommissionBasis(data.project_name),
+        override_commissions: calculateCommissionBreakdown({ ...data, override_commissions: undefined }).overrides,
+        stages: createClaimStages(calculateCommissionBreakdown({
+            ...data,
+            fast_commission_percentage: getFastCommissionPercentage(data.project_name, new Date(submittedAt)),
+            fast_commission_basis: getFastCommissionBasis(data.project_name)
+        }))
+    };
+}
 
+// Load the backup, apply changes to one claim and save it back; returns the updated claim or null
+async function updateClaim(claimNumber, applyChanges) {
+    return queueClaimsUpdate(async () => {
+        const backupData = await loadBackupForUpdate();
+        const claim = findSubmissionByClaimNumber(backupData, claimNumber);
+        if (!claim) {
+            return null;
+        }
 
-// Bot ready event
-client.once('ready', async () => {
-    console.log(`${client.user.tag} is online!`);
+        await applyChanges(claim);
+        await storage.write('submissions.json', backupData, `Update claim ${claim.claim_number}`);
+        return claim;
+    });
+}
 
-    // Initialize services
-    await initializeGoogleDrive();
-    initializeGitHub();
-    initializeJotform();
-    await loadFastCommissionPercentages();
+// Move a claim to its next status, recording who did it
+async function transitionClaimStatus(claimNumber, nextStatus, actor, note = '') {
+    let previousStatus = null;
 
-    // First, clear ALL global commands to start fresh (multiple attempts for stubborn commands)
-    for (let attempt = 1; attempt <= 2; attempt++) {
-        const globalCommands = await client.application.commands.fetch();
-        console.log(`🔍 Attempt ${attempt}: Found ${globalCommands.size} global commands`);
+    const claim = await updateClaim(claimNumber, claim => {
+        previousStatus = applyClaimStatus(claim, nextStatus, actor, note);
+    });
 
-        for (const command of globalCommands.values()) {
-            try {
-                await client.application.commands.delete(command.id);
-                console.log(`🗑️ Deleted global command: ${command.name}`);
-            } catch (error) {
-                console.log(`⚠️ Failed to delete ${command.name}:`, error.message);
+    if (!claim) {
+        return null;
+    }
+
+    await recordAudit(actor, 'claim_status_changed', claim.claim_number,
+        { claim_status: previousStatus },
+        { claim_status: nextStatus, note: note || null });
+    return { claim, previousStatus };
+}
+
+// Move a loaded claim to its next status in place, recording who did it; returns the previous status
+function applyClaimStatus(claim, nextStatus, actor, note = '') {
+    const previousStatus = getClaimStatus(claim);
+    if (!CLAIM_STATUSES[previousStatus].next.includes(nextStatus)) {
+        throw new Error(`Cannot move claim ${claim.claim_number} from ${CLAIM_STATUSES[previousStatus].label} to ${CLAIM_STATUSES[nextStatus]?.label || nextStatus}`);
+    }
+
+    // Keep the payout stages in step with the claim status
+    const stageStatuses = CLAIM_STATUS_STAGE_STATUSES[nextStatus];
+    if (stageStatuses) {
+        for (const stage of getClaimStages(claim)) {
+            if (stage.status !== 'paid' && stageStatuses[stage.key] !== 'pending') {
+                setClaimStageStatus(claim, stage.key, stageStatuses[stage.key], actor);
             }
         }
+    }
 
-        // Wait between attempts
-        await new Promise(resolve => setTimeout(resolve, 2000));
+    claim.claim_status = nextStatus;
+    claim.status_history = claim.status_history || [];
+    claim.status_history.push({
+        status: nextStatus,
+        changed_at: getGMT8Date().toISOString(),
+        changed_by: actor.id,
+        changed_by_username: actor.username,
+        note: note || undefined
+    });
+    return previousStatus;
+}
+
+// Change one payout stage of a stored claim, e.g. when the developer pays and the balance becomes due
+async function updateClaimStage(claimNumber, stageKey, status, actor) {
+    let previousStatus = null;
+    const claim = await updateClaim(claimNumber, claim => {
+        previousStatus = setClaimStageStatus(claim, stageKey, status, actor);
+    });
+
+    if (!claim) {
+        return null;
     }
 
-    // Final verification that no admin commands exist globally
-    const finalGlobalCommands = await client.application.commands.fetch();
-    const adminCommandsInGlobal = finalGlobalCommands.filter(cmd => cmd.name === 'admin-action');
-    if (adminCommandsInGlobal.size > 0) {
-        console.log('⚠️ WARNING: Still found admin commands globally, force deleting...');
-        for (const cmd of adminCommandsInGlobal.values()) {
-            try {
-                await client.application.commands.delete(cmd.id);
-                console.log('🗑️ Force deleted admin command:', cmd.name);
-            } catch (error) {
-                console.log('❌ Could not force delete:', error.message);
+    await recordAudit(actor, 'claim_stage_changed', claim.claim_number,
+        { stage: stageKey, status: previousStatus },
+        { stage: stageKey, status });
+    return claim;
+}
+
+// Bank bulk-payment file layout; settings.payouts.bankFile can swap in a bank's own column set
+const DEFAULT_BANK_FILE_FORMAT = {
+    delimiter: ',',
+    includeHeader: true,
+    columns: [
+        { header: 'Beneficiary Name', field: 'account_holder' },
+        { header: 'Beneficiary Account No', field: 'account_no' },
+        { header: 'Beneficiary Bank', field: 'bank_name' },
+        { header: 'Amount', field: 'amount' },
+        { header: 'Payment Reference', field: 'reference' },
+        { header: 'Payment Description', field: 'description' }
+    ]
+};
+const BANK_FILE_FORMAT = { ...DEFAULT_BANK_FILE_FORMAT, ...((settings.payouts && settings.payouts.bankFile) || {}) };
+
+const PAYOUT_SUMMARY_COLUMNS = [
+    { key: 'agent_code', header: 'Agent Code' },
+    { key: 'agent_name', header: 'Agent Name' },
+    { key: 'claim_number', header: 'Claim No.' },
+    { key: 'project', header: 'Project / Unit' },
+    { key: 'stage', header: 'Stage' },
+    { key: 'amount', header: 'Amount' },
+    { key: 'status', header: 'Status' }
+];
+
+// Load payout batches; throws when the read fails, since every batch change saves the whole list back
+async function loadPayoutBatches() {
+    return (await storage.read('payout_batches.json')) || [];
+}
+
+async function savePayoutBatches(batches) {
+    await storage.write('payout_batches.json', batches, `Update payout batches - ${new Date().toISOString()}`);
+}
+
+// Gather every due, unpaid stage line, including zero or negative ones that only need closing
+function collectPayoutItems(backupData) {
+    const items = [];
+    for (const claim of backupData) {
+        if (!['approved', 'fast_commission_paid'].includes(getClaimStatus(claim))) {
+            continue;
+        }
+        for (const stage of getClaimStages(claim)) {
+            if (stage.status !== 'due') {
+                continue;
+            }
+            for (const line of stage.lines) {
+                if (!line.paid) {
+                    items.push({
+                        claim_number: claim.claim_number,
+                        project: `${claim.project_name} - ${claim.unit_no}`,
+                        stage: stage.key,
+                        agent_code: normalizeAgentCode(line.code),
+                        agent_name: line.name,
+                        amount_sen: line.due_sen
+                    });
+                }
             }
         }
     }
+    return items;
+}
 
-    // Wait longer for Discord to process all deletions
-    await new Promise(resolve => setTimeout(resolve, 3000));
+// Build a draft payout batch; consultants without bank details are held back and listed as skipped.
+// Lines with nothing to pay (a 0% fast rate, deductions at or above the commission) are not paid but
+// are marked settled on confirmation, so their stage can still be completed.
+function createPayoutBatch(backupData, actor) {
+    const createdAt = getGMT8Date();
+    const batchId = `PB-${formatInTimeZone(createdAt, GMT8_TIMEZONE, 'yyyyMMdd-HHmm')}-${crypto.randomBytes(2).toString('hex')}`;
+    const byAgent = new Map();
+    const settled = [];
+    for (const item of collectPayoutItems(backupData)) {
+        if (item.amount_sen <= 0) {
+            settled.push(item);
+            continue;
+        }
+        if (!byAgent.has(item.agent_code)) {
+            byAgent.set(item.agent_code, []);
+        }
+        byAgent.get(item.agent_code).push(item);
+    }
 
-    // Register ONLY public commands globally (admin-action should NOT be here)
-    const publicCommands = [
-        new SlashCommandBuilder()
-            .setName('fast-comm-submission')
-            .setDescription('Submit commission claim with document upload'),
-        new SlashCommandBuilder()
-            .setName('check-my-upload')
-            .setDescription('Check your submission status and uploaded documents')
-    ];
+    const lines = [];
+    const skipped = [];
+    for (const [agentCode, items] of byAgent.entries()) {
+        const consultant = findConsultant(agentCode);
+        const amountSen = items.reduce((sum, item) => sum + item.amount_sen, 0);
+        if (!consultant || !consultant.bank_account_no) {
+            skipped.push({ agent_code: agentCode, agent_name: items[0].agent_name, amount_sen: amountSen, items, reason: consultant ? 'No bank details' : 'Not in consultant directory' });
+            continue;
+        }
+        lines.push({
+            agent_code: agentCode,
+            agent_name: consultant.name,
+            account_holder: consultant.bank_account_holder || consultant.name,
+            account_no: consultant.bank_account_no,
+            bank_name: consultant.bank_name || '',
+            amount_sen: amountSen,
+            items
+        });
+    }
 
-    // Set global commands to ONLY the public commands (this replaces all global commands)
-    await client.application.commands.set(publicCommands);
-    console.log('✅ Public commands (fast-comm-submission, check-my-upload) registered globally');
+    return {
+        batch_id: batchId,
+        status: 'draft',
+        created_at: createdAt.toISOString(),
+        created_by: actor.id,
+        created_by_username: actor.username,
+        total_sen: lines.reduce((sum, line) => sum + line.amount_sen, 0),
+        lines,
+        skipped,
+        settled
+    };
+}
 
-    // Register admin commands ONLY in the specific admin guild
-    const adminGuildId = "1118938632250732544"; // Your Discord server ID
+// Bank bulk-payment file for a batch in the configured layout
+function createBankPaymentFile(batch) {
+    const rows = batch.lines.map(line => ({
+        account_holder: line.account_holder,
+        account_no: line.account_no,
+        bank_name: line.bank_name,
+        amount: (line.amount_sen / 100).toFixed(2),
+        reference: batch.batch_id,
+        description: `Commission ${line.items.map(item => item.claim_number).filter((number, index, all) => all.indexOf(number) === index).join(' ')}`.slice(0, 140),
+        agent_code: line.agent_code,
+        agent_name: line.agent_name
+    }));
+    const columns = BANK_FILE_FORMAT.columns.map(column => ({ key: column.field, header: column.header }));
+    return createCsv(columns, rows, BANK_FILE_FORMAT);
+}
 
-    try {
-        // Wait for guild to be available
-        await client.guilds.fetch(adminGuildId);
-        const guild = client.guilds.cache.get(adminGuildId);
+// Per-claim summary of a batch, including lines held back for missing bank details
+function createPayoutSummaryCsv(batch) {
+    const rows = [];
+    const addRows = (entries, getStatus) => entries.forEach(entry => entry.items.forEach(item => rows.push({
+        agent_code: entry.agent_code,
+        agent_name: entry.agent_name,
+        claim_number: item.claim_number,
+        project: item.project,
+        stage: CLAIM_STAGES[item.stage].label,
+        amount: (item.amount_sen / 100).toFixed(2),
+        status: getStatus(entry)
+    })));
+    addRows(batch.lines, () => (batch.status === 'confirmed' ? 'Paid' : 'In batch'));
+    addRows(batch.skipped, entry => `Held back - ${entry.reason}`);
+    return createCsv(PAYOUT_SUMMARY_COLUMNS, rows);
+}
 
-        if (guild) {
-            // Define admin commands for guild-only registration with proper permission restrictions
-            const adminCommands = [
-                new SlashCommandBuilder()
-                    .setName('admin-action')
-                    .setDescription('Admin actions for submission management (Admin only)')
-                    .setDefaultMemberPermissions('0') // This hides the command from all users without Administrator permission
-                    .addStringOption(option =>
-                        option.setName('action')
-                            .setDescription('Action to perform')
-                            .setRequired(true)
-                            .addChoices(
-                                { name: 'Check Submissions', value: 'check_submissions' },
-                                { name: 'List Recent', value: 'list' },
-                                { name: 'Delete by Index', value: 'delete' },
-                                { name: 'Bulk Delete', value: 'bulk_delete' },
-                                { name: 'View Details', value: 'view' },
-                                { name: 'Adjust Fast Commission %', value: 'adjust_fast_comm' },
-                                { name: 'View Fast Commission Settings', value: 'view_fast_comm_settings' }
-                            ))
-                    .addStringOption(option =>
-                        option.setName('user_id')
-                            .setDescription('User ID to check (for check_submissions)')
-                            .setRequired(false))
-                    .addIntegerOption(option =>
-                        option.setName('limit')
-                            .setDescription('Number of recent submissions to show (for check_submissions, default: 10)')
-                            .setRequired(false))
-                    .addIntegerOption(option =>
-                        option.setName('index')
-                            .setDescription('Index number of submission (for delete/view)')
-                            .setRequired(false))
-                    .addStringOption(option =>
-                        option.setName('indices')
-                            .setDescription('Comma-separated indices for bulk delete (e.g., 1,3,5-8,12)')
-                            .setRequired(false))
-                    .addStringOption(option =>
-                        option.setName('project_name')
-                            .setDescription('Project name (for adjust_fast_comm)')
-                            .setRequired(false))
-                    .addNumberOption(option =>
-                        option.setName('percentage')
-                            .setDescription('Fast commission percentage 0-100 (for adjust_fast_comm)')
-                            .setRequired(false)
-                            .setMinValue(0)
-                            .setMaxValue(100))
-                    .addBooleanOption(option =>
-                        option.setName('confirm')
-                            .setDescription('Confirm bulk deletion (required for bulk delete)')
-                            .setRequired(false))
-            ];
+function createPayoutBatchEmbed(batch) {
+    const statusLabels = { draft: '📝 Awaiting confirmation', confirmed: '✅ Confirmed and paid', cancelled: '❌ Cancelled', superseded: '⏭️ Superseded by a newer run' };
+    const embed = new EmbedBuilder()
+        .setTitle(`💸 Payout Batch ${batch.batch_id}`)
+        .setColor(batch.status === 'confirmed' ? 0x28A745 : 0x0099FF)
+        .setDescription(`**Status:** ${statusLabels[batch.status] || batch.status}\n**Payments:** ${batch.lines.length} • **Total:** RM${formatSen(batch.total_sen)}${batch.settled && batch.settled.length > 0 ? `\n**Nothing to pay:** ${batch.settled.length} line(s), closed on confirmation` : ''}`)
+        .setTimestamp(new Date(batch.created_at));
+
+    if (batch.lines.length > 0) {
+        const lineList = batch.lines
+            .map(line => `**${line.agent_code}** ${line.agent_name}: RM${formatSen(line.amount_sen)} (${line.items.length} item(s))`)
+            .join('\n');
+        embed.addFields({ name: '🏦 Payments', value: lineList.length > 1024 ? lineList.substring(0, 1020) + '...' : lineList, inline: false });
+    }
+    if (batch.skipped.length > 0) {
+        const skippedList = batch.skipped
+            .map(entry => `**${entry.agent_code}** ${entry.agent_name}: RM${formatSen(entry.amount_sen)} - ${entry.reason}`)
+            .join('\n');
+        embed.addFields({ name: '⚠️ Held Back', value: skippedList.length > 1024 ? skippedList.substring(0, 1020) + '...' : skippedList, inline: false });
+    }
+    if (batch.confirmed_at) {
+        embed.addFields({ name: '✅ Confirmed', value: `<@${batch.confirmed_by}> on ${formatGMT8DateString(new Date(batch.confirmed_at))}`, inline: false });
+    }
+    return embed;
+}
 
-            // Set admin commands ONLY in the guild (this replaces ALL guild commands)
-            await guild.commands.set(adminCommands);
-            console.log(`✅ Admin command (admin-action) registered ONLY in admin guild: ${guild.name}`);
+function createPayoutBatchFiles(batch) {
+    return [
+        new AttachmentBuilder(Buffer.from(createBankPaymentFile(batch), 'utf8'), { name: `${batch.batch_id}-bank.csv` }),
+        new AttachmentBuilder(Buffer.from(createPayoutSummaryCsv(batch), 'utf8'), { name: `${batch.batch_id}-summary.csv` })
+    ];
+}
 
-            // Final verification that admin commands are NOT in global scope
-            const finalGlobalCommands = await client.application.commands.fetch();
-            const adminInGlobal = finalGlobalCommands.find(cmd => cmd.name === 'admin-action');
-            if (adminInGlobal) {
-                console.log('❌ WARNING: admin-action still found in global commands, force removing...');
-                await client.application.commands.delete(adminInGlobal.id);
-                console.log('✅ Force removed admin-action from global commands');
-            } else {
-                console.log('✅ CONFIRMED: admin-action is hidden from all users except in admin guild');
+// Every stage line a batch settles: the bank payments plus the zero or negative lines it closes without paying
+function getPayoutBatchItems(batch) {
+    return [...batch.lines.flatMap(line => line.items), ...(batch.settled || [])];
+}
+
+// Mark a batch's stage lines paid in the loaded claims, moving claims along once a whole stage is paid.
+// Checks every line first so a batch is applied whole or not at all; returns the changed claims.
+function applyPayoutBatch(batch, backupData, actor, paidAt) {
+    const changedClaims = new Map();
+
+    const matches = [];
+    const problems = [];
+    for (const item of getPayoutBatchItems(batch)) {
+        const claim = findSubmissionByClaimNumber(backupData, item.claim_number);
+        if (!claim) {
+            problems.push(`${item.claim_number} no longer exists`);
+            continue;
+        }
+        const stage = getClaimStages(claim).find(entry => entry.key === item.stage);
+        const stageLine = stage && stage.lines.find(entry => normalizeAgentCode(entry.code) === item.agent_code && !entry.paid);
+        if (!stageLine) {
+            problems.push(`${item.claim_number} has no unpaid ${item.stage} line for ${item.agent_code}`);
+            continue;
+        }
+        matches.push({ item, claim });
+    }
+    if (problems.length > 0) {
+        throw new Error(`Payout batch ${batch.batch_id} no longer matches the claims and was not confirmed:\n${problems.slice(0, 10).map(problem => `• ${problem}`).join('\n')}${problems.length > 10 ? `\n…and ${problems.length - 10} more` : ''}`);
+    }
+
+    for (const { item, claim } of matches) {
+        claim.stages = getClaimStages(claim);
+        const stage = claim.stages.find(entry => entry.key === item.stage);
+        const stageLine = stage.lines.find(entry => normalizeAgentCode(entry.code) === item.agent_code && !entry.paid);
+
+        stageLine.paid = true;
+        stageLine.paid_at = paidAt;
+        stageLine.payout_batch_id = batch.batch_id;
+        changedClaims.set(claim.claim_number, claim);
+
+        // A fully paid stage moves the claim to the matching status
+        if (stage.lines.every(entry => entry.paid)) {
+            setClaimStageStatus(claim, stage.key, 'paid', actor);
+            const nextStatus = stage.key === 'fast' ? 'fast_commission_paid' : 'balance_paid';
+            if (CLAIM_STATUSES[getClaimStatus(claim)].next.includes(nextStatus)) {
+                applyClaimStatus(claim, nextStatus, actor, `Paid in payout batch ${batch.batch_id}`);
             }
-        } else {
-            console.log('❌ Admin guild not found - admin commands not registered');
         }
-    } catch (error) {
-        console.error('❌ Error setting up admin commands:', error);
     }
 
-    console.log('✅ Command visibility properly configured:');
-    console.log('  - fast-comm-submission: VISIBLE to all users globally');
-    console.log('  - check-my-upload: VISIBLE to all users globally');
-    console.log('  - admin-action: HIDDEN from regular users, only visible in admin guild');
+    return Array.from(changedClaims.values());
+}
 
-    // Start express server
-    const PORT = process.env.PORT || 5000;
-    app.listen(PORT, '0.0.0.0', () => {
-        // Universal host detection with PUBLIC_URL priority
-        let serverUrl = '';
-        if (process.env.PUBLIC_URL) {
-            serverUrl = `https://${process.env.PUBLIC_URL}`;
-        } else if (process.env.REPL_SLUG && process.env.REPL_OWNER) {
-            serverUrl = `https://${process.env.REPL_SLUG}.${process.env.REPL_OWNER}.repl.co`;
-        } else if (process.env.VERCEL_URL) {
-            serverUrl = `https://${process.env.VERCEL_URL}`;
-        } else if (process.env.RAILWAY_PUBLIC_DOMAIN) {
-            serverUrl = `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`;
-        } else if (process.env.RENDER_EXTERNAL_URL) {
-            serverUrl = process.env.RENDER_EXTERNAL_URL;
-        } else {
-            serverUrl = `http://localhost:${PORT}`;
+// Mark every line in a draft batch paid and save the claims and batch. Returns { batch, claims }
+async function confirmPayoutBatch(batchId, actor) {
+    return queueClaimsUpdate(async () => {
+        const batches = await loadPayoutBatches();
+        const batch = batches.find(entry => entry.batch_id === batchId);
+        if (!batch) {
+            throw new Error(`Payout batch ${batchId} not found.`);
+        }
+        if (batch.status !== 'draft') {
+            throw new Error(`Payout batch ${batchId} is already ${batch.status}.`);
         }
-        console.log(`Express server running on port ${PORT}`);
-        console.log(`Webhook test URL: ${serverUrl}/webhook/test`);
-        console.log(`Webhook URL: ${serverUrl}/webhook/jotform`);
-    });
-});
 
-// Handle message attachments
-client.on('messageCreate', async message => {
-    if (message.author.bot) return;
+        const backupData = await loadBackupForUpdate();
+        const paidAt = getGMT8Date().toISOString();
+        const changedClaims = applyPayoutBatch(batch, backupData, actor, paidAt);
+
+        // Written directly rather than through saveBackup, which only logs failures: the batch must not
+        // be marked confirmed unless the paid lines were saved
+        await storage.write('submissions.json', backupData, `Confirm payout batch ${batch.batch_id}`);
+
+        batch.status = 'confirmed';
+        batch.confirmed_at = paidAt;
+        batch.confirmed_by = actor.id;
+        await savePayoutBatches(batches);
+        await recordAudit(actor, 'payout_batch_confirmed', null, null, {
+            batch_id: batch.batch_id,
+            total_sen: batch.total_sen,
+            claim_numbers: changedClaims.map(claim => claim.claim_number)
+        });
+
+        return { batch, claims: changedClaims };
+    });
+}
+
+// Edit a claim's notification message to match its current state, if we know where it is
+async function refreshClaimNotification(claim) {
+    if (!claim.notification) {
+        return;
+    }
+    try {
+        const channel = await client.channels.fetch(claim.notification.channel_id);
+        const message = await channel.messages.fetch(claim.notification.message_id);
+        await message.edit({
+            embeds: [createSubmissionNotificationEmbed(claim, claim.jotformSubmissionId)],
+            components: createClaimStatusButtons(claim)
+        });
+    } catch (error) {
+        console.error(`Could not refresh notification for claim ${claim.claim_number}:`, error.message);
+    }
+}
+
+// Read a statement month as YYYY-MM from "2026-03", "03/2026" or "3-2026"; defaults to the current GMT+8 month
+function parseStatementMonth(input) {
+    if (!input || !input.trim()) {
+        return formatInTimeZone(new Date(), GMT8_TIMEZONE, 'yyyy-MM');
+    }
+
+    const text = input.trim();
+    const match = text.match(/^(\d{4})[-/](\d{1,2})$/) || text.match(/^(\d{1,2})[-/](\d{4})$/);
+    if (!match) {
+        throw new Error(`Invalid month "${text}". Use YYYY-MM or MM/YYYY, e.g. 2026-03.`);
+    }
+
+    const [year, month] = match[1].length === 4 ? [match[1], match[2]] : [match[2], match[1]];
+    if (Number(month) < 1 || Number(month) > 12) {
+        throw new Error(`Invalid month "${text}". Use YYYY-MM or MM/YYYY, e.g. 2026-03.`);
+    }
+    return `${year}-${month.padStart(2, '0')}`;
+}
+
+function getGMT8Month(isoDate) {
+    return isoDate ? formatInTimeZone(new Date(isoDate), GMT8_TIMEZONE, 'yyyy-MM') : '';
+}
+
+// One consultant's statement for a month: claims submitted that month, paid that month or still outstanding
+function buildAgentStatement(backupData, agentCode, month) {
+    const code = normalizeAgentCode(agentCode);
+    const consultant = findConsultant(code);
+    const rows = [];
+
+    for (const claim of backupData) {
+        const submittedMonth = getGMT8Month(claim.submitted_at);
+        if (getClaimStatus(claim) === 'rejected' || !submittedMonth || submittedMonth > month) {
+            continue;
+        }
+
+        const agent = calculateCommissionBreakdown(claim).agents.find(entry => normalizeAgentCode(entry.code) === code);
+        if (!agent) {
+            continue;
+        }
+
+        const lines = getClaimStages(claim).map(stage => ({
+            stage: stage.key,
+            line: stage.lines.find(entry => normalizeAgentCode(entry.code) === code)
+        })).filter(entry => entry.line);
+
+        // A line paid after the statement month was still outstanding at its end
+        const paidByMonthEnd = line => line.paid && (!line.paid_at || getGMT8Month(line.paid_at) <= month);
+        const fastPaidSen = lines.filter(entry => entry.stage === 'fast' && paidByMonthEnd(entry.line)).reduce((sum, entry) => sum + entry.line.due_sen, 0);
+        const paidThisMonthSen = lines.filter(entry => entry.line.paid && getGMT8Month(entry.line.paid_at) === month).reduce((sum, entry) => sum + entry.line.due_sen, 0);
+        const outstandingSen = lines.filter(entry => !paidByMonthEnd(entry.line)).reduce((sum, entry) => sum + entry.line.due_sen, 0);
+
+        if (submittedMonth !== month && paidThisMonthSen === 0 && outstandingSen === 0) {
+            continue;
+        }
+
+        rows.push({
+            claim_number: claim.claim_number,
+            project: `${claim.project_name} - ${claim.unit_no}`,
+            submitted_at: claim.submitted_at,
+            status: CLAIM_STATUSES[getClaimStatus(claim)].label,
+            percentage: agent.percentage,
+            commission_sen: agent.net_commission_sen,
+            fast_paid_sen: fastPaidSen,
+            paid_this_month_sen: paidThisMonthSen,
+            outstanding_sen: outstandingSen
+        });
+    }
+
+    // Codes missing from the directory fall back to the name typed on a claim
+    const claimAgent = backupData.flatMap(claim => claim.agents || []).find(entry => entry && normalizeAgentCode(entry.code) === code);
+    const total = key => rows.reduce((sum, row) => sum + row[key], 0);
+    return {
+        agent_code: code,
+        agent_name: (consultant && consultant.name) || (claimAgent && claimAgent.name) || code,
+        month,
+        rows,
+        total_commission_sen: total('commission_sen'),
+        total_fast_paid_sen: total('fast_paid_sen'),
+        total_paid_this_month_sen: total('paid_this_month_sen'),
+        total_outstanding_sen: total('outstanding_sen')
+    };
+}
+
+// Render a statement as an A4 PDF and resolve with its bytes
+function createStatementPdf(statement) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 40 });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const monthLabel = formatInTimeZone(new Date(`${statement.month}-15T00:00:00Z`), GMT8_TIMEZONE, 'MMMM yyyy');
+        doc.fontSize(16).font('Helvetica-Bold').text(`Commission Statement - ${monthLabel}`);
+        doc.moveDown(0.3).fontSize(10).font('Helvetica')
+            .text(`${statement.agent_name} (${statement.agent_code})`)
+            .text(`Generated ${formatInTimeZone(new Date(), GMT8_TIMEZONE, 'dd/MM/yyyy HH:mm')} (GMT+8)`);
+        doc.moveDown();
+
+        const columns = [
+            { header: 'Claim No.', width: 85, value: row => row.claim_number },
+            { header: 'Project / Unit', width: 140, value: row => row.project },
+            { header: 'Split', width: 40, value: row => `${row.percentage}%`, align: 'right' },
+            { header: 'Commission', width: 75, value: row => formatSen(row.commission_sen), align: 'right' },
+            { header: 'Fast Paid', width: 75, value: row => formatSen(row.fast_paid_sen), align: 'right' },
+            { header: 'Outstanding', width: 80, value: row => formatSen(row.outstanding_sen), align: 'right' }
+        ];
+
+        const drawRow = (values, bold = false) => {
+            const y = doc.y;
+            let x = doc.page.margins.left;
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+            const heights = columns.map((column, index) => {
+                doc.text(values[index], x, y, { width: column.width - 5, align: column.align || 'left' });
+                x += column.width;
+                return doc.y - y;
+            });
+            doc.x = doc.page.margins.left;
+            doc.y = y + Math.max(...heights) + 4;
+            if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+                doc.addPage();
+            }
+        };
+
+        drawRow(columns.map(column => column.header), true);
+        if (statement.rows.length === 0) {
+            doc.font('Helvetica').fontSize(9).text('No claims for this month.');
+        }
+        statement.rows.forEach(row => drawRow(columns.map(column => column.value(row))));
+        drawRow(['Total', '', '', formatSen(statement.total_commission_sen), formatSen(statement.total_fast_paid_sen), formatSen(statement.total_outstanding_sen)], true);
+
+        doc.moveDown().font('Helvetica-Bold').fontSize(11)
+            .text(`Paid to you in ${monthLabel}: RM${formatSen(statement.total_paid_this_month_sen)}`)
+            .text(`Balance outstanding: RM${formatSen(statement.total_outstanding_sen)}`);
+        doc.moveDown().font('Helvetica').fontSize(8)
+            .text('Commission is shown net of deductions and tax withholding. Outstanding amounts are paid once each stage becomes due.');
+
+        doc.end();
+    });
+}
+
+function getStatementFileName(statement) {
+    return `Statement_${statement.month}_${statement.agent_code}_${String(statement.agent_name).replace(/[^a-zA-Z0-9]/g, '_')}.pdf`;
+}
+
+// Give claims saved before claim numbers existed a number, in submission order
+async function migrateClaimNumbers() {
+    const backupData = await loadBackup();
+    const missing = backupData.filter(submission => !submission.claim_number);
+
+    if (missing.length === 0) {
+        return;
+    }
+
+    const counters = (await storage.read('claim_counter.json')) || {};
+    for (const submission of backupData) {
+        const parsed = parseClaimNumber(submission.claim_number);
+        if (parsed) {
+            counters[parsed.year] = Math.max(counters[parsed.year] || 0, parsed.sequence);
+        }
+    }
+
+    const sorted = [...missing].sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at));
+    for (const submission of sorted) {
+        const submittedAt = submission.submitted_at ? new Date(submission.submitted_at) : getGMT8Date();
+        const year = formatInTimeZone(submittedAt, GMT8_TIMEZONE, 'yyyy');
+        counters[year] = (counters[year] || 0) + 1;
+        submission.claim_number = formatClaimNumber(year, counters[year]);
+    }
+
+    await storage.write('claim_counter.json', counters, 'Assign claim numbers to existing claims');
+    await saveBackup(backupData);
+    console.log(`✅ Assigned claim numbers to ${missing.length} existing claim(s)`);
+}
+
+// Validate agent percentages
+function validateAgentPercentages(agents) {
+    const total = agents.reduce((sum, agent) => sum + parseFloat(agent.percentage || 0), 0);
+    return Math.abs(total - REQUIRED_AGENT_PERCENTAGE_TOTAL) < 0.01; // Allow for small floating point errors
+}
+
+// Clean up a typed amount or percentage ("RM 500,000", "3%") to plain digits with thousands commas,
+// or return null when it is not a number at all
+function normalizeDecimalInput(value) {
+    const text = String(value === undefined || value === null ? '' : value)
+        .replace(/\s+/g, '')
+        .replace(/^(-?)RM/i, '$1')
+        .replace(/%$/, '');
+    return /^-?(?=[\d,]*\d)[\d,]*(\.\d*)?$|^-?\.\d+$/.test(text) ? text : null;
+}
+
+// Parse a decimal amount ("1,234.56", "RM1,234.56", "3%", 1234.5) into an integer count of 1/10^scale units
+// without float rounding. Anything that is not a number counts as 0, so user input is checked with
+// normalizeDecimalInput before it is stored.
+function parseScaledDecimal(value, scale) {
+    const text = (normalizeDecimalInput(value) || '').replace(/,/g, '');
+    const match = text.match(/^(-?)(\d*)(?:\.(\d*))?$/);
+    if (!match || (match[2] === '' && !match[3])) {
+        return 0n;
+    }
+
+    const [, sign, whole, fraction = ''] = match;
+    const digits = fraction.padEnd(scale + 1, '0');
+    let scaled = BigInt(whole || '0') * 10n ** BigInt(scale) + BigInt(digits.slice(0, scale) || '0');
+    // Round half up on the first dropped digit
+    if (Number(digits[scale]) >= 5) {
+        scaled += 1n;
+    }
+    return sign === '-' ? -scaled : scaled;
+}
+
+// Convert a ringgit amount to integer sen
+function toSen(amount) {
+    return Number(parseScaledDecimal(amount, 2));
+}
+
+// Format integer sen as "12,345.67"
+function formatSen(sen) {
+    const negative = sen < 0;
+    const absolute = Math.abs(sen);
+    const ringgit = Math.floor(absolute / 100).toLocaleString('en-US');
+    const cents = String(absolute % 100).padStart(2, '0');
+    return `${negative ? '-' : ''}${ringgit}.${cents}`;
+}
+
+// Percentages are carried with four decimal places (e.g. 33.3333%)
+const PERCENTAGE_SCALE = 4;
+
+// Apply a percentage to an amount in sen, rounding half up
+function applyPercentageSen(sen, percentage) {
+    const scaledPercentage = parseScaledDecimal(percentage, PERCENTAGE_SCALE);
+    const divisor = 100n * 10n ** BigInt(PERCENTAGE_SCALE);
+    const product = BigInt(sen) * scaledPercentage;
+    return Number((product * 2n + divisor) / (divisor * 2n));
+}
+
+// Split an amount in sen by weights so the parts always add up to the amount.
+// Leftover sen go to the largest fractional remainders, ties to the earlier entry.
+function allocateSen(totalSen, weights) {
+    const scaledWeights = weights.map(weight => {
+        const scaled = typeof weight === 'bigint' ? weight : parseScaledDecimal(weight, PERCENTAGE_SCALE);
+        return scaled > 0n ? scaled : 0n;
+    });
+    const weightTotal = scaledWeights.reduce((sum, weight) => sum + weight, 0n);
+    if (weightTotal === 0n) {
+        return weights.map(() => 0);
+    }
+
+    const total = BigInt(totalSen);
+    const shares = scaledWeights.map(weight => (total * weight) / weightTotal);
+    const remainders = scaledWeights.map((weight, index) => ({ index, remainder: (total * weight) % weightTotal }));
+    let leftover = total - shares.reduce((sum, share) => sum + share, 0n);
+
+    remainders.sort((a, b) => (a.remainder === b.remainder ? a.index - b.index : (b.remainder > a.remainder ? 1 : -1)));
+    for (const { index } of remainders) {
+        if (leftover <= 0n) {
+            break;
+        }
+        shares[index] += 1n;
+        leftover -= 1n;
+    }
+
+    return shares.map(Number);
+}
+
+// Work out the full commission breakdown for a claim or draft, all amounts in integer sen
+function calculateCommissionBreakdown(data, fastCommissionPercentage = getClaimFastCommissionPercentage(data)) {
+    const agents = (data.agents || []).filter(agent => agent && agent.name);
+    const nettPriceSen = toSen(data.nett_price);
+    const totalCommissionSen = applyPercentageSen(nettPriceSen, data.commission_rate || 0);
+
+    // Splits normally add up to the required total; if they don't, only the stated share is paid out
+    const splitTotal = agents.reduce((sum, agent) => sum + parseScaledDecimal(agent.percentage || 0, PERCENTAGE_SCALE), 0n);
+    const requiredTotal = parseScaledDecimal(REQUIRED_AGENT_PERCENTAGE_TOTAL, PERCENTAGE_SCALE);
+    const distributedSen = splitTotal === requiredTotal ?
+        totalCommissionSen :
+        Number((BigInt(totalCommissionSen) * splitTotal * 2n + requiredTotal) / (requiredTotal * 2n));
+
+    const agentCommissions = allocateSen(distributedSen, agents.map(agent => agent.percentage || 0));
+
+    // Claim-wide deductions are shared by each consultant's gross share, then per-consultant ones apply
+    const deductions = data.deductions || {};
+    const claimDeductionSen = (deductions.referral_fee_sen || 0) + (deductions.customer_rebate_sen || 0);
+    const sharedDeductions = allocateSen(claimDeductionSen, agentCommissions.map(BigInt));
+    const withholdingPercentage = deductions.withholding_percentage !== undefined ? deductions.withholding_percentage : DEFAULT_WITHHOLDING_PERCENTAGE;
+
+    const agentNet = agents.map((agent, index) => {
+        const ownDeductionSen = (deductions.agent_deductions || [])
+            .filter(entry => entry.code === normalizeAgentCode(agent.code))
+            .reduce((sum, entry) => sum + entry.amount_sen, 0);
+        const deductionSen = sharedDeductions[index] + ownDeductionSen;
+        const beforeTaxSen = agentCommissions[index] - deductionSen;
+        const withholdingSen = beforeTaxSen > 0 ? applyPercentageSen(beforeTaxSen, withholdingPercentage) : 0;
+        return { deductionSen, withholdingSen, netSen: beforeTaxSen - withholdingSen };
+    });
+
+    const fastCommissionBasis = data.fast_commission_basis || getFastCommissionBasis(data.project_name);
+    const fastBases = fastCommissionBasis === 'net' ?
+        agentNet.map(({ netSen }) => Math.max(netSen, 0)) :
+        agentCommissions;
+    const totalFastCommissionSen = applyPercentageSen(fastBases.reduce((sum, sen) => sum + sen, 0), fastCommissionPercentage);
+    const agentFastCommissions = allocateSen(totalFastCommissionSen, fastBases.map(BigInt));
+    const agentBreakdowns = agents.map((agent, index) => ({
+        name: agent.name,
+        code: agent.code,
+        percentage: parseFloat(agent.percentage) || 0,
+        commission_sen: agentCommissions[index],
+        deduction_sen: agentNet[index].deductionSen,
+        withholding_sen: agentNet[index].withholdingSen,
+        net_commission_sen: agentNet[index].netSen,
+        fast_commission_sen: agentFastCommissions[index],
+        balance_sen: agentNet[index].netSen - agentFastCommissions[index]
+    }));
+    const totalNetSen = agentBreakdowns.reduce((sum, agent) => sum + agent.net_commission_sen, 0);
+
+    // Submitted claims keep the overrides worked out at submission; drafts use the current hierarchy
+    const overrides = Array.isArray(data.override_commissions) ? data.override_commissions : calculateOverrideCommissions(agentBreakdowns);
+
+    return {
+        nett_price_sen: nettPriceSen,
+        commission_rate: parseFloat(data.commission_rate) || 0,
+        fast_commission_percentage: fastCommissionPercentage,
+        fast_commission_basis: fastCommissionBasis,
+        withholding_percentage: withholdingPercentage,
+        total_commission_sen: distributedSen,
+        total_deductions_sen: agentBreakdowns.reduce((sum, agent) => sum + agent.deduction_sen, 0),
+        total_withholding_sen: agentBreakdowns.reduce((sum, agent) => sum + agent.withholding_sen, 0),
+        total_net_sen: totalNetSen,
+        total_fast_commission_sen: totalFastCommissionSen,
+        total_balance_sen: totalNetSen - totalFastCommissionSen,
+        agents: agentBreakdowns,
+        overrides,
+        total_override_sen: overrides.reduce((sum, override) => sum + override.amount_sen, 0)
+    };
+}
+
+// Calculate commissions
+function calculateCommissions(nettPrice, commissionRate, agents) {
+    const breakdown = calculateCommissionBreakdown({ nett_price: nettPrice, commission_rate: commissionRate, agents }, 0);
+    console.log(`💰 Commission: RM${formatSen(breakdown.total_commission_sen)} (${commissionRate}% of RM${formatSen(breakdown.nett_price_sen)}) across ${breakdown.agents.length} consultant(s)`);
+
+    // Named consultants take their allocated share; empty slots are kept so wizard slot numbers stay stable
+    let namedIndex = 0;
+    return agents.map(agent => {
+        if (!agent || !agent.name) {
+            return agent;
+        }
+        const commissionSen = breakdown.agents[namedIndex++].commission_sen;
+        return {
+            ...agent,
+            commission: (commissionSen / 100).toFixed(2)
+        };
+    });
+}
+
+// Create submission form modal
+function createSubmissionModal(existingData = {}) {
+    const modal = new ModalBuilder()
+        .setCustomId(draftCustomId('submission_form', existingData))
+        .setTitle('Commission Submission Form');
+
+    const components = [
+        new TextInputBuilder()
+            .setCustomId('project_name')
+            .setLabel('Project Name')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true),
+
+        new TextInputBuilder()
+            .setCustomId('unit_no')
+            .setLabel('Unit No.')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true),
+
+        new TextInputBuilder()
+            .setCustomId('spa_price')
+            .setLabel('SPA Price')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true),
+
+        new TextInputBuilder()
+            .setCustomId('nett_price')
+            .setLabel('Nett Purchased Price')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true),
+
+        new TextInputBuilder()
+            .setCustomId('commission_rate')
+            .setLabel('Commission Rate (%)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+    ];
+
+    if (existingData.project_name) components[0].setValue(existingData.project_name);
+    if (existingData.unit_no) components[1].setValue(existingData.unit_no);
+    if (existingData.spa_price) components[2].setValue(String(existingData.spa_price));
+    if (existingData.nett_price) components[3].setValue(String(existingData.nett_price));
+    if (existingData.commission_rate !== undefined && existingData.commission_rate !== null) components[4].setValue(String(existingData.commission_rate));
+
+    components.forEach((component, index) => {
+        modal.addComponents(new ActionRowBuilder().addComponents(component));
+    });
+
+    return modal;
+}
+
+// Create agent details modal
+function createAgentModal(step, existingAgent = {}, data = null) {
+    const modal = new ModalBuilder()
+        .setCustomId(draftCustomId(`agent_form_${step}`, data))
+        .setTitle(`Consultant Details - Step ${step}`);
+
+    // Only 1 agent per modal to stay within Discord's 5 component limit
+    const agentNum = step;
+
+    if (agentNum <= MAX_AGENTS) {
+        const nameComponent = new TextInputBuilder()
+            .setCustomId(`agent${agentNum}_name`)
+            .setLabel(consultantDirectory.size > 0 ? `Consultant ${agentNum} Name (filled from code)` : `Consultant ${agentNum} Name`)
+            .setStyle(TextInputStyle.Short)
+            .setRequired(false)
+            .setValue(existingAgent.name || '');
+
+        const codeComponent = new TextInputBuilder()
+            .setCustomId(`agent${agentNum}_code`)
+            .setLabel(`Consultant ${agentNum} Code`)
+            .setStyle(TextInputStyle.Short)
+            .setRequired(false)
+            .setValue(existingAgent.code || '');
+
+        const percentageComponent = new TextInputBuilder()
+            .setCustomId(`agent${agentNum}_percentage`)
+            .setLabel(`Consultant ${agentNum} Percentage (%)`)
+            .setStyle(TextInputStyle.Short)
+            .setRequired(false)
+            .setValue(existingAgent.percentage ? existingAgent.percentage.toString() : '')
+            .setPlaceholder('Portion from the total commission');
+
+        modal.addComponents(
+            new ActionRowBuilder().addComponents(nameComponent),
+            new ActionRowBuilder().addComponents(codeComponent),
+            new ActionRowBuilder().addComponents(percentageComponent)
+        );
+    }
+
+    return modal;
+}
+
+// Paginated review of a draft's consultants with edit, add and next-step buttons
+function createConsultantReview(data, page = 0, back = null) {
+    const backLabel = CONSULTANT_REVIEW_BACK_BUTTONS[back] || null;
+    const pageSuffix = backLabel ? `_${back}` : '';
+    const agents = data.agents || [];
+    const consultants = agents
+        .map((agent, index) => ({ agent, slot: index + 1 }))
+        .filter(({ agent }) => agent && agent.name);
+
+    const totalPages = Math.max(1, Math.ceil(consultants.length / CONSULTANTS_PER_REVIEW_PAGE));
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+    const pageConsultants = consultants.slice(currentPage * CONSULTANTS_PER_REVIEW_PAGE, (currentPage + 1) * CONSULTANTS_PER_REVIEW_PAGE);
+    const currentTotal = agents.reduce((sum, agent) => sum + parseFloat((agent && agent.percentage) || 0), 0);
+
+    const embed = new EmbedBuilder()
+        .setTitle('👥 Consultant Review')
+        .setColor(validateAgentPercentages(agents.filter(agent => agent && agent.name)) ? 0x28A745 : 0xFFC107)
+        .setDescription(`**${consultants.length}** of up to ${MAX_AGENTS} consultant(s) • Total split: **${currentTotal.toFixed(1)}%** (needs to be ${REQUIRED_AGENT_PERCENTAGE_TOTAL}%)`)
+        .setFooter({ text: `Page ${currentPage + 1} of ${totalPages}` });
+
+    pageConsultants.forEach(({ agent, slot }) => {
+        embed.addFields({
+            name: `Consultant ${slot}: ${agent.name}`,
+            value: `**Code:** ${agent.code || 'N/A'} • **Split:** ${agent.percentage}%`,
+            inline: false
+        });
+    });
+
+    const editButtons = pageConsultants.map(({ agent, slot }) =>
+        new ButtonBuilder()
+            .setCustomId(draftCustomId(`show_agent_form_${slot}`, data))
+            .setLabel(`Edit ${slot}: ${agent.name}`.slice(0, 80))
+            .setStyle(ButtonStyle.Secondary)
+    );
+
+    // Offer the first empty slot on the last page
+    const emptySlot = agents.findIndex(agent => !agent || !agent.name);
+    const nextSlot = emptySlot === -1 ? agents.length + 1 : emptySlot + 1;
+    if (currentPage === totalPages - 1 && nextSlot <= MAX_AGENTS) {
+        editButtons.push(
+            new ButtonBuilder()
+                .setCustomId(draftCustomId(`show_agent_form_${nextSlot}`, data))
+                .setLabel(`➕ Add Consultant ${nextSlot}`)
+                .setStyle(ButtonStyle.Primary)
+        );
+    }
+
+    const components = [];
+    if (editButtons.length > 0) {
+        components.push(new ActionRowBuilder().addComponents(editButtons));
+    }
+
+    if (totalPages > 1) {
+        components.push(new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(draftCustomId(`consultant_review_${currentPage - 1}${pageSuffix}`, data))
+                    .setLabel('◀️ Previous')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(currentPage === 0),
+                new ButtonBuilder()
+                    .setCustomId(draftCustomId(`consultant_review_${currentPage + 1}${pageSuffix}`, data))
+                    .setLabel('Next ▶️')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(currentPage >= totalPages - 1)
+            ));
+    }
+
+    const hasCustomerDetails = data.customer_name && data.customer_phone && data.customer_address && data.spa_date && data.la_date;
+    components.push(new ActionRowBuilder()
+        .addComponents(
+            hasCustomerDetails ?
+                new ButtonBuilder()
+                    .setCustomId(draftCustomId('proceed_to_confirmation', data))
+                    .setLabel('✅ Proceed to Confirmation')
+                    .setStyle(ButtonStyle.Success) :
+                new ButtonBuilder()
+                    .setCustomId(draftCustomId('show_customer_form', data))
+                    .setLabel('Continue: Customer Details')
+                    .setStyle(ButtonStyle.Primary),
+            new ButtonBuilder()
+                .setCustomId(draftCustomId('cancel_submission', data))
+                .setLabel('❌ Cancel')
+                .setStyle(ButtonStyle.Danger)
+        ));
+
+    // Skip the back row when the continue button above already opens the same step
+    if (backLabel && !(back === 'show_customer_form' && !hasCustomerDetails)) {
+        components.push(new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(draftCustomId(back, data))
+                    .setLabel(backLabel)
+                    .setStyle(ButtonStyle.Secondary)
+            ));
+    }
+
+    return { embed, components };
+}
+
+// Create customer details modal
+function createCustomerModal(existingData = {}) {
+    const modal = new ModalBuilder()
+        .setCustomId(draftCustomId('customer_form', existingData))
+        .setTitle('Customer & Date Details');
+
+    const components = [
+        new TextInputBuilder()
+            .setCustomId('customer_name')
+            .setLabel('Customer Name')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true),
+
+        new TextInputBuilder()
+            .setCustomId('customer_phone')
+            .setLabel('Customer Phone')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true),
+
+        new TextInputBuilder()
+            .setCustomId('customer_address')
+            .setLabel('Customer Address')
+            .setStyle(TextInputStyle.Paragraph)
+            .setRequired(true)
+    ];
+
+    // Set values only if existing data exists
+    if (existingData.customer_name) components[0].setValue(existingData.customer_name);
+    if (existingData.customer_phone) components[1].setValue(existingData.customer_phone);
+    if (existingData.customer_address) components[2].setValue(existingData.customer_address);
+
+    components.forEach(component => {
+        modal.addComponents(new ActionRowBuilder().addComponents(component));
+    });
+
+    return modal;
+}
+
+// Create deductions modal (referral fee and rebate are shared by split; per-consultant lines hit one consultant)
+function createDeductionsModal(existingData = {}) {
+    const deductions = existingData.deductions || {};
+    const modal = new ModalBuilder()
+        .setCustomId(draftCustomId('deductions_form', existingData))
+        .setTitle('Commission Deductions');
+
+    const components = [
+        new TextInputBuilder()
+            .setCustomId('referral_fee')
+            .setLabel('Introducer / Referral Fee (RM)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('0.00')
+            .setRequired(false),
+
+        new TextInputBuilder()
+            .setCustomId('customer_rebate')
+            .setLabel('Rebate Passed to Buyer (RM)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('0.00')
+            .setRequired(false),
+
+        new TextInputBuilder()
+            .setCustomId('agent_deductions')
+            .setLabel('Per-Consultant Deductions (CODE: RM)')
+            .setStyle(TextInputStyle.Paragraph)
+            .setPlaceholder('e.g. AG001: 500, AG002: 250.50')
+            .setRequired(false),
+
+        new TextInputBuilder()
+            .setCustomId('withholding_percentage')
+            .setLabel('Tax Withholding (%)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder(String(DEFAULT_WITHHOLDING_PERCENTAGE))
+            .setRequired(false)
+    ];
+
+    if (deductions.referral_fee_sen) components[0].setValue(formatSen(deductions.referral_fee_sen));
+    if (deductions.customer_rebate_sen) components[1].setValue(formatSen(deductions.customer_rebate_sen));
+    if (deductions.agent_deductions && deductions.agent_deductions.length > 0) {
+        components[2].setValue(deductions.agent_deductions.map(entry => `${entry.code}: ${formatSen(entry.amount_sen)}`).join(', '));
+    }
+    if (deductions.withholding_percentage !== undefined) components[3].setValue(String(deductions.withholding_percentage));
+
+    components.forEach(component => {
+        modal.addComponents(new ActionRowBuilder().addComponents(component));
+    });
+
+    return modal;
+}
+
+// Parse the deductions modal into the draft's deductions record; throws with a user-facing message
+function parseDeductionsForm(fields, agents) {
+    const parseAmount = (value, label) => {
+        const text = String(value || '').replace(/^RM/i, '').trim();
+        if (!text) {
+            return 0;
+        }
+        if (!/^\d[\d,]*(\.\d+)?$/.test(text)) {
+            throw new Error(`${label} must be an amount like 1,000.00`);
+        }
+        return toSen(text);
+    };
+
+    const agentCodes = agents.filter(agent => agent && agent.name).map(agent => normalizeAgentCode(agent.code));
+    const agentDeductions = [];
+    for (const line of String(fields.agent_deductions || '').split(/[,\n]+/).map(entry => entry.trim()).filter(Boolean)) {
+        const match = line.match(/^([^:]+):\s*(.+)$/);
+        if (!match) {
+            throw new Error(`Could not read "${line}". Use CODE: amount, e.g. AG001: 500`);
+        }
+        const code = normalizeAgentCode(match[1]);
+        if (!agentCodes.includes(code)) {
+            throw new Error(`${code} is not a consultant on this claim.`);
+        }
+        agentDeductions.push({ code, amount_sen: parseAmount(match[2], `Deduction for ${code}`) });
+    }
+
+    const withholdingText = String(fields.withholding_percentage || '').replace('%', '').trim();
+    const withholdingPercentage = withholdingText ? parseFloat(withholdingText) : DEFAULT_WITHHOLDING_PERCENTAGE;
+    if (isNaN(withholdingPercentage) || withholdingPercentage < 0 || withholdingPercentage > 100) {
+        throw new Error('Tax withholding must be a percentage between 0 and 100.');
+    }
+
+    return {
+        referral_fee_sen: parseAmount(fields.referral_fee, 'Referral fee'),
+        customer_rebate_sen: parseAmount(fields.customer_rebate, 'Buyer rebate'),
+        agent_deductions: agentDeductions,
+        withholding_percentage: withholdingPercentage
+    };
+}
+
+// Create loan buyer details modal
+function createLoanBuyerModal(existingData = {}) {
+    const modal = new ModalBuilder()
+        .setCustomId(draftCustomId('loan_buyer_form', existingData))
+        .setTitle('Loan Buyer Details');
+
+    const components = [
+        new TextInputBuilder()
+            .setCustomId('spa_date')
+            .setLabel('SPA Date (YYYY-MM-DD)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true),
+
+        new TextInputBuilder()
+            .setCustomId('la_date')
+            .setLabel('LA Date (YYYY-MM-DD)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true),
+
+        new TextInputBuilder()
+            .setCustomId('lo_date')
+            .setLabel('LO Date (YYYY-MM-DD)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true),
+
+        new TextInputBuilder()
+            .setCustomId('bank_of_finance')
+            .setLabel('Bank of Finance')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true),
+
+        new TextInputBuilder()
+            .setCustomId('loan_amount')
+            .setLabel('Loan Amount (RM)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+    ];
+
+    // Set values only if existing data exists
+    if (existingData.spa_date) components[0].setValue(existingData.spa_date);
+    if (existingData.la_date) components[1].setValue(existingData.la_date);
+    if (existingData.lo_date) components[2].setValue(existingData.lo_date);
+    if (existingData.bank_of_finance) components[3].setValue(existingData.bank_of_finance);
+    if (existingData.loan_amount) components[4].setValue(existingData.loan_amount.toString());
+
+    components.forEach(component => {
+        modal.addComponents(new ActionRowBuilder().addComponents(component));
+    });
+
+    return modal;
+}
+
+// Create cash buyer details modal
+function createCashBuyerModal(existingData = {}) {
+    const modal = new ModalBuilder()
+        .setCustomId(draftCustomId('cash_buyer_form', existingData))
+        .setTitle('Cash Buyer Payment Details');
+
+    const components = [
+        new TextInputBuilder()
+            .setCustomId('spa_date')
+            .setLabel('SPA Date (YYYY-MM-DD)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true),
+
+        new TextInputBuilder()
+            .setCustomId('downpayment_amount')
+            .setLabel('Amount of Downpayment Paid (RM)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true),
+
+        new TextInputBuilder()
+            .setCustomId('payment_date')
+            .setLabel('Date of Payment (YYYY-MM-DD)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+    ];
+
+    // Set values only if existing data exists
+    if (existingData.spa_date) components[0].setValue(existingData.spa_date);
+    if (existingData.downpayment_amount) components[1].setValue(existingData.downpayment_amount.toString());
+    if (existingData.payment_date) components[2].setValue(existingData.payment_date);
+
+    components.forEach(component => {
+        modal.addComponents(new ActionRowBuilder().addComponents(component));
+    });
+
+    return modal;
+}
+
+// Create differential payment modal
+function createDifferentialPaymentModal(existingData = {}) {
+    const modal = new ModalBuilder()
+        .setCustomId(draftCustomId('differential_payment_form', existingData))
+        .setTitle('Differential Payment Details');
+
+    const components = [
+        new TextInputBuilder()
+            .setCustomId('differential_amount')
+            .setLabel('Amount Customer Paid (RM)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true),
+
+        new TextInputBuilder()
+            .setCustomId('differential_payment_date')
+            .setLabel('Date of Payment (YYYY-MM-DD)')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+    ];
+
+    // Set values only if existing data exists
+    if (existingData.differential_amount) components[0].setValue(existingData.differential_amount.toString());
+    if (existingData.differential_payment_date) components[1].setValue(existingData.differential_payment_date);
+
+    components.forEach(component => {
+        modal.addComponents(new ActionRowBuilder().addComponents(component));
+    });
+
+    return modal;
+}
+
+// Create confirmation embed
+function createConfirmationEmbed(data) {
+    const embed = new EmbedBuilder()
+        .setTitle('📋 Commission Submission Confirmation')
+        .setColor(0x00AE86)
+        .addFields(
+            { name: '🏢 Project Details', value: `**Project:** ${data.project_name}\n**Unit:** ${data.unit_no}\n**SPA Price:** RM${Number(String(data.spa_price).replace(/,/g, '')).toLocaleString()}\n**Nett Price:** RM${Number(String(data.nett_price).replace(/,/g, '')).toLocaleString()}\n**Commission Rate:** ${data.commission_rate}%\n\n`, inline: false },
+            { name: '👤 Customer Details', value: `**Name:** ${data.customer_name}\n**Phone:** ${data.customer_phone}\n**Address:** ${data.customer_address}\n\n`, inline: false }
+        );
+
+    const rateWarning = getCommissionRateWarning(data);
+    if (rateWarning) {
+        embed.addFields({ name: '⚠️ Commission Rate', value: rateWarning, inline: false });
+    }
+
+    if (data.buyer_type === 'loan') {
+        let paymentDetails = `**SPA Date:** ${data.spa_date}\n**LA Date:** ${data.la_date}\n**LO Date:** ${data.lo_date}\n**Bank:** ${data.bank_of_finance}\n**Loan Amount:** RM${data.loan_amount.toLocaleString()}`;
+
+        if (data.differential_amount) {
+            paymentDetails += `\n**Differential Paid:** RM${data.differential_amount.toLocaleString()}\n**Payment Date:** ${data.differential_payment_date}`;
+        }
+
+        embed.addFields({ name: '🏦 Loan Buyer Details', value: paymentDetails, inline: false });
+    } else if (data.buyer_type === 'cash') {
+        const paymentDetails = `**SPA Date:** ${data.spa_date}\n**Downpayment:** RM${data.downpayment_amount.toLocaleString()}\n**Payment Date:** ${data.payment_date}`;
+        embed.addFields({ name: '💵 Cash Buyer Details', value: paymentDetails, inline: false });
+    } else {
+        // Legacy support for old submissions without buyer type
+        embed.addFields({ name: '📅 Important Dates', value: `**SPA Date:** ${data.spa_date || 'N/A'}\n**LA Date:** ${data.la_date || 'N/A'}`, inline: false });
+    }
+    embed.setTimestamp();
+
+    // Add agent details
+    const breakdown = calculateCommissionBreakdown(data);
+    const hasDeductions = breakdown.total_commission_sen !== breakdown.total_net_sen;
+    const agentDetails = breakdown.agents
+        .map(agent => `**${agent.name}** (${agent.code}): ${agent.percentage}% - RM${formatSen(agent.commission_sen)}${hasDeductions ? ` → net RM${formatSen(agent.net_commission_sen)}` : ''}`)
+        .join('\n');
+
+    if (agentDetails) {
+        embed.addFields({ name: '👥 Agent Commission Breakdown', value: agentDetails, inline: false });
+        embed.addFields({ name: hasDeductions ? '💰 Gross Commission' : '💰 Total Commission', value: `RM${formatSen(breakdown.total_commission_sen)}`, inline: true });
+
+        if (hasDeductions) {
+            const deductions = data.deductions || {};
+            const deductionLines = [];
+            if (deductions.referral_fee_sen) deductionLines.push(`**Referral Fee:** RM${formatSen(deductions.referral_fee_sen)}`);
+            if (deductions.customer_rebate_sen) deductionLines.push(`**Buyer Rebate:** RM${formatSen(deductions.customer_rebate_sen)}`);
+            (deductions.agent_deductions || []).forEach(entry => deductionLines.push(`**${entry.code}:** RM${formatSen(entry.amount_sen)}`));
+            if (breakdown.total_withholding_sen) deductionLines.push(`**Tax Withheld (${breakdown.withholding_percentage}%):** RM${formatSen(breakdown.total_withholding_sen)}`);
+
+            embed.addFields(
+                { name: '➖ Deductions', value: deductionLines.join('\n') || 'None', inline: true },
+                { name: '💵 Net Commission', value: `RM${formatSen(breakdown.total_net_sen)}`, inline: true }
+            );
+        }
+
+        // Add Fast Commission section
+        const fastCommissionDetails = breakdown.agents
+            .map(agent => `**${agent.name}**: RM${formatSen(agent.fast_commission_sen)}`)
+            .join('\n');
+
+        embed.addFields({ name: '\u200B', value: '\u200B', inline: false });
+        embed.addFields({
+            name: `⚡ Fast Commission (${breakdown.fast_commission_percentage}% of ${breakdown.fast_commission_basis})`,
+            value: fastCommissionDetails,
+            inline: false
+        });
+
+        embed.addFields({
+            name: '💸 Total Fast Commission',
+            value: `RM${formatSen(breakdown.total_fast_commission_sen)}`,
+            inline: true
+        });
+    }
+
+    // Leader overrides are paid by the agency on top of the consultants' split
+    if (breakdown.overrides.length > 0) {
+        const overrideDetails = breakdown.overrides
+            .map(override => `**${override.leader_name}** (${override.leader_code}, L${override.level}): ${override.percentage}% of ${override.from_agent_name} - RM${formatSen(override.amount_sen)}`)
+            .join('\n');
+        embed.addFields({
+            name: `🧭 Leader Overrides (RM${formatSen(breakdown.total_override_sen)})`,
+            value: overrideDetails.length > 1024 ? overrideDetails.substring(0, 1020) + '...' : overrideDetails,
+            inline: false
+        });
+    }
+
+    return embed;
+}
+
+// Describe where a draft is in the wizard
+function getDraftStage(data) {
+    if (data.status === 'awaiting_form_completion') {
+        return '📤 Awaiting documents';
+    }
+    if (data.buyer_type) {
+        return '✅ Ready to confirm';
+    }
+    if (data.agents && data.agents.some(agent => agent && agent.name)) {
+        return '👤 Customer details';
+    }
+    return '👥 Consultant details';
+}
+
+// Create the /my-drafts list with a picker to choose a draft
+function createDraftPicker(drafts, activeDraftId) {
+    const embed = new EmbedBuilder()
+        .setTitle('📝 My Drafts')
+        .setColor(0x0099FF)
+        .setDescription('Pick a draft below to resume or discard it.')
+        .setFooter({ text: `Drafts are kept for ${DRAFT_TTL_MS / (60 * 60 * 1000)} hours after your last change` });
+
+    const visibleDrafts = drafts.slice(0, 25);
+    visibleDrafts.forEach((draft, index) => {
+        const activeMarker = draft.draftId === activeDraftId ? ' (current)' : '';
+        embed.addFields({
+            name: `${index + 1}. ${draft.draftName}${activeMarker}`,
+            value: `**Project:** ${draft.project_name || 'N/A'} - ${draft.unit_no || 'N/A'}\n**Stage:** ${getDraftStage(draft)}\n**Started:** ${format(new Date(draft.draftCreatedAt || draft.submission_date || Date.now()), 'dd/MM/yyyy HH:mm')}`,
+            inline: false
+        });
+    });
+
+    const menu = new StringSelectMenuBuilder()
+        .setCustomId('my_drafts_select')
+        .setPlaceholder('Choose a draft')
+        .addOptions(visibleDrafts.map(draft => ({
+            label: draft.draftName.slice(0, 100),
+            description: getDraftStage(draft).replace(/^\S+\s/, ''),
+            value: draft.draftId
+        })));
+
+    return { embed, row: new ActionRowBuilder().addComponents(menu) };
+}
+
+// Buttons for acting on a single draft picked from /my-drafts
+function createDraftActionRow(draft) {
+    return new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`resume_draft_${draft.draftId}`)
+                .setLabel('▶️ Resume')
+                .setStyle(ButtonStyle.Primary),
+            new ButtonBuilder()
+                .setCustomId(`discard_draft_${draft.draftId}`)
+                .setLabel('🗑️ Discard')
+                .setStyle(ButtonStyle.Danger)
+        );
+}
+
+// Buttons that pick up a resumed draft at its current step
+function createDraftResumeRow(draft) {
+    if (draft.status === 'awaiting_form_completion') {
+        return new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`back_to_form_view_${draft.draftId}`)
+                    .setLabel('📋 Open Upload Form')
+                    .setStyle(ButtonStyle.Primary),
+                new ButtonBuilder()
+                    .setCustomId(`check_upload_status_${draft.draftId}`)
+                    .setLabel('🔄 Check Upload Status')
+                    .setStyle(ButtonStyle.Secondary)
+            );
+    }
+
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(draftCustomId('edit_project_details', draft))
+                .setLabel('📋 Project Details')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId(draftCustomId('edit_agent_details', draft))
+                .setLabel('👥 Consultant Details')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId(draftCustomId('show_customer_form', draft))
+                .setLabel('👤 Customer Details')
+                .setStyle(ButtonStyle.Secondary)
+        );
+
+    if (draft.buyer_type) {
+        row.addComponents(
+            new ButtonBuilder()
+                .setCustomId(draftCustomId('proceed_to_confirmation', draft))
+                .setLabel('✅ Review & Confirm')
+                .setStyle(ButtonStyle.Success)
+        );
+    }
+
+    return row;
+}
+
+
+
+// Check if user has admin permissions - only for bot owner or specific role
+async function hasAdminAccess(interaction) {
+    const allowedUserId = '1223928653265973288'; // Bot owner ID
+    const adminGuildId = '1118938632250732544';
+    const allowedRoleId = '1404203519921356834'; // Specific role ID
+
+    // Check if user is the bot owner
+    if (interaction.user.id === allowedUserId) {
+        return true;
+    }
+
+    // Check if user has the specific role in the admin guild
+    if (interaction.guildId === adminGuildId) {
+        const member = await interaction.guild.members.fetch(interaction.user.id);
+        return member.roles.cache.has(allowedRoleId);
+    }
+
+    return false;
+}
+
+// Bot ready event
+// Rejected event handlers are reported here; without a listener they would stop the bot
+client.on('error', error => {
+    console.error('❌ Discord client error:', error);
+});
+
+client.once('ready', async () => {
+    console.log(`${client.user.tag} is online!`);
+
+    // Initialize services
+    await initializeGoogleDrive();
+    initializeGitHub();
+    documentStore = createDocumentStore();
+    initializeJotform();
+    await loadFastCommissionPercentages();
+    await loadProjectRegistry();
+    await loadConsultantDirectory();
+
+    try {
+        await migrateClaimNumbers();
+    } catch (error) {
+        console.error('❌ Error assigning claim numbers to existing claims:', error);
+    }
+
+    // Bring back half-finished submissions from before the restart
+    await restoreDrafts();
+    setInterval(() => sweepExpiredDrafts().catch(error => console.error('❌ Error sweeping expired drafts:', error)), DRAFT_SWEEP_INTERVAL_MS);
+    setInterval(sweepExpiredBulkDeletes, DRAFT_SWEEP_INTERVAL_MS);
+
+    // First, clear ALL global commands to start fresh (multiple attempts for stubborn commands)
+    for (let attempt = 1; attempt <= 2; attempt++) {
+        const globalCommands = await client.application.commands.fetch();
+        console.log(`🔍 Attempt ${attempt}: Found ${globalCommands.size} global commands`);
+
+        for (const command of globalCommands.values()) {
+            try {
+                await client.application.commands.delete(command.id);
+                console.log(`🗑️ Deleted global command: ${command.name}`);
+            } catch (error) {
+                console.log(`⚠️ Failed to delete ${command.name}:`, error.message);
+            }
+        }
+
+        // Wait between attempts
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+
+    // Final verification that no admin commands exist globally
+    const finalGlobalCommands = await client.application.commands.fetch();
+    const adminCommandsInGlobal = finalGlobalCommands.filter(cmd => cmd.name === 'admin-action');
+    if (adminCommandsInGlobal.size > 0) {
+        console.log('⚠️ WARNING: Still found admin commands globally, force deleting...');
+        for (const cmd of adminCommandsInGlobal.values()) {
+            try {
+                await client.application.commands.delete(cmd.id);
+                console.log('🗑️ Force deleted admin command:', cmd.name);
+            } catch (error) {
+                console.log('❌ Could not force delete:', error.message);
+            }
+        }
+    }
+
+    // Wait longer for Discord to process all deletions
+    await new Promise(resolve => setTimeout(resolve, 3000));
+
+    // Register ONLY public commands globally (admin-action should NOT be here)
+    const publicCommands = [
+        new SlashCommandBuilder()
+            .setName('fast-comm-submission')
+            .setDescription('Submit commission claim with document upload')
+            .addStringOption(option =>
+                option.setName('project')
+                    .setDescription('Project to claim for')
+                    .setRequired(false)
+                    .setAutocomplete(true)
+            )
+            .addStringOption(option =>
+                option.setName('name')
+                    .setDescription('Name for this draft (defaults to project and unit)')
+                    .setRequired(false)
+                    .setMaxLength(80)
+            ),
+        new SlashCommandBuilder()
+            .setName('check-my-upload')
+            .setDescription('Check your submission status and uploaded documents'),
+        new SlashCommandBuilder()
+            .setName('my-drafts')
+            .setDescription('Resume or discard your unfinished submissions'),
+        new SlashCommandBuilder()
+            .setName('my-bank-details')
+            .setDescription('Set the bank account your commission is paid into'),
+        new SlashCommandBuilder()
+            .setName('my-statement')
+            .setDescription('Download your commission statement for a month as a PDF')
+            .addStringOption(option =>
+                option.setName('month')
+                    .setDescription('Month as YYYY-MM or MM/YYYY (default: this month)')
+                    .setRequired(false))
+    ];
+
+    // Set global commands to ONLY the public commands (this replaces all global commands)
+    await client.application.commands.set(publicCommands);
+    console.log('✅ Public commands (fast-comm-submission, check-my-upload, my-drafts, my-bank-details, my-statement) registered globally');
+
+    // Register admin commands ONLY in the specific admin guild
+    const adminGuildId = "1118938632250732544"; // Your Discord server ID
+
+    try {
+        // Wait for guild to be available
+        await client.guilds.fetch(adminGuildId);
+        const guild = client.guilds.cache.get(adminGuildId);
+
+        if (guild) {
+            // Define admin commands for guild-only registration with proper permission restrictions
+            const adminCommands = [
+                new SlashCommandBuilder()
+                    .setName('admin-action')
+                    .setDescription('Admin actions for submission management (Admin only)')
+                    .setDefaultMemberPermissions('0') // This hides the command from all users without Administrator permission
+                    .addStringOption(option =>
+                        option.setName('action')
+                            .setDescription('Action to perform')
+                            .setRequired(true)
+                            .addChoices(
+                                { name: 'Check Submissions', value: 'check_submissions' },
+                                { name: 'List Recent', value: 'list' },
+                                { name: 'Delete by Claim No.', value: 'delete' },
+                                { name: 'Bulk Delete', value: 'bulk_delete' },
+                                { name: 'View Details', value: 'view' },
+                                { name: 'Adjust Fast Commission %', value: 'adjust_fast_comm' },
+                                { name: 'View Fast Commission Settings', value: 'view_fast_comm_settings' },
+                                { name: 'Duplicate Claims Report', value: 'duplicates' },
+                                { name: 'Search Claims', value: 'search' },
+                                { name: 'Export Claims (CSV/XLSX)', value: 'export' },
+                                { name: 'List Trash', value: 'trash' },
+                                { name: 'Restore from Trash', value: 'restore' },
+                                { name: 'Purge Expired Trash', value: 'purge_trash' },
+                                { name: 'Audit Log', value: 'audit' },
+                                { name: 'Add/Update Project', value: 'project_save' },
+                                { name: 'List Projects', value: 'project_list' },
+                                { name: 'Add/Update Consultant', value: 'consultant_save' },
+                                { name: 'List Consultants', value: 'consultant_list' },
+                                { name: 'Payout Run (Bank File)', value: 'payout_run' },
+                                { name: 'Generate Monthly Statements to Drive', value: 'statements' }
+                            ))
+                    .addStringOption(option =>
+                        option.setName('user_id')
+                            .setDescription('User ID (for check_submissions, acting user for audit, Discord user for consultant_save)')
+                            .setRequired(false))
+                    .addIntegerOption(option =>
+                        option.setName('limit')
+                            .setDescription('Number of recent entries to show (for check_submissions/audit, default: 10)')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('claim_number')
+                            .setDescription('Claim number (for delete/view/restore/purge_trash/audit, e.g., CC-2026-000123)')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('claim_numbers')
+                            .setDescription('Comma-separated claim numbers for bulk delete (e.g., CC-2026-000001,CC-2026-000004)')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('project_name')
+                            .setDescription('Project name (for adjust_fast_comm, search, export and project_save)')
+                            .setRequired(false)
+                            .setAutocomplete(true))
+                    .addNumberOption(option =>
+                        option.setName('percentage')
+                            .setDescription('Fast commission percentage 0-100 (for adjust_fast_comm and project_save)')
+                            .setRequired(false)
+                            .setMinValue(0)
+                            .setMaxValue(100))
+                    .addStringOption(option =>
+                        option.setName('developer')
+                            .setDescription('Developer name (for project_save)')
+                            .setRequired(false))
+                    .addNumberOption(option =>
+                        option.setName('commission_rate')
+                            .setDescription('Default commission rate % (for project_save)')
+                            .setRequired(false)
+                            .setMinValue(0)
+                            .setMaxValue(100))
+                    .addStringOption(option =>
+                        option.setName('basis')
+                            .setDescription('Whether fast commission is paid on gross or net commission (for project_save)')
+                            .setRequired(false)
+                            .addChoices(
+                                { name: 'Gross commission', value: 'gross' },
+                                { name: 'Net of deductions', value: 'net' }
+                            ))
+                    .addStringOption(option =>
+                        option.setName('aliases')
+                            .setDescription('Comma-separated other spellings agents use (for project_save)')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('consultant_name')
+                            .setDescription('Consultant full name (for consultant_save)')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('team_leader_code')
+                            .setDescription('Agent code of the team leader (for consultant_save)')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('tier')
+                            .setDescription('Leader tier used by override rules, e.g. leader (for consultant_save)')
+                            .setRequired(false))
+                    .addBooleanOption(option =>
+                        option.setName('active')
+                            .setDescription('Whether the project/consultant is active (for project_save/consultant_save)')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('effective_from')
+                            .setDescription('Date the new rate applies from, DD/MM/YYYY (for adjust_fast_comm, default: now)')
+                            .setRequired(false))
+                    .addBooleanOption(option =>
+                        option.setName('confirm')
+                            .setDescription('Confirm bulk deletion (required for bulk delete)')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('date_from')
+                            .setDescription('Submitted on or after, DD/MM/YYYY (for search/export; any day in the month for statements)')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('date_to')
+                            .setDescription('Submitted on or before, DD/MM/YYYY (for search/export)')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('unit_no')
+                            .setDescription('Unit number (for search/export)')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('agent_code')
+                            .setDescription('Consultant code (for search/export/consultant_save; code prefix for consultant_list)')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('customer')
+                            .setDescription('Customer name or phone (for search/export)')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('bank')
+                            .setDescription('Bank of finance (for search/export)')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('buyer_type')
+                            .setDescription('Buyer type (for search/export)')
+                            .setRequired(false)
+                            .addChoices(
+                                { name: 'Cash', value: 'cash' },
+                                { name: 'Loan', value: 'loan' }
+                            ))
+                    .addStringOption(option =>
+                        option.setName('status')
+                            .setDescription('Claim status (for search/export)')
+                            .setRequired(false)
+                            .addChoices(...Object.entries(CLAIM_STATUSES).map(([value, info]) => ({ name: info.label, value }))))
+            ];
+
+            // Set admin commands ONLY in the guild (this replaces ALL guild commands)
+            await guild.commands.set(adminCommands);
+            console.log(`✅ Admin command (admin-action) registered ONLY in admin guild: ${guild.name}`);
+
+            // Final verification that admin commands are NOT in global scope
+            const finalGlobalCommands = await client.application.commands.fetch();
+            const adminInGlobal = finalGlobalCommands.find(cmd => cmd.name === 'admin-action');
+            if (adminInGlobal) {
+                console.log('❌ WARNING: admin-action still found in global commands, force removing...');
+                await client.application.commands.delete(adminInGlobal.id);
+                console.log('✅ Force removed admin-action from global commands');
+            } else {
+                console.log('✅ CONFIRMED: admin-action is hidden from all users except in admin guild');
+            }
+        } else {
+            console.log('❌ Admin guild not found - admin commands not registered');
+        }
+    } catch (error) {
+        console.error('❌ Error setting up admin commands:', error);
+    }
+
+    console.log('✅ Command visibility properly configured:');
+    console.log('  - fast-comm-submission: VISIBLE to all users globally');
+    console.log('  - check-my-upload: VISIBLE to all users globally');
+    console.log('  - my-drafts: VISIBLE to all users globally');
+    console.log('  - admin-action: HIDDEN from regular users, only visible in admin guild');
+
+    // Start express server
+    const PORT = process.env.PORT || 5000;
+    app.listen(PORT, '0.0.0.0', () => {
+        // Universal host detection with PUBLIC_URL priority
+        let serverUrl = '';
+        if (process.env.PUBLIC_URL) {
+            serverUrl = `https://${process.env.PUBLIC_URL}`;
+        } else if (process.env.REPL_SLUG && process.env.REPL_OWNER) {
+            serverUrl = `https://${process.env.REPL_SLUG}.${process.env.REPL_OWNER}.repl.co`;
+        } else if (process.env.VERCEL_URL) {
+            serverUrl = `https://${process.env.VERCEL_URL}`;
+        } else if (process.env.RAILWAY_PUBLIC_DOMAIN) {
+            serverUrl = `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`;
+        } else if (process.env.RENDER_EXTERNAL_URL) {
+            serverUrl = process.env.RENDER_EXTERNAL_URL;
+        } else {
+            serverUrl = `http://localhost:${PORT}`;
+        }
+        console.log(`Express server running on port ${PORT}`);
+        console.log(`Webhook test URL: ${serverUrl}/webhook/test`);
+        console.log(`Webhook URL: ${serverUrl}/webhook/jotform`);
+    });
+});
+
+// Handle message attachments for drafts using the Discord upload provider
+client.on('messageCreate', async message => {
+    if (message.author.bot || message.attachments.size === 0) return;
+
+    const userId = message.author.id;
+    const data = getActiveDraft(userId);
+
+    // Attachments only count once the agent has picked a checklist slot with an upload button
+    if (!data || data.uploadProvider !== 'discord' || data.status !== 'awaiting_form_completion' || !data.awaitingDocument) return;
+
+    const document = getRequiredDocuments(data).find(entry => entry.key === data.awaitingDocument);
+    if (!document) return;
+
+    const receivedFiles = [];
+    try {
+        // Download and check every attachment before anything reaches Drive
+        try {
+            await fs.mkdir('uploads', { recursive: true });
+
+            for (const attachment of message.attachments.values()) {
+                if (attachment.size > UPLOAD_MAX_FILE_MB * 1024 * 1024) {
+                    throw new Error(`${attachment.name}: each file must be ${UPLOAD_MAX_FILE_MB} MB or smaller`);
+                }
 
-    const userId = message.author.id;
-    const data = submissions.get(userId);
+                const response = await fetch(attachment.url);
+                if (!response.ok) {
+                    throw new Error(`${attachment.name}: download from Discord failed`);
+                }
+
+                const file = {
+                    originalname: attachment.name,
+                    mimetype: (attachment.contentType || 'application/octet-stream').split(';')[0],
+                    size: attachment.size,
+                    path: path.join('uploads', `discord_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`)
+                };
+                await fs.writeFile(file.path, await response.buffer());
+                receivedFiles.push(file);
+                file.storedMimeType = await validateUploadedFile(file);
+            }
+        } catch (validationError) {
+            await message.reply(`❌ ${validationError.message}\n\nSupported formats: ${UPLOAD_ALLOWED_EXTENSIONS.join(', ').toUpperCase()}. Please attach your ${document.label} again.`);
+            return;
+        }
+
+        // Claim number is fixed before the transfer so the Drive folder can carry it
+        if (!data.claim_number) {
+            data.claim_number = await reserveClaimNumber();
+        }
+
+        const uploadedFiles = [];
+        for (const file of receivedFiles) {
+            const cleanFilename = file.originalname.replace(/[<>:"/\\|?*]/g, '_');
+            const storedFile = await storeClaimDocument(file.path, cleanFilename, file.storedMimeType, file.size, data, document);
+            uploadedFiles.push({
+                originalName: file.originalname,
+                ...storedFile,
+                documentKey: document.key,
+                documentType: document.label
+            });
+        }
+
+        // A new upload for a slot replaces what was there before
+        data.documentChecklist = { ...data.documentChecklist, [document.key]: { uploaded: true, files: uploadedFiles } };
+        data.awaitingDocument = null;
+        submissions.set(data.draftId, data);
+
+        await updateChecklistDisplay(message, data);
+    } catch (error) {
+        console.error('Error processing file attachments:', error);
+        await message.reply('❌ Error uploading files to Google Drive. Please try again.');
+    } finally {
+        // Files already handed to Drive are removed by storeClaimDocument; clear whatever is left
+        for (const file of receivedFiles) {
+            await fs.unlink(file.path).catch(() => {});
+        }
+    }
+});
+
+// Handle all interactions
+client.on('interactionCreate', async interaction => {
+    const userId = interaction.user.id;
+    // Wizard buttons and modals end in ":<draftId>" (see draftCustomId); handlers match on the part before it
+    const [customId, boundDraftId] = (interaction.customId || '').split(':');
+
+    // Check if interaction is used in the allowed channel for ALL interaction types
+    const ALLOWED_CHANNEL_ID = '1400381115285508156';
+
+    // Claim status buttons live on the admin notification messages, so they are allowed there too
+    const isClaimStatusAction = (interaction.isButton() || interaction.isModalSubmit()) &&
+        (customId.startsWith('claim_status_') || customId.startsWith('claim_reject_') || customId.startsWith('claim_stage_'));
+    const isAllowedChannel = interaction.channelId === ALLOWED_CHANNEL_ID ||
+        (isClaimStatusAction && interaction.channelId === NOTIFICATION_CHANNEL_ID);
+
+    if (!isAllowedChannel) {
+        if (interaction.isCommand()) {
+            await interaction.reply({
+                content: `❌ This command can only be used in <#${ALLOWED_CHANNEL_ID}>`,
+                ephemeral: true
+            });
+        } else if (interaction.isButton() || interaction.isModalSubmit()) {
+            try {
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp({
+                        content: `❌ This bot can only be used in <#${ALLOWED_CHANNEL_ID}>`,
+                        ephemeral: true
+                    });
+                } else {
+                    await interaction.reply({
+                        content: `❌ This bot can only be used in <#${ALLOWED_CHANNEL_ID}>`,
+                        ephemeral: true
+                    });
+                }
+            } catch (error) {
+                console.error('Error responding to interaction outside allowed channel:', error);
+            }
+        }
+        return;
+    }
+
+    // A bound wizard message acts on its own draft, which becomes the active one; once that draft is
+    // gone its buttons must not fall through to whichever draft is active now
+    if (boundDraftId) {
+        const boundDraft = submissions.get(boundDraftId);
+        if (!boundDraft || boundDraft.userId !== userId) {
+            const completed = completedDrafts.get(boundDraftId);
+            await interaction.reply({
+                content: completed && completed.userId === userId ?
+                    `✅ This claim was already submitted as **${completed.claim_number}**. Use \`/check-my-upload\` to follow it.` :
+                    '❌ This draft no longer exists. It may have been completed, discarded or expired.\n\nUse `/my-drafts` or `/fast-comm-submission` to continue.',
+                ephemeral: true
+            });
+            return;
+        }
+        activeDrafts.set(userId, boundDraftId);
+    }
+
+    // Suggest registered projects while typing; agents only see active ones
+    if (interaction.isAutocomplete()) {
+        const focused = interaction.options.getFocused(true);
+        const projects = focused.name === 'project' ?
+            getActiveProjects() :
+            Array.from(projectRegistry.values()).sort((a, b) => a.name.localeCompare(b.name));
+        const typed = normalizeForMatch(focused.value);
+
+        const choices = projects
+            .filter(project => !typed ||
+                normalizeForMatch(project.name).includes(typed) ||
+                (project.aliases || []).some(alias => normalizeForMatch(alias).includes(typed)))
+            .slice(0, 25)
+            .map(project => ({
+                name: `${project.name}${project.developer ? ` (${project.developer})` : ''}${project.active ? '' : ' [inactive]'}`.slice(0, 100),
+                value: project.name
+            }));
+
+        await interaction.respond(choices).catch(error => console.error('Error responding to autocomplete:', error));
+        return;
+    }
+
+    // Handle slash commands
+    if (interaction.isCommand()) {
+
+        if (interaction.commandName === 'admin-action') {
+            if (!(await hasAdminAccess(interaction))) {
+                await interaction.reply({
+                    content: '❌ You do not have permission to use this command.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            try {
+                const action = interaction.options.getString('action');
+
+                if (action === 'check_submissions') {
+                    const userIdFilter = interaction.options.getString('user_id');
+                    const limit = interaction.options.getInteger('limit') || 10;
+                    const backupData = await loadBackup();
+
+                    let filteredData = backupData;
+                    if (userIdFilter) {
+                        filteredData = backupData.filter(submission =>
+                            submission.user_id === userIdFilter ||
+                            submission.username?.toLowerCase().includes(userIdFilter.toLowerCase())
+                        );
+                    }
+
+                    const recentSubmissions = filteredData.slice(-limit).reverse();
+
+                    if (recentSubmissions.length === 0) {
+                        await interaction.reply({
+                            content: userIdFilter ?
+                                `❌ No submissions found for user: ${userIdFilter}` :
+                                '❌ No submissions found in database.',
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const embed = new EmbedBuilder()
+                        .setTitle('📊 Commission Submissions Data')
+                        .setColor(0x0099FF)
+                        .setDescription(`Showing ${recentSubmissions.length} submission(s)${userIdFilter ? ` for user: ${userIdFilter}` : ''}`)
+                        .setTimestamp();
+
+                    recentSubmissions.forEach(submission => {
+                        const totalCommissionSen = calculateCommissionBreakdown(submission).total_commission_sen;
+
+                        embed.addFields({
+                            name: `${submission.claim_number} - ${submission.project_name}`,
+                            value: `**User:** ${submission.username} (${submission.user_id})\n**Unit:** ${submission.unit_no}\n**Nett Price:** RM${Number(String(submission.nett_price).replace(/,/g, '')).toLocaleString()}\n**Total Commission:** RM${formatSen(totalCommissionSen)}\n**Status:** ${formatClaimStatus(getClaimStatus(submission))}\n**Submitted:** ${new Date(submission.submitted_at).toLocaleString()}`,
+                            inline: false
+                        });
+                    });
+
+                    await interaction.reply({
+                        embeds: [embed],
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                else if (action === 'adjust_fast_comm') {
+                    // Registered projects are stored under their canonical name
+                    const projectInput = interaction.options.getString('project_name');
+                    const projectName = projectInput && findProject(projectInput) ? findProject(projectInput).name : projectInput;
+                    const percentage = interaction.options.getNumber('percentage');
+                    const effectiveFromInput = interaction.options.getString('effective_from');
+
+                    if (!projectName || percentage === null) {
+                        await interaction.reply({
+                            content: '❌ Please provide both project_name and percentage for fast commission adjustment.',
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    // A given date takes effect from the start of that day in GMT+8; otherwise the change applies now
+                    let effectiveFrom = new Date();
+                    if (effectiveFromInput) {
+                        try {
+                            effectiveFrom = new Date(`${parseSearchDate(effectiveFromInput)}T00:00:00+08:00`);
+                        } catch (error) {
+                            await interaction.reply({
+                                content: `❌ ${error.message}`,
+                                ephemeral: true
+                            });
+                            return;
+                        }
+                    }
+
+                    // Save the fast commission percentage
+                    const saved = await saveFastCommissionPercentage(projectName, percentage, interaction.user, effectiveFrom);
+
+                    if (saved) {
+                        const embed = new EmbedBuilder()
+                            .setTitle('✅ Fast Commission Percentage Updated')
+                            .setColor(0x28A745)
+                            .addFields(
+                                { name: '🏢 Project Name', value: projectName, inline: true },
+                                { name: '💰 Fast Commission %', value: `${percentage}%`, inline: true },
+                                { name: '📅 Effective From', value: formatGMT8DateString(effectiveFrom), inline: true },
+                                { name: '📋 Status', value: 'Setting saved successfully. Claims already submitted keep the rate they were submitted with.', inline: false }
+                            )
+                            .setTimestamp();
+
+                        await interaction.reply({
+                            embeds: [embed],
+                            ephemeral: true
+                        });
+                    } else {
+                        await interaction.reply({
+                            content: '❌ Failed to save fast commission percentage. Please try again.',
+                            ephemeral: true
+                        });
+                    }
+                    return;
+                }
+
+                else if (action === 'view_fast_comm_settings') {
+                    if (fastCommissionPercentages.size === 0) {
+                        await interaction.reply({
+                            content: '📋 **No custom fast commission settings found**\n\nAll projects will use the default 50% fast commission rate.\n\nUse `/admin-action` with `adjust_fast_comm` to set custom percentages for specific projects.',
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const embed = new EmbedBuilder()
+                        .setTitle('💰 Fast Commission Settings')
+                        .setColor(0x0099FF)
+                        .setDescription('Fast commission rate history by project (newest first)')
+                        .setTimestamp();
+
+                    const settings = Array.from(fastCommissionPercentages.entries());
+
+                    // One field per project, each max 1024 chars, stopping before the embed outgrows Discord's limits
+                    const projectFields = settings.map(([project, history]) => {
+                        const currentPercentage = getFastCommissionPercentage(project);
+                        const historyLines = history.slice().reverse().map(entry => {
+                            const from = entry.effective_from ? formatGMT8DateString(new Date(entry.effective_from)) : 'the start';
+                            const setBy = entry.set_by ? ` by <@${entry.set_by}>` : '';
+                            const upcoming = entry.effective_from && new Date(entry.effective_from) > new Date() ? ' ⏳ upcoming' : '';
+                            return `• **${entry.percentage}%** from ${from}${setBy}${upcoming}`;
+                        }).join('\n');
+
+                        return {
+                            name: `🏢 ${project} (current: ${currentPercentage}%)`,
+                            value: historyLines.length > 1024 ? historyLines.substring(0, 1020) + '...' : historyLines,
+                            inline: false
+                        };
+                    });
+                    const shown = addFieldsWithinLimit(embed, projectFields, 200);
+
+                    embed.addFields({
+                        name: '📋 Default Setting',
+                        value: `Projects not listed above use **${DEFAULT_FAST_COMMISSION_PERCENTAGE}%** fast commission rate${settings.length > shown ? `\n(${settings.length - shown} more project(s) not shown - use \`project_list\` for current rates)` : ''}`,
+                        inline: false
+                    });
+
+                    await interaction.reply({
+                        embeds: [embed],
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                else if (action === 'duplicates') {
+                    const duplicateGroups = findDuplicateGroups(await loadBackup());
+
+                    if (duplicateGroups.length === 0) {
+                        await interaction.reply({
+                            content: '✅ **No suspected duplicates**\n\nEvery claimed unit has a single active claim.',
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const embed = new EmbedBuilder()
+                        .setTitle('⚠️ Suspected Duplicate Claims')
+                        .setColor(0xFF9900)
+                        .setDescription(`${duplicateGroups.length} unit(s) have more than one active claim${duplicateGroups.length > 25 ? ' (showing first 25)' : ''}`)
+                        .setTimestamp();
+
+                    duplicateGroups.slice(0, 25).forEach(group => {
+                        const claimList = group
+                            .map(submission => `**${submission.claim_number}** - ${submission.username} - ${formatClaimStatus(getClaimStatus(submission))} - ${new Date(submission.submitted_at).toLocaleDateString()}`)
+                            .join('\n');
+
+                        embed.addFields({
+                            name: `🏢 ${group[0].project_name} - ${group[0].unit_no}`,
+                            value: claimList.length > 1024 ? claimList.substring(0, 1020) + '...' : claimList,
+                            inline: false
+                        });
+                    });
+
+                    await interaction.reply({
+                        embeds: [embed],
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                else if (action === 'search') {
+                    let filters;
+                    try {
+                        filters = getClaimSearchFilters(name => interaction.options.getString(name));
+                    } catch (error) {
+                        await interaction.reply({
+                            content: `❌ ${error.message}`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    // Drop searches nobody has paged through for a while
+                    for (const [token, search] of claimSearches.entries()) {
+                        if (Date.now() - search.createdAt > CLAIM_SEARCH_TTL_MS) {
+                            claimSearches.delete(token);
+                        }
+                    }
+
+                    // Button custom IDs are limited to 100 characters, so park the filters under a short token
+                    const searchToken = `${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+                    claimSearches.set(searchToken, { filters, createdAt: Date.now() });
+
+                    const results = searchClaims(await loadBackup(), filters);
+                    const { embed, components } = createClaimSearchPage(results, filters, searchToken, 0);
+
+                    await interaction.reply({
+                        embeds: [embed],
+                        components,
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                else if (action === 'export') {
+                    let filters;
+                    try {
+                        filters = getClaimSearchFilters(name => interaction.options.getString(name));
+                    } catch (error) {
+                        await interaction.reply({
+                            content: `❌ ${error.message}`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    await interaction.deferReply({ ephemeral: true });
+
+                    let claims;
+                    try {
+                        claims = searchClaims(await loadBackupForUpdate(), filters).reverse();
+                    } catch (error) {
+                        console.error('Error loading claims for export:', error);
+                        await interaction.editReply({
+                            content: `❌ Could not load claims from ${storage.name} storage, so nothing was exported. Please try again.\n\n${error.message}`
+                        });
+                        return;
+                    }
 
-    // Check if user is in file upload state and message has attachments
-    if (data && (data.status === 'awaiting_files' || data.status.startsWith('awaiting_')) && message.attachments.size > 0) {
-        try {
-            const uploadedFiles = [];
+                    if (claims.length === 0) {
+                        await interaction.editReply({
+                            content: `❌ No claims match these filters.\n\n${describeClaimSearchFilters(filters)}`
+                        });
+                        return;
+                    }
 
-            // Process each attachment
-            for (const attachment of message.attachments.values()) {
-                // Check file type
-                const allowedTypes = ['.pdf', '.doc', '.docx', '.jpg', '.jpeg', '.png'];
-                const fileExt = attachment.name.toLowerCase().substring(attachment.name.lastIndexOf('.'));
+                    const rows = buildClaimExportRows(claims);
+                    const fileBaseName = `claims-export-${formatInTimeZone(new Date(), GMT8_TIMEZONE, 'yyyyMMdd-HHmm')}`;
 
-                if (!allowedTypes.includes(fileExt)) {
-                    await message.reply('❌ Unsupported file type. Please upload PDF, DOC, DOCX, JPG, or PNG files only.');
+                    await interaction.editReply({
+                        content: `📊 **Claims Export**\n\n${describeClaimSearchFilters(filters)}\n\n**${claims.length}** claim(s), **${rows.length}** agent row(s)`,
+                        files: [
+                            new AttachmentBuilder(Buffer.from(createClaimExportCsv(rows), 'utf8'), { name: `${fileBaseName}.csv` }),
+                            new AttachmentBuilder(await createClaimExportXlsx(rows), { name: `${fileBaseName}.xlsx` })
+                        ]
+                    });
                     return;
                 }
 
-                // Download and upload to Google Drive
-                const response = await fetch(attachment.url);
-                const buffer = await response.buffer();
+                else if (action === 'statements') {
+                    let month;
+                    try {
+                        const dateInMonth = interaction.options.getString('date_from');
+                        month = dateInMonth ? parseSearchDate(dateInMonth).slice(0, 7) : parseStatementMonth(null);
+                    } catch (error) {
+                        await interaction.reply({
+                            content: `❌ ${error.message}`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
 
-                // Save temporarily
-                const tempPath = `uploads/${userId}_${Date.now()}_${attachment.name}`;
-                await fs.writeFile(tempPath, buffer);
+                    await interaction.deferReply({ ephemeral: true });
 
-                // Upload to Google Drive
-                const driveFile = await uploadToGoogleDrive(
-                    tempPath,
-                    `${userId}_${Date.now()}_${attachment.name}`,
-                    attachment.contentType || 'application/octet-stream'
-                );
+                    let backupData;
+                    try {
+                        backupData = await loadBackupForUpdate();
+                    } catch (error) {
+                        console.error('Error loading claims for monthly statements:', error);
+                        await interaction.editReply({
+                            content: `❌ Could not load claims from ${storage.name} storage, so no statements were generated. Please try again.\n\n${error.message}`
+                        });
+                        return;
+                    }
 
-                uploadedFiles.push({
-                    originalName: attachment.name,
-                    driveId: driveFile.id,
-                    driveLink: driveFile.webViewLink
-                });
+                    // Everyone in the directory plus any code that only appears on claims
+                    const agentCodes = new Set(Array.from(consultantDirectory.keys()));
+                    backupData.forEach(claim => (claim.agents || []).forEach(agent => {
+                        if (agent && agent.code) {
+                            agentCodes.add(normalizeAgentCode(agent.code));
+                        }
+                    }));
 
-                // Clean up temp file
-                await fs.unlink(tempPath);
-            }
+                    const uploaded = [];
+                    const failed = [];
+                    for (const agentCode of agentCodes) {
+                        const statement = buildAgentStatement(backupData, agentCode, month);
+                        if (statement.rows.length === 0) {
+                            continue;
+                        }
+                        try {
+                            await uploadStatement(await createStatementPdf(statement), getStatementFileName(statement), month);
+                            uploaded.push(agentCode);
+                        } catch (error) {
+                            console.error(`❌ Error generating statement for ${agentCode}:`, error.message);
+                            failed.push(`${agentCode}: ${error.message}`);
+                        }
+                    }
 
-            // Create confirmation buttons
-            const confirmRow = new ActionRowBuilder()
-                .addComponents(
-                    new ButtonBuilder()
-                        .setCustomId('proceed_with_files')
-                        .setLabel('✅ Proceed')
-                        .setStyle(ButtonStyle.Success),
-                    new ButtonBuilder()
-                        .setCustomId('cancel_files')
-                        .setLabel('❌ Cancel')
-                        .setStyle(ButtonStyle.Danger)
-                );
+                    const failedList = failed.slice(0, 10).join('\n');
+                    await interaction.editReply({
+                        content: `📄 **Monthly Statements - ${month}**\n\n✅ Uploaded **${uploaded.length}** statement(s) to ${documentStore.label} (${[...DOCUMENT_ROOT_FOLDERS, 'Statements', month].join(' > ')}).${failed.length > 0 ? `\n\n❌ **${failed.length} failed:**\n${failedList}${failed.length > 10 ? '\n...' : ''}` : ''}`
+                    });
+                    return;
+                }
 
-            // Handle different upload modes
-            if (data.status === 'awaiting_files') {
-                // Original bulk upload mode
-                data.uploadedFiles = uploadedFiles;
-                data.status = 'files_uploaded';
-                submissions.set(userId, data);
+                else if (action === 'payout_run') {
+                    await interaction.deferReply({ ephemeral: true });
 
-                await message.reply({
-                    content: `✅ **${uploadedFiles.length} file(s) uploaded successfully to Google Drive!**\n\n📁 **Files:**\n${uploadedFiles.map(f => `• ${f.originalName}`).join('\n')}\n\nClick **Proceed** to complete your submission or **Cancel** to abort.`,
-                    components: [confirmRow]
-                });
-            } else if (data.status.startsWith('awaiting_')) {
-                // Document-specific upload mode
-                const documentType = data.status.replace('awaiting_', '');
-
-                // Update specific document in checklist
-                if (!data.documentChecklist) {
-                    data.documentChecklist = {
-                        booking_form: { uploaded: false, files: [] },
-                        spa: { uploaded: false, files: [] },
-                        la: { uploaded: false, files: [] }
-                    };
-                }
+                    let backupData;
+                    try {
+                        backupData = await loadBackupForUpdate();
+                    } catch (error) {
+                        console.error('Error loading claims for payout run:', error);
+                        await interaction.editReply({
+                            content: `❌ Could not load claims from ${storage.name} storage, so no payout batch was created. Please try again.\n\n${error.message}`
+                        });
+                        return;
+                    }
 
-                data.documentChecklist[documentType] = {
-                    uploaded: true,
-                    files: uploadedFiles
-                };
+                    const batch = createPayoutBatch(backupData, interaction.user);
+                    if (batch.lines.length === 0 && batch.skipped.length === 0 && batch.settled.length === 0) {
+                        await interaction.editReply({
+                            content: '💸 **Nothing to pay**\n\nThere are no approved, unpaid commission amounts due.'
+                        });
+                        return;
+                    }
 
-                data.status = 'checklist_mode';
-                submissions.set(userId, data);
+                    // Only the latest draft can be confirmed, so the same amount is never paid twice
+                    const batches = await loadPayoutBatches();
+                    batches.filter(entry => entry.status === 'draft').forEach(entry => {
+                        entry.status = 'superseded';
+                    });
+                    batches.push(batch);
+                    await savePayoutBatches(batches);
+                    await recordAudit(interaction.user, 'payout_batch_created', null, null, { batch_id: batch.batch_id, total_sen: batch.total_sen });
+
+                    // Leader overrides (see calculateOverrideCommissions) are not stage lines, so batches never include them
+                    const batchClaimNumbers = new Set([...getPayoutBatchItems(batch), ...batch.skipped.flatMap(entry => entry.items)].map(item => item.claim_number));
+                    const overrideSen = backupData
+                        .filter(claim => batchClaimNumbers.has(claim.claim_number))
+                        .reduce((sum, claim) => sum + (claim.override_commissions || []).reduce((claimSum, override) => claimSum + override.amount_sen, 0), 0);
+                    const overrideNote = `\n\nℹ️ Leader override commissions are not part of payout batches and must be paid outside the bot${overrideSen > 0 ? ` (RM${formatSen(overrideSen)} on the claims in this batch)` : ''}.`;
+
+                    const components = batch.lines.length > 0 || batch.settled.length > 0 ? [new ActionRowBuilder()
+                        .addComponents(
+                            new ButtonBuilder()
+                                .setCustomId(`payout_confirm_${batch.batch_id}`)
+                                .setLabel('✅ Confirm Paid')
+                                .setStyle(ButtonStyle.Success),
+                            new ButtonBuilder()
+                                .setCustomId(`payout_cancel_${batch.batch_id}`)
+                                .setLabel('❌ Cancel Batch')
+                                .setStyle(ButtonStyle.Secondary)
+                        )] : [];
 
-                // Update checklist display
-                await updateChecklistDisplay(message, data, userId);
-            }
+                    await interaction.editReply({
+                        content: (batch.lines.length > 0 ?
+                            '💸 **Payout batch ready.** Upload the bank file, then confirm once the transfer has gone through.' :
+                            batch.skipped.length > 0 ?
+                                '⚠️ **Every due amount is held back.** Consultants need bank details (`/my-bank-details`) before they can be paid.' :
+                                '💸 **Nothing to transfer.** The due lines are all zero or negative; confirm to close them.') + overrideNote,
+                        embeds: [createPayoutBatchEmbed(batch)],
+                        files: createPayoutBatchFiles(batch),
+                        components
+                    });
+                    return;
+                }
 
-        } catch (error) {
-            console.error('Error processing file attachments:', error);
-            await message.reply('❌ Error uploading files to Google Drive. Please try again.');
-        }
-    }
-});
+                else if (action === 'trash') {
+                    const trash = await loadTrash();
 
-// Handle all interactions
-client.on('interactionCreate', async interaction => {
-    const userId = interaction.user.id;
+                    if (trash.length === 0) {
+                        await interaction.reply({
+                            content: '🗑️ **Trash is empty**',
+                            ephemeral: true
+                        });
+                        return;
+                    }
 
-    // Check if interaction is used in the allowed channel for ALL interaction types
-    const ALLOWED_CHANNEL_ID = '1400381115285508156';
-    if (interaction.channelId !== ALLOWED_CHANNEL_ID) {
-        if (interaction.isCommand()) {
-            await interaction.reply({
-                content: `❌ This command can only be used in <#${ALLOWED_CHANNEL_ID}>`,
-                ephemeral: true
-            });
-        } else if (interaction.isButton() || interaction.isModalSubmit()) {
-            try {
-                if (interaction.replied || interaction.deferred) {
-                    await interaction.followUp({
-                        content: `❌ This bot can only be used in <#${ALLOWED_CHANNEL_ID}>`,
-                        ephemeral: true
+                    const recentTrash = trash.slice(-25).reverse();
+                    const embed = new EmbedBuilder()
+                        .setTitle('🗑️ Deleted Claims')
+                        .setColor(0x6C757D)
+                        .setDescription(`${trash.length} claim(s) in trash${trash.length > 25 ? ' (showing latest 25)' : ''}. Claims can be purged ${TRASH_RETENTION_DAYS} days after deletion.`)
+                        .setTimestamp();
+
+                    recentTrash.forEach(item => {
+                        const purgeableAt = new Date(new Date(item.deleted_at).getTime() + TRASH_RETENTION_MS);
+                        embed.addFields({
+                            name: `${item.claim.claim_number} - ${item.claim.project_name} - ${item.claim.unit_no}`,
+                            value: `**User:** ${item.claim.username}\n**Deleted:** ${formatGMT8DateString(new Date(item.deleted_at))} by <@${item.deleted_by}>\n**Purgeable:** ${purgeableAt <= new Date() ? 'Now' : formatGMT8DateString(purgeableAt)}`,
+                            inline: false
+                        });
                     });
-                } else {
+
                     await interaction.reply({
-                        content: `❌ This bot can only be used in <#${ALLOWED_CHANNEL_ID}>`,
+                        embeds: [embed],
                         ephemeral: true
                     });
+                    return;
                 }
-            } catch (error) {
-                console.error('Error responding to interaction outside allowed channel:', error);
-            }
-        }
-        return;
-    }
 
-    // Handle slash commands
-    if (interaction.isCommand()) {
+                else if (action === 'restore') {
+                    const restoreClaimNumber = interaction.options.getString('claim_number');
+                    if (!restoreClaimNumber) {
+                        await interaction.reply({
+                            content: '❌ Please provide the claim_number to restore (see `/admin-action trash`).',
+                            ephemeral: true
+                        });
+                        return;
+                    }
 
-        if (interaction.commandName === 'admin-action') {
-            // Check if user has admin permissions - only for bot owner or specific role
-            const allowedUserId = '1223928653265973288'; // Bot owner ID
-            const adminGuildId = '1118938632250732544';
-            const allowedRoleId = '1404203519921356834'; // Specific role ID
+                    const restoredClaim = await restoreClaimFromTrash(restoreClaimNumber, interaction.user);
+                    await interaction.reply({
+                        content: restoredClaim ?
+                            `♻️ **Claim Restored**\n\n**Claim No.:** ${restoredClaim.claim_number}\n**Project:** ${restoredClaim.project_name} - ${restoredClaim.unit_no}\n**User:** ${restoredClaim.username}` :
+                            `❌ Claim not found in trash: ${restoreClaimNumber}`,
+                        ephemeral: true
+                    });
+                    return;
+                }
 
-            let hasAdminAccess = false;
+                else if (action === 'purge_trash') {
+                    const purgeClaimNumber = interaction.options.getString('claim_number');
+                    const purged = await purgeTrash(purgeClaimNumber, interaction.user);
 
-            // Check if user is the bot owner
-            if (interaction.user.id === allowedUserId) {
-                hasAdminAccess = true;
-            }
-            // Check if user has the specific role in the admin guild
-            else if (interaction.guildId === adminGuildId) {
-                const member = await interaction.guild.members.fetch(interaction.user.id);
-                hasAdminAccess = member.roles.cache.has(allowedRoleId);
-            }
+                    if (purged.length === 0) {
+                        await interaction.reply({
+                            content: purgeClaimNumber ?
+                                `❌ ${purgeClaimNumber} is not in the trash or has been there for less than ${TRASH_RETENTION_DAYS} days.` :
+                                `🗑️ Nothing to purge. No claim has been in the trash for ${TRASH_RETENTION_DAYS} days yet.`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
 
-            if (!hasAdminAccess) {
-                await interaction.reply({
-                    content: '❌ You do not have permission to use this command.',
-                    ephemeral: true
-                });
-                return;
-            }
+                    const purgedList = purged
+                        .slice(0, 30)
+                        .map(item => `• ${item.claim.claim_number}: ${item.claim.project_name} - ${item.claim.username}`)
+                        .join('\n');
 
-            try {
-                const action = interaction.options.getString('action');
+                    await interaction.reply({
+                        content: `✅ **Permanently purged ${purged.length} claim(s):**\n\n${purgedList}${purged.length > 30 ? `\n…and ${purged.length - 30} more` : ''}`,
+                        ephemeral: true
+                    });
+                    return;
+                }
 
-                if (action === 'check_submissions') {
-                    const userIdFilter = interaction.options.getString('user_id');
-                    const limit = interaction.options.getInteger('limit') || 10;
-                    const backupData = await loadBackupFromGitHub();
+                else if (action === 'audit') {
+                    const auditClaimNumber = interaction.options.getString('claim_number');
+                    const actorFilter = interaction.options.getString('user_id');
+                    const limit = Math.min(interaction.options.getInteger('limit') || 10, 25);
 
-                    let filteredData = backupData;
-                    if (userIdFilter) {
-                        filteredData = backupData.filter(submission =>
-                            submission.user_id === userIdFilter ||
-                            submission.username?.toLowerCase().includes(userIdFilter.toLowerCase())
+                    let entries = await loadAuditLog();
+                    if (auditClaimNumber) {
+                        const wanted = auditClaimNumber.trim().toUpperCase();
+                        entries = entries.filter(entry => entry.claim_number === wanted);
+                    }
+                    if (actorFilter) {
+                        entries = entries.filter(entry =>
+                            entry.actor_id === actorFilter ||
+                            entry.actor_username?.toLowerCase().includes(actorFilter.toLowerCase())
                         );
                     }
 
-                    const recentSubmissions = filteredData.slice(-limit).reverse();
-
-                    if (recentSubmissions.length === 0) {
+                    if (entries.length === 0) {
                         await interaction.reply({
-                            content: userIdFilter ?
-                                `❌ No submissions found for user: ${userIdFilter}` :
-                                '❌ No submissions found in database.',
+                            content: '📜 No audit entries match these filters.',
                             ephemeral: true
                         });
                         return;
                     }
 
+                    // Before/after snapshots are cut short so a full page of entries fits in one embed
+                    const formatAuditValue = value => {
+                        if (value === null) {
+                            return '—';
+                        }
+                        const json = JSON.stringify(value);
+                        return `\`${json.length > 160 ? `${json.substring(0, 157)}...` : json}\``;
+                    };
                     const embed = new EmbedBuilder()
-                        .setTitle('📊 Commission Submissions Data')
-                        .setColor(0x0099FF)
-                        .setDescription(`Showing ${recentSubmissions.length} submission(s)${userIdFilter ? ` for user: ${userIdFilter}` : ''}`)
+                        .setTitle('📜 Audit Log')
+                        .setColor(0x6F42C1)
                         .setTimestamp();
 
-                    recentSubmissions.forEach((submission, index) => {
-                        const submissionIndex = backupData.indexOf(submission);
-                        const totalCommission = submission.agents
-                            ?.filter(agent => agent.name)
-                            ?.reduce((sum, agent) => sum + parseFloat(agent.commission || 0), 0) || 0;
+                    const shown = addFieldsWithinLimit(embed, entries.slice(-limit).reverse().map(entry => ({
+                        name: `${entry.action}${entry.claim_number ? ` - ${entry.claim_number}` : ''}`,
+                        value: `**By:** ${entry.actor_id === 'system' ? 'System' : `<@${entry.actor_id}> (${entry.actor_username})`}\n**When:** ${formatGMT8DateString(new Date(entry.timestamp))}\n**Before:** ${formatAuditValue(entry.before)}\n**After:** ${formatAuditValue(entry.after)}`,
+                        inline: false
+                    })), 200);
+                    embed.setDescription(`Showing latest ${shown} of ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}${auditClaimNumber ? ` for ${auditClaimNumber}` : ''}${actorFilter ? ` by ${actorFilter}` : ''}`);
 
-                        embed.addFields({
-                            name: `#${submissionIndex} - ${submission.project_name}`,
-                            value: `**User:** ${submission.username} (${submission.user_id})\n**Unit:** ${submission.unit_no}\n**Nett Price:** RM${Number(String(submission.nett_price).replace(/,/g, '')).toLocaleString()}\n**Total Commission:** RM${totalCommission.toFixed(2)}\n**Submitted:** ${new Date(submission.submitted_at).toLocaleString()}`,
-                            inline: false
-                        });
+                    await interaction.reply({
+                        embeds: [embed],
+                        ephemeral: true
                     });
+                    return;
+                }
+
+                else if (action === 'project_save') {
+                    const projectName = interaction.options.getString('project_name');
+                    if (!projectName || !projectName.trim()) {
+                        await interaction.reply({
+                            content: '❌ Please provide the project_name to add or update.',
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const aliasesInput = interaction.options.getString('aliases');
+                    let saved;
+                    try {
+                        saved = await saveProject(projectName, {
+                            developer: interaction.options.getString('developer'),
+                            default_commission_rate: interaction.options.getNumber('commission_rate'),
+                            fast_commission_basis: interaction.options.getString('basis'),
+                            aliases: aliasesInput ? aliasesInput.split(',').map(alias => alias.trim()).filter(Boolean) : null,
+                            active: interaction.options.getBoolean('active')
+                        }, interaction.user);
+                    } catch (error) {
+                        await interaction.reply({
+                            content: `❌ ${error.message}`,
+                            ephemeral: true
+                        });
+                        return;
+                    }
+
+                    const { project, created } = saved;
+
+                    // The fast commission % keeps its effective-dated history under the canonical name
+                    const fastPercentage = interaction.options.getNumber('percentage');
+                    if (fastPercentage !== null) {
+                        await saveFastCommissionPercentage(project.name, fastPercentage, interaction.user);
+                    }
+
+                    const embed = new EmbedBuilder()
+                        .setTitle(created ? '✅ Project Added' : '✅ Project Updated')
+                        .setColor(0x28A745)
+                        .addFields(
+                            { name: '🏢 Project', value: project.name, inline: true },
+                            { name: '🏗️ Developer', value: project.developer || 'N/A', inline: true },
+                            { name: '📌 Active', value: project.active ? 'Yes' : 'No', inline: true },
+                            { name: '💼 Default Commission Rate', value: project.default_commission_rate !== null ? `${project.default_commission_rate}%` : 'Not set', inline: true },
+                            { name: '⚡ Fast Commission', value: `${getFastCommissionPercentage(project.name)}% of ${getFastCommissionBasis(project.name)}`, inline: true },
+                            { name: '🔤 Aliases', value: project.aliases.length > 0 ? project.aliases.join(', ') : 'None', inline: true }
+                        )
+                        .setTimestamp();
 
                     await interaction.reply({
                         embeds: [embed],
@@ -1078,82 +4054,135 @@ client.on('interactionCreate', async interaction => {
                     return;
                 }
 
-                else if (action === 'adjust_fast_comm') {
-                    const projectName = interaction.options.getString('project_name');
-                    const percentage = interaction.options.getNumber('percentage');
+                else if (action === 'project_list') {
+                    const projects = Array.from(projectRegistry.values()).sort((a, b) => a.name.localeCompare(b.name));
 
-                    if (!projectName || percentage === null) {
+                    if (projects.length === 0) {
                         await interaction.reply({
-                            content: '❌ Please provide both project_name and percentage for fast commission adjustment.',
+                            content: '🏢 **No projects registered**\n\nAgents can type any project name until the first project is added with `project_save`.',
                             ephemeral: true
                         });
                         return;
                     }
 
-                    // Save the fast commission percentage
-                    const saved = await saveFastCommissionPercentage(projectName, percentage);
+                    const embed = new EmbedBuilder()
+                        .setTitle('🏢 Project Registry')
+                        .setColor(0x0099FF)
+                        .setDescription(`${projects.filter(project => project.active).length} active of ${projects.length} project(s)${projects.length > 25 ? ' (showing first 25)' : ''}`)
+                        .setTimestamp();
 
-                    if (saved) {
-                        const embed = new EmbedBuilder()
-                            .setTitle('✅ Fast Commission Percentage Updated')
-                            .setColor(0x28A745)
-                            .addFields(
-                                { name: '🏢 Project Name', value: projectName, inline: true },
-                                { name: '💰 Fast Commission %', value: `${percentage}%`, inline: true },
-                                { name: '📋 Status', value: 'Setting saved successfully', inline: false }
-                            )
-                            .setTimestamp();
+                    projects.slice(0, 25).forEach(project => {
+                        embed.addFields({
+                            name: `${project.active ? '🟢' : '⚪'} ${project.name}`,
+                            value: `**Developer:** ${project.developer || 'N/A'}\n**Default Rate:** ${project.default_commission_rate !== null ? `${project.default_commission_rate}%` : 'Not set'} • **Fast Commission:** ${getFastCommissionPercentage(project.name)}% of ${getFastCommissionBasis(project.name)}${project.aliases.length > 0 ? `\n**Aliases:** ${project.aliases.join(', ')}` : ''}`,
+                            inline: false
+                        });
+                    });
 
+                    await interaction.reply({
+                        embeds: [embed],
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                else if (action === 'consultant_save') {
+                    const agentCode = interaction.options.getString('agent_code');
+                    if (!agentCode || !agentCode.trim()) {
                         await interaction.reply({
-                            embeds: [embed],
+                            content: '❌ Please provide the agent_code to add or update.',
                             ephemeral: true
                         });
-                    } else {
+                        return;
+                    }
+
+                    // Accept either a raw user ID or a pasted mention
+                    const discordUserInput = interaction.options.getString('user_id');
+                    let saved;
+                    try {
+                        saved = await saveConsultant(agentCode, {
+                            name: interaction.options.getString('consultant_name')?.trim(),
+                            discord_user_id: discordUserInput ? discordUserInput.replace(/[<@!>]/g, '').trim() : null,
+                            team_leader_code: interaction.options.getString('team_leader_code'),
+                            tier: interaction.options.getString('tier'),
+                            active: interaction.options.getBoolean('active')
+                        }, interaction.user);
+                    } catch (error) {
                         await interaction.reply({
-                            content: '❌ Failed to save fast commission percentage. Please try again.',
+                            content: `❌ ${error.message}`,
                             ephemeral: true
                         });
+                        return;
                     }
+
+                    const { consultant, created } = saved;
+                    const teamLeader = consultant.team_leader_code ? findConsultant(consultant.team_leader_code) : null;
+                    const embed = new EmbedBuilder()
+                        .setTitle(created ? '✅ Consultant Added' : '✅ Consultant Updated')
+                        .setColor(0x28A745)
+                        .addFields(
+                            { name: '🔖 Agent Code', value: consultant.code, inline: true },
+                            { name: '👤 Name', value: consultant.name, inline: true },
+                            { name: '📌 Active', value: consultant.active ? 'Yes' : 'No', inline: true },
+                            { name: '💬 Discord User', value: consultant.discord_user_id ? `<@${consultant.discord_user_id}>` : 'Not linked', inline: true },
+                            { name: '🧭 Team Leader', value: teamLeader ? `${teamLeader.code} - ${teamLeader.name}` : 'None', inline: true },
+                            { name: '🏅 Tier', value: consultant.tier || 'None', inline: true }
+                        )
+                        .setTimestamp();
+
+                    await interaction.reply({
+                        embeds: [embed],
+                        ephemeral: true
+                    });
                     return;
                 }
 
-                else if (action === 'view_fast_comm_settings') {
-                    if (fastCommissionPercentages.size === 0) {
+                else if (action === 'consultant_list') {
+                    const consultants = Array.from(consultantDirectory.values()).sort((a, b) => a.code.localeCompare(b.code));
+
+                    if (consultants.length === 0) {
                         await interaction.reply({
-                            content: '📋 **No custom fast commission settings found**\n\nAll projects will use the default 50% fast commission rate.\n\nUse `/admin-action` with `adjust_fast_comm` to set custom percentages for specific projects.',
+                            content: '👥 **No consultants registered**\n\nAgent codes are not validated until the first consultant is added with `consultant_save`.',
                             ephemeral: true
                         });
                         return;
                     }
 
+                    // agent_code narrows the list to codes starting with it, for directories too big for one embed
+                    const codePrefix = normalizeAgentCode(interaction.options.getString('agent_code'));
+                    const listed = consultants.filter(consultant => consultant.code.startsWith(codePrefix));
+
                     const embed = new EmbedBuilder()
-                        .setTitle('💰 Fast Commission Settings')
+                        .setTitle('👥 Consultant Directory')
                         .setColor(0x0099FF)
-                        .setDescription('Custom fast commission percentages by project')
+                        .setDescription(`${consultants.filter(consultant => consultant.active).length} active of ${consultants.length} consultant(s)${codePrefix ? `\nCodes starting with **${codePrefix}**: ${listed.length}` : ''}`)
                         .setTimestamp();
 
-                    const settings = Array.from(fastCommissionPercentages.entries());
-
-                    // Group settings into fields (max 25 fields, each max 1024 chars)
-                    const maxPerField = 10;
-                    for (let i = 0; i < settings.length; i += maxPerField) {
-                        const fieldSettings = settings.slice(i, i + maxPerField);
-                        const fieldValue = fieldSettings
-                            .map(([project, percentage]) => `**${project}**: ${percentage}%`)
-                            .join('\n');
-
-                        embed.addFields({
-                            name: i === 0 ? '🏢 Project Settings' : `🏢 Project Settings (continued ${Math.floor(i / maxPerField) + 1})`,
-                            value: fieldValue,
-                            inline: false
-                        });
+                    // Pack whole consultant lines into fields of at most 1024 chars
+                    const fields = [];
+                    let fieldLines = [];
+                    for (const consultant of listed) {
+                        const line = `${consultant.active ? '🟢' : '⚪'} **${consultant.code}** - ${consultant.name}${consultant.discord_user_id ? ` • <@${consultant.discord_user_id}>` : ''}${consultant.team_leader_code ? ` • TL: ${consultant.team_leader_code}` : ''}${consultant.tier ? ` • ${consultant.tier}` : ''}${consultant.bank_account_no ? ' • 🏦' : ''}`;
+                        if (fieldLines.length > 0 && [...fieldLines, line].join('\n').length > 1024) {
+                            fields.push(fieldLines);
+                            fieldLines = [];
+                        }
+                        fieldLines.push(line.substring(0, 1024));
+                    }
+                    if (fieldLines.length > 0) {
+                        fields.push(fieldLines);
                     }
 
-                    embed.addFields({
-                        name: '📋 Default Setting',
-                        value: 'Projects not listed above use **50%** fast commission rate',
+                    const shownFields = addFieldsWithinLimit(embed, fields.map((lines, index) => ({
+                        name: index === 0 ? '🔖 Consultants' : `🔖 Consultants (continued ${index + 1})`,
+                        value: lines.join('\n'),
                         inline: false
-                    });
+                    })), 100);
+
+                    const shown = fields.slice(0, shownFields).reduce((total, lines) => total + lines.length, 0);
+                    if (shown < listed.length) {
+                        embed.setFooter({ text: `Showing ${shown} of ${listed.length}. Use agent_code to list codes starting with a prefix.` });
+                    }
 
                     await interaction.reply({
                         embeds: [embed],
@@ -1162,9 +4191,8 @@ client.on('interactionCreate', async interaction => {
                     return;
                 }
 
-                const index = interaction.options.getInteger('index');
-                const confirmDelete = interaction.options.getBoolean('confirm');
-                const backupData = await loadBackupFromGitHub();
+                const claimNumber = interaction.options.getString('claim_number');
+                const backupData = await loadBackup();
 
                 if (action === 'list') {
                     const recentSubmissions = backupData.slice(-20).reverse();
@@ -1180,13 +4208,12 @@ client.on('interactionCreate', async interaction => {
                     const embed = new EmbedBuilder()
                         .setTitle('📝 Recent Submissions for Amendment')
                         .setColor(0xFF9900)
-                        .setDescription('Use the index number with `/admin-action` to delete or view details')
+                        .setDescription('Use the claim number with `/admin-action` to delete or view details')
                         .setTimestamp();
 
-                    recentSubmissions.forEach((submission, displayIndex) => {
-                        const actualIndex = backupData.indexOf(submission);
+                    recentSubmissions.forEach(submission => {
                         embed.addFields({
-                            name: `Index: ${actualIndex}`,
+                            name: submission.claim_number,
                             value: `**Project:** ${submission.project_name}\n**User:** ${submission.username}\n**Date:** ${new Date(submission.submitted_at).toLocaleDateString()}`,
                             inline: true
                         });
@@ -1199,23 +4226,34 @@ client.on('interactionCreate', async interaction => {
                 }
 
                 else if (action === 'view') {
-                    if (index === null || index < 0 || index >= backupData.length) {
+                    const submission = findSubmissionByClaimNumber(backupData, claimNumber);
+                    if (!submission) {
                         await interaction.reply({
-                            content: `❌ Invalid index. Please provide a valid index (0-${backupData.length - 1}).`,
+                            content: claimNumber ?
+                                `❌ Claim not found: ${claimNumber}` :
+                                '❌ Please provide a claim_number (e.g., CC-2026-000123).',
                             ephemeral: true
                         });
                         return;
                     }
 
-                    const submission = backupData[index];
                     const embed = createConfirmationEmbed(submission);
-                    embed.setTitle(`📋 Submission Details - Index ${index}`);
+                    embed.setTitle(`📋 Submission Details - ${submission.claim_number}`);
                     embed.addFields({
                         name: '👤 Submission Info',
-                        value: `**User:** ${submission.username} (${submission.user_id})\n**Submitted:** ${new Date(submission.submitted_at).toLocaleString()}`,
+                        value: `**User:** ${submission.username} (${submission.user_id})\n**Submitted:** ${new Date(submission.submitted_at).toLocaleString()}\n**Status:** ${formatClaimStatus(getClaimStatus(submission))}`,
                         inline: false
                     });
 
+                    const duplicates = findDuplicateClaims(backupData, submission);
+                    if (duplicates.length > 0) {
+                        embed.addFields({
+                            name: '⚠️ Possible Duplicate',
+                            value: `Same unit also claimed under: ${duplicates.map(duplicate => duplicate.claim_number).join(', ')}`,
+                            inline: false
+                        });
+                    }
+
                     await interaction.reply({
                         embeds: [embed],
                         ephemeral: true
@@ -1223,21 +4261,22 @@ client.on('interactionCreate', async interaction => {
                 }
 
                 else if (action === 'delete') {
-                    if (index === null || index < 0 || index >= backupData.length) {
+                    const submissionToDelete = findSubmissionByClaimNumber(backupData, claimNumber);
+                    if (!submissionToDelete) {
                         await interaction.reply({
-                            content: `❌ Invalid index. Please provide a valid index (0-${backupData.length - 1}).`,
+                            content: claimNumber ?
+                                `❌ Claim not found: ${claimNumber}` :
+                                '❌ Please provide a claim_number (e.g., CC-2026-000123).',
                             ephemeral: true
                         });
                         return;
                     }
 
-                    const submissionToDelete = backupData[index];
-
                     // Create confirmation buttons
                     const confirmRow = new ActionRowBuilder()
                         .addComponents(
                             new ButtonBuilder()
-                                .setCustomId(`confirm_delete_${index}`)
+                                .setCustomId(`confirm_delete_${submissionToDelete.claim_number}`)
                                 .setLabel('✅ Confirm Delete')
                                 .setStyle(ButtonStyle.Danger),
                             new ButtonBuilder()
@@ -1247,19 +4286,19 @@ client.on('interactionCreate', async interaction => {
                         );
 
                     await interaction.reply({
-                        content: `⚠️ **Confirm Deletion**\n\nAre you sure you want to delete this submission?\n\n**Project:** ${submissionToDelete.project_name}\n**User:** ${submissionToDelete.username}\n**Index:** ${index}\n\n**This action cannot be undone!**`,
+                        content: `⚠️ **Confirm Deletion**\n\nAre you sure you want to delete this submission?\n\n**Project:** ${submissionToDelete.project_name}\n**User:** ${submissionToDelete.username}\n**Claim No.:** ${submissionToDelete.claim_number}\n\nThe claim will be moved to the trash and can be restored for ${TRASH_RETENTION_DAYS} days.`,
                         components: [confirmRow],
                         ephemeral: true
                     });
                 }
 
                 else if (action === 'bulk_delete') {
-                    const indices = interaction.options.getString('indices');
+                    const claimNumbersInput = interaction.options.getString('claim_numbers');
                     const confirmDelete = interaction.options.getBoolean('confirm');
 
-                    if (!indices) {
+                    if (!claimNumbersInput) {
                         await interaction.reply({
-                            content: '❌ Please provide indices to delete.\n\n**Examples:**\n• Single: `1,3,5`\n• Range: `1-5` (deletes 1,2,3,4,5)\n• Mixed: `1,3,5-8,12`',
+                            content: '❌ Please provide claim numbers to delete.\n\n**Example:** `CC-2026-000001, CC-2026-000004, CC-2026-000007`',
                             ephemeral: true
                         });
                         return;
@@ -1273,57 +4312,37 @@ client.on('interactionCreate', async interaction => {
                         return;
                     }
 
-                    // Parse indices from string
-                    const indicesToDelete = [];
-                    const parts = indices.split(',');
-
-                    for (const part of parts) {
-                        const trimmed = part.trim();
-                        if (trimmed.includes('-')) {
-                            // Handle range like "5-8"
-                            const [start, end] = trimmed.split('-').map(n => parseInt(n.trim()));
-                            if (!isNaN(start) && !isNaN(end) && start <= end) {
-                                for (let i = start; i <= end; i++) {
-                                    indicesToDelete.push(i);
-                                }
-                            }
-                        } else {
-                            // Handle single number
-                            const num = parseInt(trimmed);
-                            if (!isNaN(num)) {
-                                indicesToDelete.push(num);
-                            }
-                        }
-                    }
-
-                    // Remove duplicates and sort in descending order (delete from end to avoid index shifting)
-                    const uniqueIndices = [...new Set(indicesToDelete)].sort((a, b) => b - a);
+                    // Parse claim numbers from string, removing duplicates
+                    const requestedClaimNumbers = [...new Set(claimNumbersInput
+                        .split(/[\s,]+/)
+                        .map(part => part.trim().toUpperCase())
+                        .filter(Boolean))];
 
-                    // Validate all indices
-                    const invalidIndices = uniqueIndices.filter(idx => idx < 0 || idx >= backupData.length);
-                    if (invalidIndices.length > 0) {
+                    // Validate all claim numbers
+                    const unknownClaimNumbers = requestedClaimNumbers.filter(number => !findSubmissionByClaimNumber(backupData, number));
+                    if (unknownClaimNumbers.length > 0) {
                         await interaction.reply({
-                            content: `❌ Invalid indices found: ${invalidIndices.join(', ')}\n\nValid range: 0-${backupData.length - 1}`,
+                            content: `❌ Claims not found: ${unknownClaimNumbers.join(', ')}\n\nUse \`list\` or \`check_submissions\` to look up claim numbers.`,
                             ephemeral: true
                         });
                         return;
                     }
 
                     // Show what will be deleted
-                    const submissionsToDelete = uniqueIndices.map(idx => ({
-                        index: idx,
-                        submission: backupData[idx]
-                    }));
-
-                    const deleteList = submissionsToDelete
-                        .map(item => `• Index ${item.index}: ${item.submission.project_name} - ${item.submission.username}`)
+                    const deleteList = requestedClaimNumbers
+                        .map(number => findSubmissionByClaimNumber(backupData, number))
+                        .map(submission => `• ${submission.claim_number}: ${submission.project_name} - ${submission.username}`)
                         .join('\n');
 
+                    // Button custom IDs are limited to 100 characters, so park the list under a short token
+                    const bulkDeleteToken = `${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+                    pendingBulkDeletes.set(bulkDeleteToken, { claimNumbers: requestedClaimNumbers, createdAt: Date.now() });
+
                     // Create final confirmation
                     const confirmRow = new ActionRowBuilder()
                         .addComponents(
                             new ButtonBuilder()
-                                .setCustomId(`confirm_bulk_delete_${uniqueIndices.join(',')}`)
+                                .setCustomId(`confirm_bulk_delete_${bulkDeleteToken}`)
                                 .setLabel('✅ Confirm Bulk Delete')
                                 .setStyle(ButtonStyle.Danger),
                             new ButtonBuilder()
@@ -1333,7 +4352,7 @@ client.on('interactionCreate', async interaction => {
                         );
 
                     await interaction.reply({
-                        content: `⚠️ **Confirm Bulk Deletion**\n\n**You are about to delete ${uniqueIndices.length} submission(s):**\n\n${deleteList}\n\n**This action cannot be undone!**`,
+                        content: `⚠️ **Confirm Bulk Deletion**\n\n**You are about to delete ${requestedClaimNumbers.length} submission(s):**\n\n${deleteList}\n\nThe claims will be moved to the trash and can be restored for ${TRASH_RETENTION_DAYS} days.\n\n⏳ Confirm within ${BULK_DELETE_TTL_MS / 60000} minutes.`,
                         components: [confirmRow],
                         ephemeral: true
                     });
@@ -1353,15 +4372,115 @@ client.on('interactionCreate', async interaction => {
 
 
         else if (interaction.commandName === 'fast-comm-submission') {
-            const modal = createSubmissionModal();
+            if (getUserDrafts(userId).length >= MAX_DRAFTS_PER_USER) {
+                await interaction.reply({
+                    content: `❌ **Too many drafts**\n\nYou already have ${MAX_DRAFTS_PER_USER} unfinished submissions. Use \`/my-drafts\` to finish or discard one first.`,
+                    ephemeral: true
+                });
+                return;
+            }
+
+            // Each run starts a fresh draft; earlier drafts stay available in /my-drafts
+            activeDrafts.delete(userId);
+            const draftName = interaction.options.getString('name');
+            if (draftName) {
+                pendingDraftNames.set(userId, draftName.trim());
+            } else {
+                pendingDraftNames.delete(userId);
+            }
+
+            // Start the form from the picked project's canonical name and default rate
+            const projectInput = interaction.options.getString('project');
+            const project = projectInput ? findProject(projectInput) : null;
+            const modal = createSubmissionModal(project ?
+                { project_name: project.name, commission_rate: project.default_commission_rate } :
+                { project_name: projectInput });
             await interaction.showModal(modal);
         }
 
+        else if (interaction.commandName === 'my-bank-details') {
+            const linkedConsultants = getLinkedConsultants(userId);
+            if (linkedConsultants.length === 0) {
+                await interaction.reply({
+                    content: '❌ **No agent code linked to your Discord account**\n\nAsk an admin to link your agent code with `/admin-action consultant_save` first.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            await interaction.showModal(createBankDetailsModal(linkedConsultants[0]));
+        }
+
+        else if (interaction.commandName === 'my-statement') {
+            let month;
+            try {
+                month = parseStatementMonth(interaction.options.getString('month'));
+            } catch (error) {
+                await interaction.reply({
+                    content: `❌ ${error.message}`,
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const linkedConsultants = getLinkedConsultants(userId);
+            if (linkedConsultants.length === 0) {
+                await interaction.reply({
+                    content: '❌ **No agent code linked to your Discord account**\n\nAsk an admin to link your agent code with `/admin-action consultant_save` first.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            await interaction.deferReply({ ephemeral: true });
+
+            let backupData;
+            try {
+                backupData = await loadBackupForUpdate();
+            } catch (error) {
+                console.error('Error loading claims for statement:', error);
+                await interaction.editReply({
+                    content: '❌ Could not load your claims right now, so no statement was generated. Please try again later.'
+                });
+                return;
+            }
+
+            const statements = linkedConsultants.map(consultant => buildAgentStatement(backupData, consultant.code, month));
+            const files = [];
+            for (const statement of statements) {
+                files.push(new AttachmentBuilder(await createStatementPdf(statement), { name: getStatementFileName(statement) }));
+            }
+
+            await interaction.editReply({
+                content: `📄 **Commission Statement - ${month}**\n\n${statements.map(statement => `**${statement.agent_code}:** paid this month RM${formatSen(statement.total_paid_this_month_sen)} • outstanding RM${formatSen(statement.total_outstanding_sen)}`).join('\n')}`,
+                files
+            });
+        }
+
+        else if (interaction.commandName === 'my-drafts') {
+            const drafts = getUserDrafts(userId);
+
+            if (drafts.length === 0) {
+                await interaction.reply({
+                    content: '📝 **No drafts found**\n\nYou have no unfinished submissions. Use `/fast-comm-submission` to start one.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const { embed, row } = createDraftPicker(drafts, activeDrafts.get(userId));
+            await interaction.reply({
+                embeds: [embed],
+                components: [row],
+                ephemeral: true
+            });
+        }
+
 
 
         else if (interaction.commandName === 'check-my-upload') {
             try {
-                const backupData = await loadBackupFromGitHub();
+                const backupData = await loadBackup();
                 const userSubmissions = backupData.filter(submission => submission.user_id === userId);
 
                 if (userSubmissions.length === 0) {
@@ -1376,7 +4495,7 @@ client.on('interactionCreate', async interaction => {
                 const embed = new EmbedBuilder()
                     .setTitle('📋 Your Commission Submissions')
                     .setColor(0x0099FF)
-                    .setDescription(`Found ${userSubmissions.length} submission(s)`)
+                    .setDescription(`Found ${userSubmissions.length} submission(s) • **RM${formatSen(userSubmissions.reduce((sum, submission) => sum + getOutstandingSen(submission), 0))}** outstanding`)
                     .setTimestamp();
 
                 // Create buttons for each submission (max 25 buttons per interaction)
@@ -1385,22 +4504,19 @@ client.on('interactionCreate', async interaction => {
 
                 for (let i = 0; i < maxButtons; i++) {
                     const submission = userSubmissions[i];
-                    const submissionIndex = backupData.indexOf(submission);
-                    const totalCommission = submission.agents
-                        ?.filter(agent => agent.name)
-                        ?.reduce((sum, agent) => sum + parseFloat(agent.commission || 0), 0) || 0;
+                    const totalCommissionSen = calculateCommissionBreakdown(submission).total_commission_sen;
 
                     // Add to embed
                     embed.addFields({
-                        name: `${i + 1}. ${submission.project_name}`,
-                        value: `**Unit:** ${submission.unit_no}\n**Total Commission:** RM${totalCommission.toFixed(2)}\n**Submitted:** ${formatGMT8DateString(new Date(submission.submitted_at))}\n**Documents:** ${submission.uploadedFiles?.length || 0} file(s)`,
+                        name: `${i + 1}. ${submission.project_name} (${submission.claim_number})`,
+                        value: `**Unit:** ${submission.unit_no}\n**Status:** ${formatClaimStatus(getClaimStatus(submission))}\n**Total Commission:** RM${formatSen(totalCommissionSen)}\n**Outstanding:** RM${formatSen(getOutstandingSen(submission))}\n**Submitted:** ${formatGMT8DateString(new Date(submission.submitted_at))}\n**Documents:** ${submission.uploadedFiles?.length || 0} file(s)`,
                         inline: true
                     });
 
                     // Create button for detailed view
                     buttons.push(
                         new ButtonBuilder()
-                            .setCustomId(`view_submission_${submissionIndex}`)
+                            .setCustomId(`view_submission_${submission.claim_number}`)
                             .setLabel(`View ${submission.project_name}`)
                             .setStyle(ButtonStyle.Primary)
                     );
@@ -1456,7 +4572,7 @@ client.on('interactionCreate', async interaction => {
 
     // Handle modal submissions
     if (interaction.isModalSubmit()) {
-        if (interaction.customId === 'submission_form') {
+        if (customId === 'submission_form') {
             // Store initial data
             const nettPriceInput = interaction.fields.getTextInputValue('nett_price');
             const commissionRateInput = interaction.fields.getTextInputValue('commission_rate');
@@ -1465,15 +4581,44 @@ client.on('interactionCreate', async interaction => {
             console.log('Raw Nett Price Input:', nettPriceInput);
             console.log('Raw Commission Rate Input:', commissionRateInput);
 
+            // Money is worked out from these, so anything that would silently become 0 is sent back
+            const nettPrice = normalizeDecimalInput(nettPriceInput);
+            const commissionRate = normalizeDecimalInput(commissionRateInput);
+            const inputErrors = [];
+            if (nettPrice === null || parseScaledDecimal(nettPrice, 2) <= 0n) {
+                inputErrors.push(`**Nett Price** "${nettPriceInput}" must be an amount above 0, like 500,000.00`);
+            }
+            if (commissionRate === null || parseScaledDecimal(commissionRate, PERCENTAGE_SCALE) < 0n) {
+                inputErrors.push(`**Commission Rate** "${commissionRateInput}" must be a percentage, like 3 or 2.5%`);
+            }
+            if (inputErrors.length > 0) {
+                await interaction.reply({
+                    content: `❌ **Please check the project details**\n\n${inputErrors.map(error => `• ${error}`).join('\n')}\n\nNothing was saved. Click below to enter them again.`,
+                    components: [new ActionRowBuilder()
+                        .addComponents(
+                            new ButtonBuilder()
+                                .setCustomId(draftCustomId('edit_project_details', getActiveDraft(userId)))
+                                .setLabel('✏️ Fix Project Details')
+                                .setStyle(ButtonStyle.Primary)
+                        )],
+                    ephemeral: true
+                });
+                return;
+            }
+
             // Get existing data to preserve consultant information
-            const existingData = submissions.get(userId);
+            const existingData = getActiveDraft(userId);
+
+            // Store the registry's canonical name so every spelling of a project ends up under one key
+            const projectInput = interaction.fields.getTextInputValue('project_name');
+            const project = findProject(projectInput);
 
             const data = {
-                project_name: interaction.fields.getTextInputValue('project_name'),
+                project_name: project ? project.name : projectInput.trim(),
                 unit_no: interaction.fields.getTextInputValue('unit_no'),
                 spa_price: interaction.fields.getTextInputValue('spa_price'),
-                nett_price: nettPriceInput,
-                commission_rate: commissionRateInput,
+                nett_price: nettPrice,
+                commission_rate: commissionRate,
                 agents: existingData?.agents || [], // Preserve existing consultant data
                 submission_date: existingData?.submission_date || new Date().toISOString(),
                 // Preserve other existing data if any
@@ -1487,110 +4632,72 @@ client.on('interactionCreate', async interaction => {
             console.log('Stored data nett_price:', data.nett_price);
             console.log('Stored data commission_rate:', data.commission_rate);
 
-            submissions.set(userId, data);
+            saveActiveDraft(userId, data);
+
+            // Once projects are registered, claims must be for a registered, active project
+            if (projectRegistry.size > 0 && (!project || !project.active)) {
+                const fixRow = new ActionRowBuilder()
+                    .addComponents(
+                        new ButtonBuilder()
+                            .setCustomId(draftCustomId('edit_project_details', data))
+                            .setLabel('✏️ Fix Project Name')
+                            .setStyle(ButtonStyle.Primary),
+                        new ButtonBuilder()
+                            .setCustomId(draftCustomId('cancel_submission', data))
+                            .setLabel('❌ Cancel')
+                            .setStyle(ButtonStyle.Danger)
+                    );
+                const suggestions = getActiveProjects().slice(0, 10).map(activeProject => `• ${activeProject.name}`).join('\n');
+
+                await interaction.reply({
+                    content: project ?
+                        `❌ **${project.name}** is no longer accepting claims.\n\nPlease contact an admin if you think this is a mistake.` :
+                        `❌ **Unknown project:** "${projectInput}"\n\nUse \`/fast-comm-submission project:\` to pick from the list, or fix the name below.${suggestions ? `\n\n**Active projects:**\n${suggestions}` : ''}`,
+                    components: [fixRow],
+                    ephemeral: true
+                });
+                return;
+            }
 
             // Check if we have existing consultants or customer data to determine next step
             const hasConsultants = data.agents && data.agents.some(agent => agent && agent.name);
-            const hasCustomerDetails = data.customer_name && data.customer_phone && data.customer_address && data.spa_date && data.la_date;
-
             let buttons = [];
             let message = '';
+            let review = null;
 
             if (hasConsultants) {
                 // User has consultant data, show options to continue editing or proceed
                 message = '✅ **Project details updated!**\nYour consultant data has been preserved. Choose your next step:';
-
-                buttons.push(
-                    new ButtonBuilder()
-                        .setCustomId('show_agent_form_1')
-                        .setLabel('Edit Consultant 1')
-                        .setStyle(ButtonStyle.Secondary)
-                );
-
-                if (data.agents[1] && data.agents[1].name) {
-                    buttons.push(
-                        new ButtonBuilder()
-                            .setCustomId('show_agent_form_2')
-                            .setLabel('Edit Consultant 2')
-                            .setStyle(ButtonStyle.Secondary)
-                    );
-                }
-
-                if (data.agents[2] && data.agents[2].name) {
-                    buttons.push(
-                        new ButtonBuilder()
-                            .setCustomId('show_agent_form_3')
-                            .setLabel('Edit Consultant 3')
-                            .setStyle(ButtonStyle.Secondary)
-                    );
-                }
-
-                if (data.agents[3] && data.agents[3].name) {
-                    buttons.push(
-                        new ButtonBuilder()
-                            .setCustomId('show_agent_form_4')
-                            .setLabel('Edit Consultant 4')
-                            .setStyle(ButtonStyle.Secondary)
-                    );
-                }
-
-                // Add new consultant option if less than 4
-                if (data.agents.length < 4) {
-                    const nextSlot = data.agents.findIndex(agent => !agent || !agent.name);
-                    const nextConsultantNum = nextSlot === -1 ? data.agents.length + 1 : nextSlot + 1;
-                    if (nextConsultantNum <= 4) {
-                        buttons.push(
-                            new ButtonBuilder()
-                                .setCustomId(`show_agent_form_${nextConsultantNum}`)
-                                .setLabel(`Add Consultant ${nextConsultantNum}`)
-                                .setStyle(ButtonStyle.Primary)
-                        );
-                    }
-                }
-
-                if (hasCustomerDetails) {
-                    buttons.push(
-                        new ButtonBuilder()
-                            .setCustomId('proceed_to_confirmation')
-                            .setLabel('✅ Proceed to Confirmation')
-                            .setStyle(ButtonStyle.Success)
-                    );
-                } else {
-                    buttons.push(
-                        new ButtonBuilder()
-                            .setCustomId('show_customer_form')
-                            .setLabel('Continue: Customer Details')
-                            .setStyle(ButtonStyle.Primary)
-                    );
-                }
+                review = createConsultantReview(data);
             } else {
                 // No consultant data, show normal flow
                 message = '✅ **Project details saved!**\nClick the button below to continue with consultant details.';
                 buttons.push(
                     new ButtonBuilder()
-                        .setCustomId('show_agent_form_1')
+                        .setCustomId(draftCustomId('show_agent_form_1', data))
                         .setLabel('Continue: Add Consultant Details')
                         .setStyle(ButtonStyle.Primary)
                 );
             }
 
             // Split buttons into rows (max 5 buttons per row)
-            const rows = [];
+            const rows = review ? review.components : [];
             for (let i = 0; i < buttons.length; i += 5) {
                 const rowButtons = buttons.slice(i, i + 5);
                 rows.push(new ActionRowBuilder().addComponents(rowButtons));
             }
 
             await interaction.reply({
-                content: message,
+                content: getCommissionRateWarning(data) ? `${message}\n\n⚠️ **${getCommissionRateWarning(data)}.** Please double-check before continuing.` : message,
+                embeds: review ? [review.embed] : [],
                 components: rows,
                 ephemeral: true
             });
         }
 
-        else if (interaction.customId.startsWith('agent_form_')) {
-            const step = parseInt(interaction.customId.split('_')[2]);
-            const data = submissions.get(userId);
+        else if (customId.startsWith('agent_form_')) {
+            const step = parseInt(customId.split('_')[2]);
+            const data = getActiveDraft(userId);
 
             if (!data) {
                 const restartRow = new ActionRowBuilder()
@@ -1614,31 +4721,70 @@ client.on('interactionCreate', async interaction => {
                 data.agents = [];
             }
 
-            // Process only the current agent (step)
-            try {
-                const name = interaction.fields.getTextInputValue(`agent${step}_name`) || '';
-                const code = interaction.fields.getTextInputValue(`agent${step}_code`) || '';
-                const percentage = interaction.fields.getTextInputValue(`agent${step}_percentage`) || '';
+            const name = (interaction.fields.getTextInputValue(`agent${step}_name`) || '').trim();
+            const code = (interaction.fields.getTextInputValue(`agent${step}_code`) || '').trim();
+            const percentage = interaction.fields.getTextInputValue(`agent${step}_percentage`) || '';
+
+            // Once the directory has consultants, codes must be known and names come from the directory
+            if (consultantDirectory.size > 0 && (name || code || percentage)) {
+                const consultant = findConsultant(code);
+                let codeError = null;
+                if (!code) {
+                    codeError = `Please enter the consultant code for Consultant ${step}. The name is filled in from the code.`;
+                } else if (!consultant) {
+                    codeError = `Agent code **${code}** is not in the consultant directory. Please check the code, or ask an admin to add it.`;
+                } else if (!consultant.active) {
+                    codeError = `Agent code **${consultant.code}** (${consultant.name}) is inactive and cannot receive commission.`;
+                } else if (data.agents.some((agent, index) => index !== step - 1 && agent && normalizeAgentCode(agent.code) === consultant.code)) {
+                    codeError = `**${consultant.code}** (${consultant.name}) is already listed as another consultant on this claim.`;
+                }
+
+                if (codeError) {
+                    const retryRow = new ActionRowBuilder()
+                        .addComponents(
+                            new ButtonBuilder()
+                                .setCustomId(draftCustomId(`show_agent_form_${step}`, data))
+                                .setLabel(`✏️ Re-enter Consultant ${step}`)
+                                .setStyle(ButtonStyle.Primary),
+                            new ButtonBuilder()
+                                .setCustomId(draftCustomId('cancel_submission', data))
+                                .setLabel('❌ Cancel')
+                                .setStyle(ButtonStyle.Danger)
+                        );
 
-                if (name || code || percentage !== '0') {
-                    data.agents[step-1] = { name, code, percentage: parseFloat(percentage) || 0 };
+                    await interaction.update({
+                        content: `❌ **Invalid consultant code**\n\n${codeError}`,
+                        components: [retryRow],
+                        embeds: []
+                    });
+                    return;
                 }
-            } catch (error) {
-                console.error('Error processing agent form:', error);
+
+                data.agents[step - 1] = {
+                    name: consultant.name,
+                    code: consultant.code,
+                    percentage: parseFloat(percentage) || 0,
+                    discord_user_id: consultant.discord_user_id || undefined
+                };
+                saveActiveDraft(userId, data);
+            } else if (name || code || percentage !== '0') {
+                // Process only the current agent (step)
+                data.agents[step - 1] = { name, code, percentage: parseFloat(percentage) || 0 };
+                saveActiveDraft(userId, data);
             }
 
             // Check if we already have customer details (editing mode)
             const hasCustomerDetails = data.customer_name && data.customer_phone && data.customer_address && data.spa_date && data.la_date;
 
-            if (step < 4) {
+            if (step < MAX_AGENTS) {
                 // Show continue button for next agent or skip
                 const buttons = [
                     new ButtonBuilder()
-                        .setCustomId(`show_agent_form_${step + 1}`)
+                        .setCustomId(draftCustomId(`show_agent_form_${step + 1}`, data))
                         .setLabel(`Continue: Add Consultant ${step + 1}`)
                         .setStyle(ButtonStyle.Primary),
                     new ButtonBuilder()
-                        .setCustomId('skip_to_customer')
+                        .setCustomId(draftCustomId('skip_to_customer', data))
                         .setLabel('Skip to Customer Details')
                         .setStyle(ButtonStyle.Secondary)
                 ];
@@ -1647,14 +4793,14 @@ client.on('interactionCreate', async interaction => {
                 if (step === 1) {
                     buttons.push(
                         new ButtonBuilder()
-                            .setCustomId('show_agent_form_back_1')
+                            .setCustomId(draftCustomId('show_agent_form_back_1', data))
                             .setLabel('← Back to Project Details')
                             .setStyle(ButtonStyle.Secondary)
                     );
                 } else {
                     buttons.push(
                         new ButtonBuilder()
-                            .setCustomId(`show_agent_form_back_${step}`)
+                            .setCustomId(draftCustomId(`show_agent_form_back_${step}`, data))
                             .setLabel(`← Previous Consultant`)
                             .setStyle(ButtonStyle.Secondary)
                     );
@@ -1664,17 +4810,25 @@ client.on('interactionCreate', async interaction => {
                 if (hasCustomerDetails) {
                     buttons.push(
                         new ButtonBuilder()
-                            .setCustomId('proceed_to_confirmation')
+                            .setCustomId(draftCustomId('proceed_to_confirmation', data))
                             .setLabel('✅ Proceed to Confirmation')
                             .setStyle(ButtonStyle.Success)
                     );
                 }
 
+                buttons.push(
+                    new ButtonBuilder()
+                        .setCustomId(draftCustomId('consultant_review_0', data))
+                        .setLabel('👥 Review Consultants')
+                        .setStyle(ButtonStyle.Secondary)
+                );
+
                 const continueRow = new ActionRowBuilder().addComponents(buttons);
 
                 try {
                 await interaction.update({
                     content: `✅ **Consultant ${step} details saved!**\nYou can add more consultants${hasCustomerDetails ? ', proceed to confirmation,' : ''} or proceed to customer details.`,
+                    embeds: [],
                     components: [continueRow]
                 });
             } catch (error) {
@@ -1700,14 +4854,14 @@ client.on('interactionCreate', async interaction => {
                 if (hasCustomerDetails) {
                     buttons.push(
                         new ButtonBuilder()
-                            .setCustomId('proceed_to_confirmation')
+                            .setCustomId(draftCustomId('proceed_to_confirmation', data))
                             .setLabel('✅ Proceed to Confirmation')
                             .setStyle(ButtonStyle.Success)
                     );
                 } else {
                     buttons.push(
                         new ButtonBuilder()
-                            .setCustomId('show_customer_form')
+                            .setCustomId(draftCustomId('show_customer_form', data))
                             .setLabel('Continue: Customer Details')
                             .setStyle(ButtonStyle.Primary)
                     );
@@ -1715,16 +4869,24 @@ client.on('interactionCreate', async interaction => {
 
                  buttons.push(
                         new ButtonBuilder()
-                            .setCustomId(`show_agent_form_back_${step}`)
+                            .setCustomId(draftCustomId(`show_agent_form_back_${step}`, data))
                             .setLabel(`← Previous Consultant`)
                             .setStyle(ButtonStyle.Secondary)
                     );
 
+                buttons.push(
+                    new ButtonBuilder()
+                        .setCustomId(draftCustomId('consultant_review_0', data))
+                        .setLabel('👥 Review Consultants')
+                        .setStyle(ButtonStyle.Secondary)
+                );
+
                 const continueRow = new ActionRowBuilder().addComponents(buttons);
 
                 try {
                 await interaction.update({
                     content: `✅ **All consultant details saved!**\nClick below to ${hasCustomerDetails ? 'proceed to confirmation' : 'add customer details'}.`,
+                    embeds: [],
                     components: [continueRow]
                 });
             } catch (error) {
@@ -1747,8 +4909,96 @@ client.on('interactionCreate', async interaction => {
 
         }
 
-        else if (interaction.customId === 'customer_form') {
-            const data = submissions.get(userId);
+        else if (customId === 'bank_details_form') {
+            const linkedConsultants = getLinkedConsultants(userId);
+            const accountNo = interaction.fields.getTextInputValue('bank_account_no').replace(/[\s-]/g, '');
+            if (!/^\d{6,20}$/.test(accountNo)) {
+                await interaction.reply({
+                    content: '❌ **Invalid account number.** Use digits only (6-20), then run `/my-bank-details` again.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            // Apply to every agent code linked to this Discord user
+            for (const consultant of linkedConsultants) {
+                await saveConsultant(consultant.code, {
+                    bank_name: interaction.fields.getTextInputValue('bank_name').trim(),
+                    bank_account_no: accountNo,
+                    bank_account_holder: interaction.fields.getTextInputValue('bank_account_holder').trim()
+                }, interaction.user);
+            }
+
+            await interaction.reply({
+                content: `✅ **Bank details saved** for ${linkedConsultants.map(consultant => consultant.code).join(', ')}.\nAccount ending **${accountNo.slice(-4)}** will be used for future payouts.`,
+                ephemeral: true
+            });
+        }
+
+        else if (customId === 'deductions_form') {
+            const data = getActiveDraft(userId);
+            if (!data) {
+                await interaction.reply({
+                    content: '❌ **Session expired or missing data**\n\nUse `/my-drafts` or `/fast-comm-submission` to continue.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            try {
+                data.deductions = parseDeductionsForm({
+                    referral_fee: interaction.fields.getTextInputValue('referral_fee'),
+                    customer_rebate: interaction.fields.getTextInputValue('customer_rebate'),
+                    agent_deductions: interaction.fields.getTextInputValue('agent_deductions'),
+                    withholding_percentage: interaction.fields.getTextInputValue('withholding_percentage')
+                }, data.agents || []);
+            } catch (error) {
+                const retryRow = new ActionRowBuilder()
+                    .addComponents(
+                        new ButtonBuilder()
+                            .setCustomId(draftCustomId('edit_deductions', data))
+                            .setLabel('➖ Re-enter Deductions')
+                            .setStyle(ButtonStyle.Primary),
+                        new ButtonBuilder()
+                            .setCustomId(draftCustomId('back_to_confirmation', data))
+                            .setLabel('← Back to Confirmation')
+                            .setStyle(ButtonStyle.Secondary)
+                    );
+                await interaction.update({
+                    content: `❌ **${error.message}**`,
+                    embeds: [],
+                    components: [retryRow]
+                });
+                return;
+            }
+            saveActiveDraft(userId, data);
+
+            const embed = createConfirmationEmbed(data);
+            const confirmRow = new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(draftCustomId('confirm_submission', data))
+                        .setLabel('✅ Confirm & Upload Documents')
+                        .setStyle(ButtonStyle.Success),
+                    new ButtonBuilder()
+                        .setCustomId(draftCustomId('edit_details', data))
+                        .setLabel('✏️ Edit Details')
+                        .setStyle(ButtonStyle.Secondary),
+                    new ButtonBuilder()
+                        .setCustomId(draftCustomId('cancel_submission', data))
+                        .setLabel('❌ Cancel')
+                        .setStyle(ButtonStyle.Danger)
+                );
+
+            await interaction.update({
+                content: '✅ **Deductions saved.** Review the net commission below:',
+                embeds: [embed],
+                components: [confirmRow]
+            });
+        }
+
+        else if (customId === 'customer_form') {
+            const data = getActiveDraft(userId);
 
             if (!data) {
                 const restartRow = new ActionRowBuilder()
@@ -1782,17 +5032,17 @@ client.on('interactionCreate', async interaction => {
                 const editRow = new ActionRowBuilder()
                     .addComponents(
                         new ButtonBuilder()
-                            .setCustomId('edit_agent_percentages')
+                            .setCustomId(draftCustomId('edit_agent_percentages', data))
                             .setLabel('✏️ Edit Consultant Percentages')
                             .setStyle(ButtonStyle.Primary),
                         new ButtonBuilder()
-                            .setCustomId('cancel_submission')
+                            .setCustomId(draftCustomId('cancel_submission', data))
                             .setLabel('❌ Cancel')
                             .setStyle(ButtonStyle.Danger)
                     );
 
                 await interaction.reply({
-                    content: `❌ **Consultant percentages must total exactly 100%!**\n\n💡 **Explanation:** Each consultant's percentage represents their portion of the total commission.\n\nCurrent total: **${currentTotal.toFixed(1)}%**\n\nClick below to edit your consultant percentages:`,
+                    content: `❌ **Consultant percentages must total exactly ${REQUIRED_AGENT_PERCENTAGE_TOTAL}%!**\n\n💡 **Explanation:** Each consultant's percentage represents their portion of the total commission.\n\nCurrent total: **${currentTotal.toFixed(1)}%**\n\nClick below to edit your consultant percentages:`,
                     components: [editRow],
                     ephemeral: true
                 });
@@ -1803,11 +5053,11 @@ client.on('interactionCreate', async interaction => {
             const paymentRow = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId('select_cash_buyer')
+                        .setCustomId(draftCustomId('select_cash_buyer', data))
                         .setLabel('💵 Cash Buyer')
                         .setStyle(ButtonStyle.Primary),
                     new ButtonBuilder()
-                        .setCustomId('select_loan_buyer')
+                        .setCustomId(draftCustomId('select_loan_buyer', data))
                         .setLabel('🏦 Loan Buyer')
                         .setStyle(ButtonStyle.Primary)
                 );
@@ -1815,7 +5065,7 @@ client.on('interactionCreate', async interaction => {
             const backRow = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId('back_to_customer_form')
+                        .setCustomId(draftCustomId('back_to_customer_form', data))
                         .setLabel('← Back to Customer Details')
                         .setStyle(ButtonStyle.Secondary)
                 );
@@ -1827,8 +5077,8 @@ client.on('interactionCreate', async interaction => {
             });
         }
 
-        else if (interaction.customId === 'loan_buyer_form') {
-            const data = submissions.get(userId);
+        else if (customId === 'loan_buyer_form') {
+            const data = getActiveDraft(userId);
 
             if (!data) {
                 const restartRow = new ActionRowBuilder()
@@ -1865,15 +5115,15 @@ client.on('interactionCreate', async interaction => {
                 const confirmRow = new ActionRowBuilder()
                     .addComponents(
                         new ButtonBuilder()
-                            .setCustomId('confirm_submission')
+                            .setCustomId(draftCustomId('confirm_submission', data))
                             .setLabel('✅ Confirm & Upload Documents')
                             .setStyle(ButtonStyle.Success),
                         new ButtonBuilder()
-                            .setCustomId('edit_details')
+                            .setCustomId(draftCustomId('edit_details', data))
                             .setLabel('✏️ Edit Details')
                             .setStyle(ButtonStyle.Secondary),
                         new ButtonBuilder()
-                            .setCustomId('cancel_submission')
+                            .setCustomId(draftCustomId('cancel_submission', data))
                             .setLabel('❌ Cancel')
                             .setStyle(ButtonStyle.Danger)
                     );
@@ -1889,15 +5139,15 @@ client.on('interactionCreate', async interaction => {
                 const differentialRow = new ActionRowBuilder()
                     .addComponents(
                         new ButtonBuilder()
-                            .setCustomId('differential_paid')
+                            .setCustomId(draftCustomId('differential_paid', data))
                             .setLabel('✅ Paid')
                             .setStyle(ButtonStyle.Success),
                         new ButtonBuilder()
-                            .setCustomId('differential_partially_paid')
+                            .setCustomId(draftCustomId('differential_partially_paid', data))
                             .setLabel('🔄 Partially Paid')
                             .setStyle(ButtonStyle.Primary),
                         new ButtonBuilder()
-                            .setCustomId('differential_not_paid')
+                            .setCustomId(draftCustomId('differential_not_paid', data))
                             .setLabel('❌ Not Paid')
                             .setStyle(ButtonStyle.Danger)
                     );
@@ -1910,8 +5160,8 @@ client.on('interactionCreate', async interaction => {
             }
         }
 
-        else if (interaction.customId === 'cash_buyer_form') {
-            const data = submissions.get(userId);
+        else if (customId === 'cash_buyer_form') {
+            const data = getActiveDraft(userId);
 
             if (!data) {
                 const restartRow = new ActionRowBuilder()
@@ -1942,15 +5192,15 @@ client.on('interactionCreate', async interaction => {
             const confirmRow = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId('confirm_submission')
+                        .setCustomId(draftCustomId('confirm_submission', data))
                         .setLabel('✅ Confirm & Upload Documents')
                         .setStyle(ButtonStyle.Success),
                     new ButtonBuilder()
-                        .setCustomId('edit_details')
+                        .setCustomId(draftCustomId('edit_details', data))
                         .setLabel('✏️ Edit Details')
                         .setStyle(ButtonStyle.Secondary),
                     new ButtonBuilder()
-                        .setCustomId('cancel_submission')
+                        .setCustomId(draftCustomId('cancel_submission', data))
                         .setLabel('❌ Cancel')
                         .setStyle(ButtonStyle.Danger)
                 );
@@ -1962,8 +5212,8 @@ client.on('interactionCreate', async interaction => {
             });
         }
 
-        else if (interaction.customId === 'differential_payment_form') {
-            const data = submissions.get(userId);
+        else if (customId === 'differential_payment_form') {
+            const data = getActiveDraft(userId);
 
             if (!data) {
                 const restartRow = new ActionRowBuilder()
@@ -1992,15 +5242,15 @@ client.on('interactionCreate', async interaction => {
             const confirmRow = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId('confirm_submission')
+                        .setCustomId(draftCustomId('confirm_submission', data))
                         .setLabel('✅ Confirm & Upload Documents')
                         .setStyle(ButtonStyle.Success),
                     new ButtonBuilder()
-                        .setCustomId('edit_details')
+                        .setCustomId(draftCustomId('edit_details', data))
                         .setLabel('✏️ Edit Details')
                         .setStyle(ButtonStyle.Secondary),
                     new ButtonBuilder()
-                        .setCustomId('cancel_submission')
+                        .setCustomId(draftCustomId('cancel_submission', data))
                         .setLabel('❌ Cancel')
                         .setStyle(ButtonStyle.Danger)
                 );
@@ -2012,70 +5262,93 @@ client.on('interactionCreate', async interaction => {
             });
         }
 
-        else if (interaction.customId === 'file_upload_form') {
-            await interaction.reply({
-                content: '📎 **Ready for File Upload!**\n\n**Now attach your commission documents to your next message.**\n\nYou can attach multiple files (PDF, DOC, DOCX, JPG, PNG) by:\n• Click the paperclip (📎) icon\n• Select "Upload a File"\n• Choose your documents\n• Send the message\n\nI\'ll process your files automatically!',
-                ephemeral: true
-            });
+        else if (customId.startsWith('claim_reject_')) {
+            if (!(await hasAdminAccess(interaction))) {
+                await interaction.reply({
+                    content: '❌ You do not have permission to change claim statuses.',
+                    ephemeral: true
+                });
+                return;
+            }
 
-            // Set user state to expect file upload
-            const data = submissions.get(userId);
-            submissions.set(userId, { ...data, status: 'awaiting_files' });
+            const claimNumber = customId.replace('claim_reject_', '');
+            const reason = interaction.fields.getTextInputValue('reject_reason');
+            await handleClaimStatusChange(interaction, claimNumber, 'rejected', reason);
         }
+        return;
+    }
 
-        else if (interaction.customId.startsWith('document_upload_')) {
-            const documentType = interaction.customId.split('_')[2];
-            const documentNames = {
-                booking: 'Booking Form',
-                spa: 'SPA Document',
-                la: 'LA Document'
-            };
+    // Handle button interactions
+    if (interaction.isStringSelectMenu()) {
+        if (customId === 'my_drafts_select') {
+            const draft = submissions.get(interaction.values[0]);
 
-            await interaction.reply({
-                content: `📎 **Ready to upload ${documentNames[documentType]}!**\n\n**Now attach your ${documentNames[documentType]} to your next message.**\n\nSupported formats: PDF, DOC, DOCX, JPG, PNG\n\nI'll process your files automatically and update the checklist!`,
-                ephemeral: true
-            });
+            if (!draft || draft.userId !== userId) {
+                await interaction.update({
+                    content: '❌ That draft no longer exists. It may have been completed, discarded or expired.',
+                    embeds: [],
+                    components: []
+                });
+                return;
+            }
 
-            // Set user state to expect specific document upload
-            const data = submissions.get(userId);
-            submissions.set(userId, { ...data, status: `awaiting_${documentType}` });
+            await interaction.update({
+                content: `📝 **${draft.draftName}**\n**Project:** ${draft.project_name || 'N/A'} - ${draft.unit_no || 'N/A'}\n**Stage:** ${getDraftStage(draft)}`,
+                embeds: [],
+                components: [createDraftActionRow(draft)]
+            });
         }
         return;
     }
 
-    // Handle button interactions
     if (interaction.isButton()) {
-        if (interaction.customId === 'show_agent_form_1') {
-            const data = submissions.get(userId);
-            const existingAgent = data && data.agents && data.agents[0] ? data.agents[0] : {};
-            const agentModal = createAgentModal(1, existingAgent);
-            await interaction.showModal(agentModal);
-        }
+        if (customId.startsWith('resume_draft_')) {
+            const draftId = customId.replace('resume_draft_', '');
+            const draft = submissions.get(draftId);
 
-         else if (interaction.customId === 'show_agent_form_back_2') {
-            const data = submissions.get(userId);
-            const existingAgent = data && data.agents && data.agents[0] ? data.agents[0] : {};
-            const agentModal = createAgentModal(1, existingAgent);
-            await interaction.showModal(agentModal);
-        }
+            if (!draft || draft.userId !== userId) {
+                await interaction.update({
+                    content: '❌ That draft no longer exists. It may have been completed, discarded or expired.',
+                    embeds: [],
+                    components: []
+                });
+                return;
+            }
 
-        else if (interaction.customId === 'show_agent_form_back_3') {
-            const data = submissions.get(userId);
-            const existingAgent = data && data.agents && data.agents[1] ? data.agents[1] : {};
-            const agentModal = createAgentModal(2, existingAgent);
-            await interaction.showModal(agentModal);
+            activeDrafts.set(userId, draftId);
+            await interaction.update({
+                content: `▶️ **Resumed: ${draft.draftName}**\n**Project:** ${draft.project_name || 'N/A'} - ${draft.unit_no || 'N/A'}\n**Stage:** ${getDraftStage(draft)}\n\nPick up where you left off:`,
+                embeds: [],
+                components: [createDraftResumeRow(draft)]
+            });
         }
 
-        else if (interaction.customId === 'show_agent_form_back_4') {
-            const data = submissions.get(userId);
-            const existingAgent = data && data.agents && data.agents[2] ? data.agents[2] : {};
-            const agentModal = createAgentModal(3, existingAgent);
-            await interaction.showModal(agentModal);
+        else if (customId.startsWith('discard_draft_')) {
+            const draftId = customId.replace('discard_draft_', '');
+            const draft = submissions.get(draftId);
+
+            if (!draft || draft.userId !== userId) {
+                await interaction.update({
+                    content: '❌ That draft no longer exists. It may have been completed, discarded or expired.',
+                    embeds: [],
+                    components: []
+                });
+                return;
+            }
+
+            discardDraft(draftId);
+            console.log('🗑️ Draft discarded by user:', draftId);
+
+            await interaction.update({
+                content: `❌ Draft **${draft.draftName}** discarded.`,
+                embeds: [],
+                components: []
+            });
         }
 
-        else if (interaction.customId === 'show_agent_form_back_1') {
+        else if (customId === 'show_agent_form_back_1') {
             // Handle going back from consultant 1 - show project form instead
-            const data = submissions.get(userId);
+            const data = getActiveDraft(userId);
             if (!data) {
                 const restartRow = new ActionRowBuilder()
                     .addComponents(
@@ -2093,40 +5366,59 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
 
-            const modal = createSubmissionModal();
             // Pre-fill the modal with existing data
-            modal.components[0].components[0].setValue(data.project_name || '');
-            modal.components[1].components[0].setValue(data.unit_no || '');
-            modal.components[2].components[0].setValue(data.spa_price || '');
-            modal.components[3].components[0].setValue(data.nett_price || '');
-            modal.components[4].components[0].setValue(data.commission_rate ? data.commission_rate.toString() : '');
-
+            const modal = createSubmissionModal(data);
             await interaction.showModal(modal);
         }
 
-        else if (interaction.customId === 'show_agent_form_2') {
-            const data = submissions.get(userId);
-            const existingAgent = data && data.agents && data.agents[1] ? data.agents[1] : {};
-            const agentModal = createAgentModal(2, existingAgent);
+        else if (/^show_agent_form_back_\d+$/.test(customId)) {
+            // Going back from consultant N opens consultant N-1
+            const step = parseInt(customId.replace('show_agent_form_back_', '')) - 1;
+            const data = getActiveDraft(userId);
+            const existingAgent = data && data.agents && data.agents[step - 1] ? data.agents[step - 1] : {};
+            const agentModal = createAgentModal(step, existingAgent, data);
             await interaction.showModal(agentModal);
         }
 
-        else if (interaction.customId === 'show_agent_form_3') {
-            const data = submissions.get(userId);
-            const existingAgent = data && data.agents && data.agents[2] ? data.agents[2] : {};
-            const agentModal = createAgentModal(3, existingAgent);
+        else if (/^show_agent_form_\d+$/.test(customId)) {
+            const step = parseInt(customId.replace('show_agent_form_', ''));
+            if (step < 1 || step > MAX_AGENTS) {
+                await interaction.reply({
+                    content: `❌ A claim can have at most ${MAX_AGENTS} consultants.`,
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const data = getActiveDraft(userId);
+            const existingAgent = data && data.agents && data.agents[step - 1] ? data.agents[step - 1] : {};
+            const agentModal = createAgentModal(step, existingAgent, data);
             await interaction.showModal(agentModal);
         }
 
-        else if (interaction.customId === 'show_agent_form_4') {
-            const data = submissions.get(userId);
-            const existingAgent = data && data.agents && data.agents[3] ? data.agents[3] : {};
-            const agentModal = createAgentModal(4, existingAgent);
-            await interaction.showModal(agentModal);
+        else if (customId.startsWith('consultant_review_')) {
+            const data = getActiveDraft(userId);
+            if (!data) {
+                await interaction.update({
+                    content: '❌ **Session expired or missing data**\n\nUse `/my-drafts` or `/fast-comm-submission` to continue.',
+                    embeds: [],
+                    components: []
+                });
+                return;
+            }
+
+            // customId is consultant_review_<page> with an optional _<back target> suffix
+            const [, page, back] = customId.match(/^consultant_review_(-?\d+)(?:_(.+))?$/) || [];
+            const { embed, components } = createConsultantReview(data, parseInt(page) || 0, back || null);
+            await interaction.update({
+                content: '👥 **Consultants on this claim**',
+                embeds: [embed],
+                components
+            });
         }
 
-        else if (interaction.customId === 'skip_to_customer' || interaction.customId === 'show_customer_form') {
-            const data = submissions.get(userId);
+        else if (customId === 'skip_to_customer' || customId === 'show_customer_form') {
+            const data = getActiveDraft(userId);
             const customerModal = createCustomerModal(data);
             
             try {
@@ -2140,8 +5432,8 @@ client.on('interactionCreate', async interaction => {
             }
         }
 
-        else if (interaction.customId === 'back_to_customer_form') {
-            const data = submissions.get(userId);
+        else if (customId === 'back_to_customer_form') {
+            const data = getActiveDraft(userId);
             const customerModal = createCustomerModal(data);
             
             try {
@@ -2155,22 +5447,22 @@ client.on('interactionCreate', async interaction => {
             }
         }
 
-        else if (interaction.customId === 'select_cash_buyer') {
-            const data = submissions.get(userId);
+        else if (customId === 'select_cash_buyer') {
+            const data = getActiveDraft(userId);
             const nettPrice = parseFloat(String(data.nett_price).replace(/,/g, ''));
 
             const cashPaymentRow = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId('cash_full_paid')
+                        .setCustomId(draftCustomId('cash_full_paid', data))
                         .setLabel('✅ Full Amount Paid')
                         .setStyle(ButtonStyle.Success),
                     new ButtonBuilder()
-                        .setCustomId('cash_partially_paid')
+                        .setCustomId(draftCustomId('cash_partially_paid', data))
                         .setLabel('🔄 Partially Paid')
                         .setStyle(ButtonStyle.Primary),
                     new ButtonBuilder()
-                        .setCustomId('cash_not_paid')
+                        .setCustomId(draftCustomId('cash_not_paid', data))
                         .setLabel('❌ Not Paid')
                         .setStyle(ButtonStyle.Danger)
                 );
@@ -2178,7 +5470,7 @@ client.on('interactionCreate', async interaction => {
             const backRow = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId('back_to_payment_selection')
+                        .setCustomId(draftCustomId('back_to_payment_selection', data))
                         .setLabel('← Back to Payment Type')
                         .setStyle(ButtonStyle.Secondary)
                 );
@@ -2190,21 +5482,22 @@ client.on('interactionCreate', async interaction => {
             });
         }
 
-        else if (interaction.customId === 'select_loan_buyer') {
-            const data = submissions.get(userId);
+        else if (customId === 'select_loan_buyer') {
+            const data = getActiveDraft(userId);
             const loanModal = createLoanBuyerModal(data);
             await interaction.showModal(loanModal);
         }
 
-        else if (interaction.customId === 'back_to_payment_selection') {
+        else if (customId === 'back_to_payment_selection') {
+            const data = getActiveDraft(userId);
             const paymentRow = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId('select_cash_buyer')
+                        .setCustomId(draftCustomId('select_cash_buyer', data))
                         .setLabel('💵 Cash Buyer')
                         .setStyle(ButtonStyle.Primary),
                     new ButtonBuilder()
-                        .setCustomId('select_loan_buyer')
+                        .setCustomId(draftCustomId('select_loan_buyer', data))
                         .setLabel('🏦 Loan Buyer')
                         .setStyle(ButtonStyle.Primary)
                 );
@@ -2212,7 +5505,7 @@ client.on('interactionCreate', async interaction => {
             const backRow = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId('back_to_customer_form')
+                        .setCustomId(draftCustomId('back_to_customer_form', data))
                         .setLabel('← Back to Customer Details')
                         .setStyle(ButtonStyle.Secondary)
                 );
@@ -2224,25 +5517,25 @@ client.on('interactionCreate', async interaction => {
             });
         }
 
-        else if (interaction.customId === 'cash_full_paid' || interaction.customId === 'cash_partially_paid') {
-            const data = submissions.get(userId);
+        else if (customId === 'cash_full_paid' || customId === 'cash_partially_paid') {
+            const data = getActiveDraft(userId);
             const cashModal = createCashBuyerModal(data);
             await interaction.showModal(cashModal);
         }
 
-        else if (interaction.customId === 'cash_not_paid') {
-            const data = submissions.get(userId);
+        else if (customId === 'cash_not_paid') {
+            const data = getActiveDraft(userId);
             const nettPrice = parseFloat(String(data.nett_price).replace(/,/g, ''));
             const minAmount = Math.round(nettPrice * 0.1);
 
             const retryRow = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId('select_cash_buyer')
+                        .setCustomId(draftCustomId('select_cash_buyer', data))
                         .setLabel('← Back to Cash Payment')
                         .setStyle(ButtonStyle.Secondary),
                     new ButtonBuilder()
-                        .setCustomId('cancel_submission')
+                        .setCustomId(draftCustomId('cancel_submission', data))
                         .setLabel('❌ Cancel Submission')
                         .setStyle(ButtonStyle.Danger)
                 );
@@ -2254,14 +5547,14 @@ client.on('interactionCreate', async interaction => {
             });
         }
 
-        else if (interaction.customId === 'differential_paid' || interaction.customId === 'differential_partially_paid') {
-            const data = submissions.get(userId);
+        else if (customId === 'differential_paid' || customId === 'differential_partially_paid') {
+            const data = getActiveDraft(userId);
             const differentialModal = createDifferentialPaymentModal(data);
             await interaction.showModal(differentialModal);
         }
 
-        else if (interaction.customId === 'differential_not_paid') {
-            const data = submissions.get(userId);
+        else if (customId === 'differential_not_paid') {
+            const data = getActiveDraft(userId);
             const nettPrice = parseFloat(String(data.nett_price).replace(/,/g, ''));
             const loanAmount = data.loan_amount || 0;
             const differential = nettPrice - loanAmount;
@@ -2269,11 +5562,11 @@ client.on('interactionCreate', async interaction => {
             const retryRow = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId('select_loan_buyer')
+                        .setCustomId(draftCustomId('select_loan_buyer', data))
                         .setLabel('← Back to Loan Details')
                         .setStyle(ButtonStyle.Secondary),
                     new ButtonBuilder()
-                        .setCustomId('cancel_submission')
+                        .setCustomId(draftCustomId('cancel_submission', data))
                         .setLabel('❌ Cancel Submission')
                         .setStyle(ButtonStyle.Danger)
                 );
@@ -2285,8 +5578,8 @@ client.on('interactionCreate', async interaction => {
             });
         }
 
-        else if (interaction.customId === 'confirm_submission') {
-            const data = submissions.get(userId);
+        else if (customId === 'confirm_submission' || customId === 'confirm_submission_duplicate') {
+            const data = getActiveDraft(userId);
 
             // Check if already confirmed to prevent duplicate processing
             if (data && data.dataConfirmed && data.sessionToken) {
@@ -2298,7 +5591,7 @@ client.on('interactionCreate', async interaction => {
             }
 
             // Prevent double-clicks
-            const confirmKey = `confirm_${userId}`;
+            const confirmKey = `confirm_${data ? data.draftId : userId}`;
             if (processingConfirmations.has(confirmKey)) {
                 await interaction.reply({
                     content: '⏳ Submission already being processed. Please wait...',
@@ -2331,73 +5624,71 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
 
+            // Warn before confirming a unit that already has a claim, unless the agent chose to continue anyway
+            if (customId === 'confirm_submission') {
+                const duplicates = findDuplicateClaims(await loadBackup(), data);
+                if (duplicates.length > 0) {
+                    const duplicateList = duplicates
+                        .map(submission => `• **${submission.claim_number}** by ${submission.username} - ${formatClaimStatus(getClaimStatus(submission))}`)
+                        .join('\n');
+
+                    const duplicateRow = new ActionRowBuilder()
+                        .addComponents(
+                            new ButtonBuilder()
+                                .setCustomId(draftCustomId('confirm_submission_duplicate', data))
+                                .setLabel('⚠️ Submit Anyway')
+                                .setStyle(ButtonStyle.Danger),
+                            new ButtonBuilder()
+                                .setCustomId(draftCustomId('edit_details', data))
+                                .setLabel('✏️ Edit Details')
+                                .setStyle(ButtonStyle.Secondary),
+                            new ButtonBuilder()
+                                .setCustomId(draftCustomId('cancel_submission', data))
+                                .setLabel('❌ Cancel')
+                                .setStyle(ButtonStyle.Secondary)
+                        );
 
+                    await interaction.editReply({
+                        content: `⚠️ **Possible Duplicate Claim**\n\n**${data.project_name} - ${data.unit_no}** has already been claimed:\n${duplicateList}\n\nPlease check the project and unit number. If you continue, the admin team will see this claim flagged as a possible duplicate.`,
+                        embeds: [],
+                        components: [duplicateRow]
+                    });
+                    processingConfirmations.delete(confirmKey);
+                    return;
+                }
+            }
 
             // Skip authentication check - proceed directly to document upload
             // OAuth will be handled silently in the background during file processing
 
-            // Generate unique session token for this user
-            const sessionToken = `token_${userId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            // Generate unique session token for this draft
+            const sessionToken = `token_${userId}_${Date.now()}_${crypto.randomBytes(16).toString('hex')}`;
 
-            // Mark data as confirmed but DON'T save to GitHub backup yet
+            // Mark data as confirmed but DON'T save to backup yet
             // Only save after successful document upload
             data.dataConfirmed = true;
             data.status = 'authenticated'; // Changed status to authenticated
             data.sessionToken = sessionToken;
             data.userId = userId; // Store user ID in data
             data.username = interaction.user.username; // Store username for later use
-            submissions.set(userId, data);
-
-            // Map token to user ID for webhook matching
-            tokenToUserId.set(sessionToken, userId);
-
-            try {
-                // Check if Jotform is properly configured
-                if (!JOTFORM_API_KEY || !JOTFORM_TEMPLATE_ID) {
-                    throw new Error('Jotform not configured');
-                }
-
-                // Create Jotform for document uploads with unique token
-                // Use prefilled form URL with unique session token embedded in project info for perfect matching
-        // Use prefilled form URL with session token in the session_id field
-        // Use prefilled form URL with user_id and price_token fields
-        const formUrl = `https://form.jotform.com/${JOTFORM_TEMPLATE_ID}?user_id=${encodeURIComponent(data.userId)}&price_token=${encodeURIComponent(sessionToken)}`;
+            submissions.set(data.draftId, data);
 
-        console.log('Generated Jotform URL with session token:', sessionToken);
-        console.log('Generated Jotform URL for:', data.project_name);
-                const formData = await createJotformUpload(data, sessionToken);
+            await recordAudit(interaction.user, 'submission_confirmed', null, null, {
+                draft_id: data.draftId,
+                project_name: data.project_name,
+                unit_no: data.unit_no,
+                duplicate_warning_overridden: customId === 'confirm_submission_duplicate'
+            });
 
-                // Store form info
-                data.jotform = formData;
-                data.status = 'awaiting_form_completion';
-                submissions.set(userId, data);
+            // Map token to the draft for webhook matching
+            tokenToDraftId.set(sessionToken, data.draftId);
 
-                const embed = new EmbedBuilder()
-                    .setTitle('📋 Document Upload - Jotform')
-                    .setColor(0xFF6600)
-                    .setDescription('Your document upload form is ready!')
-                    .addFields(
-                        { name: '📝 What to do next:', value: '1. Click the "Upload Documents" button below\n2. Fill out the Jotform with your documents\n3. Submit the form\n4. Return here and click "Check Upload Status"', inline: false },
-                        { name: '📋 Required Documents:', value: '• Booking Form\n• SPA Document\n• LO Document', inline: false },
-                        { name: '📋 Project Info', value: `${data.project_name} - ${data.unit_no}`, inline: false }
-                    )
-                    .setFooter({ text: 'The form will automatically save your documents' });
+            // Hand the draft to the deployment's upload provider (Jotform, upload portal or Discord attachments)
+            const provider = getUploadProvider(data);
 
-                const actionRow = new ActionRowBuilder()
-                    .addComponents(
-                        new ButtonBuilder()
-                            .setLabel('📝 Upload Documents')
-                            .setStyle(ButtonStyle.Link)
-                            .setURL(formData.formUrl),
-                        new ButtonBuilder()
-                            .setCustomId('check_upload_status')
-                            .setLabel('🔄 Check Upload Status')
-                            .setStyle(ButtonStyle.Primary),
-                        new ButtonBuilder()
-                            .setCustomId('cancel_submission')
-                            .setLabel('❌ Cancel')
-                            .setStyle(ButtonStyle.Danger)
-                    );
+            try {
+                await startDraftUpload(data, provider);
+                const { embeds, components } = provider.createUploadMessage(data);
 
                 // Send as follow-up to make it persistent
                 await interaction.editReply({
@@ -2407,149 +5698,93 @@ client.on('interactionCreate', async interaction => {
                 });
 
                 await interaction.followUp({
-                    content: '✅ **Submission Confirmed!**\n\n📋 **Your commission data has been saved.**\n🎯 **Document upload form ready!**',
-                    embeds: [embed],
-                    components: [actionRow]
+                    content: '✅ **Submission Confirmed!**\n\n📋 **Your commission data has been saved.**\n🎯 **Document upload ready!**',
+                    embeds,
+                    components
                 });
-
             } catch (error) {
-            console.error('Error creating Jotform:', error);
-            console.error('Error details:', error.response?.data || error.message);
-
-            // Check for specific error types
-            if (error.response?.status === 403) {
-                console.error('Permission denied - check Jotform API key');
-            } else if (error.response?.status === 429) {
-                console.error('Rate limit exceeded - implementing retry logic');
-
-                // Implement exponential backoff retry
-                for (let attempt = 1; attempt <= 3; attempt++) {
-                    try {
-                        console.log(`Retry attempt ${attempt}/3 after rate limit...`);
-                        await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
-
-                        const retryFormData = await createJotformUpload(data);
-                        data.jotform = retryFormData;
-                        data.status = 'awaiting_form_completion';
-                        submissions.set(userId, data);
-
-                        // Success on retry
-                        const embed = new EmbedBuilder()
-                            .setTitle('📋 Document Upload - Jotform (Retry Success)')
-                            .setColor(0xFF6600)
-                            .setDescription('Your personalized Jotform has been created after retry!')
-                            .addFields(
-                                { name: '📝 What to do next:', value: '1. Click the "Upload Documents" button below\n2. Fill out the Jotform with your documents\n3. Submit the form\n4. Return here and click "Check Upload Status"', inline: false },
-                                { name: '📋 Required Documents:', value: '• Booking Form\n• SPA Document\n• LO Document', inline: false }
-                            )
-                            .setFooter({ text: 'The form will automatically save your documents' });
-
-                        const actionRow = new ActionRowBuilder()
-                            .addComponents(
-                                new ButtonBuilder()
-                                    .setLabel('📝 Upload Documents')
-                                    .setStyle(ButtonStyle.Link)
-                                    .setURL(retryFormData.formUrl),
-                                new ButtonBuilder()
-                                    .setCustomId('check_upload_status')
-                                    .setLabel('🔄 Check Upload Status')
-                                    .setStyle(ButtonStyle.Primary),
-                                new ButtonBuilder()
-                                    .setCustomId('cancel_submission')
-                                    .setLabel('❌ Cancel')
-                                    .setStyle(ButtonStyle.Danger)
-                            );
-
-                        await interaction.editReply({
-                            content: '✅ **Form Creation Successful After Retry!**\n\n📋 **Your commission data has been saved.**\n🎯 **Jotform created for document uploads!**',
-                            embeds: [embed],
-                            components: [actionRow]
-                        });
-                        return;
-                    } catch (retryError) {
-                        console.error(`Retry attempt ${attempt} failed:`, retryError);
-                        if (attempt === 3) break;
-                    }
-                }
-            }
+                console.error(`Error starting ${provider.label} upload:`, error);
 
                 // Check if interaction is still valid (not expired)
                 try {
                     // Since data is already saved, show user-friendly error with retry
                     const errorEmbed = new EmbedBuilder()
-                        .setTitle('⚠️ Jotform Creation Error')
+                        .setTitle('⚠️ Document Upload Setup Error')
                         .setColor(0xFF6B6B)
-                        .setDescription('There was a temporary issue creating your document upload form.')
+                        .setDescription(`There was a temporary issue preparing your document upload (${provider.label}).`)
                         .addFields(
-                            { name: '✅ Your Data is Safe', value: '• All your submission details are preserved\n• Your commission data has been saved to GitHub\n• No need to re-enter any information', inline: false },
-                            { name: '🔄 Next Steps', value: 'Use `/fast-comm-submission` command again. Your previous data will be preserved.', inline: false },
-                            { name: '📋 Backup Info', value: `Saved at: ${new Date().toLocaleString()}\nUser: ${interaction.user.username}`, inline: false }
+                            { name: '✅ Your Data is Safe', value: '• All your submission details are preserved\n• No need to re-enter any information', inline: false },
+                            { name: '🔄 Next Steps', value: 'Click "Retry Upload Setup" below, or use `/my-drafts` to resume this draft later.', inline: false },
+                            { name: '🔍 Error Details', value: error.message || 'Unknown error occurred', inline: false }
                         )
                         .setTimestamp();
 
                     const retryRow = new ActionRowBuilder()
                         .addComponents(
                             new ButtonBuilder()
-                                .setCustomId('retry_jotform')
-                                .setLabel('🔄 Retry Form Creation')
+                                .setCustomId(draftCustomId('retry_jotform', data))
+                                .setLabel('🔄 Retry Upload Setup')
                                 .setStyle(ButtonStyle.Primary),
                             new ButtonBuilder()
-                                .setCustomId('view_preserved_data')
+                                .setCustomId(draftCustomId('view_preserved_data', data))
                                 .setLabel('👁️ View My Data')
                                 .setStyle(ButtonStyle.Secondary)
                         );
 
                     await interaction.editReply({
-                        content: '💾 **Your Data Has Been Safely Preserved!**\n\n✅ **Submission confirmed and backed up**\n⚠️ **Form creation needs retry**',
+                        content: '💾 **Your Data Has Been Safely Preserved!**\n\n✅ **Submission confirmed**\n⚠️ **Document upload setup needs retry**',
                         embeds: [errorEmbed],
-                        components: [retryRow],
-                        ephemeral: true
+                        components: [retryRow]
                     });
-                    processingConfirmations.delete(confirmKey);
                 } catch (interactionError) {
                     console.error('Interaction expired, sending follow-up message:', interactionError);
 
                     // Interaction expired, send a follow-up message
                     try {
                         await interaction.followUp({
-                            content: '💾 **Your Data Has Been Safely Preserved!**\n\n✅ **Submission confirmed and backed up to GitHub**\n⚠️ **Jotform creation failed temporarily**\n\n🔄 **To continue:** Use `/fast-comm-submission` command again. Your data is preserved and you won\'t need to re-enter it.',
+                            content: '💾 **Your Data Has Been Safely Preserved!**\n\n✅ **Submission confirmed**\n⚠️ **Document upload setup failed temporarily**\n\n🔄 **To continue:** Use `/my-drafts` to resume this draft. Your data is preserved and you won\'t need to re-enter it.',
                             ephemeral: true
                         });
                     } catch (followUpError) {
                         console.error('Both interaction update and followUp failed, logging data for user:', followUpError);
-                        console.log(`User ${userId} (${interaction.user.username}) data preserved but UI failed. Backup saved to GitHub.`);
+                        console.log(`User ${userId} (${interaction.user.username}) data preserved in draft ${data.draftId} but UI failed.`);
                     }
-                } finally {
-                    // Always clean up processing state
-                    processingConfirmations.delete(confirmKey);
                 }
+            } finally {
+                // Always clean up processing state
+                processingConfirmations.delete(confirmKey);
             }
         }
 
 
 
-        else if (interaction.customId === 'edit_details') {
+        else if (customId === 'edit_details') {
             // Show edit options menu
+            const data = getActiveDraft(userId);
             const editRow = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId('edit_project_details')
+                        .setCustomId(draftCustomId('edit_project_details', data))
                         .setLabel('📋 Edit Project Details')
                         .setStyle(ButtonStyle.Primary),
                     new ButtonBuilder()
-                        .setCustomId('edit_agent_details')
+                        .setCustomId(draftCustomId('edit_agent_details', data))
                         .setLabel('👥 Edit Consultant Details')
                         .setStyle(ButtonStyle.Primary),
                     new ButtonBuilder()
-                        .setCustomId('edit_customer_details')
+                        .setCustomId(draftCustomId('edit_customer_details', data))
                         .setLabel('👤 Edit Customer Details')
+                        .setStyle(ButtonStyle.Primary),
+                    new ButtonBuilder()
+                        .setCustomId(draftCustomId('edit_deductions', data))
+                        .setLabel('➖ Edit Deductions')
                         .setStyle(ButtonStyle.Primary)
                 );
 
             const backRow = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId('back_to_confirmation')
+                        .setCustomId(draftCustomId('back_to_confirmation', data))
                         .setLabel('← Back to Confirmation')
                         .setStyle(ButtonStyle.Secondary)
                 );
@@ -2561,114 +5796,75 @@ client.on('interactionCreate', async interaction => {
             });
         }
 
-        else if (interaction.customId === 'edit_project_details') {
-            const modal = createSubmissionModal();
+        else if (customId === 'edit_project_details') {
+            const modal = createSubmissionModal(getActiveDraft(userId) || {});
             await interaction.showModal(modal);
         }
 
-        else if (interaction.customId === 'edit_agent_details') {
-            // Show agent editing options
-            const agentRow = new ActionRowBuilder()
-                                .addComponents(
-                    new ButtonBuilder()
-                        .setCustomId('show_agent_form_1')
-                        .setLabel('Edit Consultant 1')
-                        .setStyle(ButtonStyle.Primary),
-                    new ButtonBuilder()
-                        .setCustomId('show_agent_form_2')
-                        .setLabel('Edit Consultant 2')
-                        .setStyle(ButtonStyle.Primary),
-                    new ButtonBuilder()
-                        .setCustomId('show_agent_form_3')
-                        .setLabel('Edit Consultant 3')
-                        .setStyle(ButtonStyle.Primary),
-                    new ButtonBuilder()
-                        .setCustomId('show_agent_form_4')
-                        .setLabel('Edit Consultant 4')
-                        .setStyle(ButtonStyle.Primary)
-                );
-
-            const backRow = new ActionRowBuilder()
-                .addComponents(
-                    new ButtonBuilder()
-                        .setCustomId('back_to_confirmation')
-                        .setLabel('← Back to Confirmation')
-                        .setStyle(ButtonStyle.Secondary)
-                );
+        else if (customId === 'edit_agent_details') {
+            // Show the paginated consultant review with edit buttons
+            const data = getActiveDraft(userId);
+            if (!data) {
+                await interaction.update({
+                    content: '❌ **Session expired or missing data**\n\nUse `/my-drafts` or `/fast-comm-submission` to continue.',
+                    embeds: [],
+                    components: []
+                });
+                return;
+            }
 
+            const { embed, components } = createConsultantReview(data, 0, 'back_to_confirmation');
             await interaction.update({
                 content: '👥 **Edit Consultant Details**\nChoose which consultant to edit:',
-                components: [agentRow, backRow]
+                embeds: [embed],
+                components
             });
         }
 
-        else if (interaction.customId === 'edit_customer_details') {
-            const data = submissions.get(userId);
+        else if (customId === 'edit_customer_details') {
+            const data = getActiveDraft(userId);
             const customerModal = createCustomerModal(data);
             await interaction.showModal(customerModal);
         }
 
-        else if (interaction.customId === 'edit_agent_percentages') {
-            // Show agent editing options
-            const data = submissions.get(userId);
-            const agentButtons = [];
-
-            // Only show buttons for agents that have names
-            for (let i = 0; i < 4; i++){
-                const agent = data.agents[i];
-                if (agent && agent.name) {
-                    agentButtons.push(
-                        new ButtonBuilder()
-                            .setCustomId(`show_agent_form_${i + 1}`)
-                            .setLabel(`Edit ${agent.name} (${agent.percentage}%)`)
-                            .setStyle(ButtonStyle.Primary)
-                    );
-                }
-            }
-
-            // Add "Add New Consultant" button if there are fewer than 4 consultants
-            const existingConsultantsCount = data.agents.filter(agent => agent && agent.name).length;
-            if (existingConsultantsCount < 4) {
-                const nextSlot = data.agents.findIndex(agent => !agent || !agent.name);
-                const nextConsultantNum = nextSlot === -1 ? data.agents.length + 1 : nextSlot + 1;
-                if (nextConsultantNum <= 4) {
-                    agentButtons.push(
-                        new ButtonBuilder()
-                            .setCustomId(`show_agent_form_${nextConsultantNum}`)
-                            .setLabel(`➕ Add Consultant ${nextConsultantNum}`)
-                            .setStyle(ButtonStyle.Success)
-                    );
-                }
+        else if (customId === 'edit_deductions') {
+            const data = getActiveDraft(userId);
+            if (!data) {
+                await interaction.update({
+                    content: '❌ **Session expired or missing data**\n\nUse `/my-drafts` or `/fast-comm-submission` to continue.',
+                    embeds: [],
+                    components: []
+                });
+                return;
             }
 
-            const agentRow = new ActionRowBuilder().addComponents(agentButtons.slice(0, 5));
-            const rows = [agentRow];
+            await interaction.showModal(createDeductionsModal(data));
+        }
 
-            if (agentButtons.length > 5) {
-                const secondRow = new ActionRowBuilder().addComponents(agentButtons.slice(5));
-                rows.push(secondRow);
+        else if (customId === 'edit_agent_percentages') {
+            // Show the paginated consultant review so splits can be fixed or consultants added
+            const data = getActiveDraft(userId);
+            if (!data) {
+                await interaction.update({
+                    content: '❌ **Session expired or missing data**\n\nUse `/my-drafts` or `/fast-comm-submission` to continue.',
+                    embeds: [],
+                    components: []
+                });
+                return;
             }
 
-            const backRow = new ActionRowBuilder()
-                .addComponents(
-                    new ButtonBuilder()
-                        .setCustomId('show_customer_form')
-                        .setLabel('← Back to Customer Form')
-                        .setStyle(ButtonStyle.Secondary)
-                );
-
-            rows.push(backRow);
-
-            const currentTotal = data.agents.reduce((sum, agent) => sum + parseFloat(agent.percentage || 0), 0);
+            const currentTotal = data.agents.reduce((sum, agent) => sum + parseFloat((agent && agent.percentage) || 0), 0);
+            const { embed, components } = createConsultantReview(data, 0, 'show_customer_form');
 
             await interaction.update({
-                content: `👥 **Edit Consultant Percentages**\n\nCurrent total: **${currentTotal.toFixed(1)}%** (needs to be 100%)\n\nChoose which consultant to edit or add a new one:`,
-                components: rows
+                content: `👥 **Edit Consultant Percentages**\n\nCurrent total: **${currentTotal.toFixed(1)}%** (needs to be ${REQUIRED_AGENT_PERCENTAGE_TOTAL}%)\n\nChoose which consultant to edit or add a new one:`,
+                embeds: [embed],
+                components
             });
         }
 
-        else if (interaction.customId === 'back_to_confirmation') {
-            const data = submissions.get(userId);
+        else if (customId === 'back_to_confirmation') {
+            const data = getActiveDraft(userId);
 
             if (!data) {
                 await interaction.update({
@@ -2689,15 +5885,15 @@ client.on('interactionCreate', async interaction => {
             const confirmRow = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId('confirm_submission')
+                        .setCustomId(draftCustomId('confirm_submission', data))
                         .setLabel('✅ Confirm & Upload Documents')
                         .setStyle(ButtonStyle.Success),
                     new ButtonBuilder()
-                        .setCustomId('edit_details')
+                        .setCustomId(draftCustomId('edit_details', data))
                         .setLabel('✏️ Edit Details')
                         .setStyle(ButtonStyle.Secondary),
                     new ButtonBuilder()
-                        .setCustomId('cancel_submission')
+                        .setCustomId(draftCustomId('cancel_submission', data))
                         .setLabel('❌ Cancel')
                         .setStyle(ButtonStyle.Danger)
                 );
@@ -2709,8 +5905,8 @@ client.on('interactionCreate', async interaction => {
             });
         }
 
-        else if (interaction.customId === 'proceed_to_confirmation') {
-            const data = submissions.get(userId);
+        else if (customId === 'proceed_to_confirmation') {
+            const data = getActiveDraft(userId);
 
             if (!data) {
                 const restartRow = new ActionRowBuilder()
@@ -2738,17 +5934,17 @@ client.on('interactionCreate', async interaction => {
             const editRow = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId('edit_agent_percentages')
+                        .setCustomId(draftCustomId('edit_agent_percentages', data))
                         .setLabel('✏️ Edit Consultant Percentages')
                         .setStyle(ButtonStyle.Primary),
                     new ButtonBuilder()
-                        .setCustomId('cancel_submission')
+                        .setCustomId(draftCustomId('cancel_submission', data))
                         .setLabel('❌ Cancel')
                         .setStyle(ButtonStyle.Danger)
                 );
 
             await interaction.update({
-                content: `❌ **Consultant percentages must total exactly 100%!**\n\n💡 **Explanation:** Each consultant's percentage represents their portion of the total commission.\n\nCurrent total: **${currentTotal.toFixed(1)}%**\n\nClick below to edit your consultant percentages:`,
+                content: `❌ **Consultant percentages must total exactly ${REQUIRED_AGENT_PERCENTAGE_TOTAL}%!**\n\n💡 **Explanation:** Each consultant's percentage represents their portion of the total commission.\n\nCurrent total: **${currentTotal.toFixed(1)}%**\n\nClick below to edit your consultant percentages:`,
                 components: [editRow]
             });
             return;
@@ -2762,15 +5958,15 @@ client.on('interactionCreate', async interaction => {
             const confirmRow = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId('confirm_submission')
+                        .setCustomId(draftCustomId('confirm_submission', data))
                         .setLabel('✅ Confirm & Upload Documents')
                         .setStyle(ButtonStyle.Success),
                     new ButtonBuilder()
-                        .setCustomId('edit_details')
+                        .setCustomId(draftCustomId('edit_details', data))
                         .setLabel('✏️ Edit Details')
                         .setStyle(ButtonStyle.Secondary),
                     new ButtonBuilder()
-                        .setCustomId('cancel_submission')
+                        .setCustomId(draftCustomId('cancel_submission', data))
                         .setLabel('❌ Cancel')
                         .setStyle(ButtonStyle.Danger)
                 );
@@ -2782,119 +5978,270 @@ client.on('interactionCreate', async interaction => {
             });
         }
 
-        else if (interaction.customId === 'proceed_with_files') {
-            const data = submissions.get(userId);
-
+        else if (customId === 'cancel_submission') {
+            discardActiveDraft(userId);
             await interaction.update({
-                content: '🎉 **Submission Complete!**\n\nThank you for your commission submission. Your documents have been uploaded and your data has been saved.\n\n✅ **Status:** Complete\n📁 **Documents:** Successfully uploaded',
+                content: '❌ Submission cancelled.',
+                embeds: [],
                 components: []
             });
+        }
+
+        else if (customId.startsWith('confirm_delete_')) {
+
+            try {
+                const claimNumber = customId.replace('confirm_delete_', '');
+                const backupData = await loadBackup();
+                const deletedSubmission = findSubmissionByClaimNumber(backupData, claimNumber);
+
+                if (!deletedSubmission) {
+                    await interaction.update({
+                        content: `❌ Claim ${claimNumber} not found. It may have already been deleted.`,
+                        components: []
+                    });
+                    return;
+                }
+
+                await moveClaimsToTrash([deletedSubmission.claim_number], interaction.user);
 
-            // Clean up
-            submissions.delete(userId);
+                await interaction.update({
+                    content: `✅ **Submission Moved to Trash**\n\n**Project:** ${deletedSubmission.project_name}\n**User:** ${deletedSubmission.username}\n**Claim No.:** ${deletedSubmission.claim_number}\n\nUse \`/admin-action restore\` to bring it back. It can be purged after ${TRASH_RETENTION_DAYS} days.`,
+                    components: []
+                });
+
+            } catch (error) {
+                console.error('Error deleting submission:', error);
+                await interaction.update({
+                    content: '❌ Error deleting submission from backup.',
+                    components: []
+                });
+            }
         }
 
-        else if (interaction.customId === 'cancel_files') {
-            const data = submissions.get(userId);
+        else if (customId.startsWith('confirm_bulk_delete_')) {
 
-            await interaction.update({
-                content: '❌ **File upload cancelled.**\n\nYou can restart the submission process with `/fast-comm-submission` if needed.',
-                components: []
-            });
+            try {
+                const bulkDeleteToken = customId.replace('confirm_bulk_delete_', '');
+                const pending = pendingBulkDeletes.get(bulkDeleteToken);
+
+                if (!pending || Date.now() - pending.createdAt > BULK_DELETE_TTL_MS) {
+                    pendingBulkDeletes.delete(bulkDeleteToken);
+                    await interaction.update({
+                        content: '❌ This bulk deletion request has expired. Please run `/admin-action bulk_delete` again.',
+                        components: []
+                    });
+                    return;
+                }
+
+                const { claimNumbers } = pending;
+                const backupData = await loadBackup();
+
+                // Validate claim numbers again
+                const missingClaimNumbers = claimNumbers.filter(number => !findSubmissionByClaimNumber(backupData, number));
+                if (missingClaimNumbers.length > 0) {
+                    await interaction.update({
+                        content: `❌ Some claims no longer exist: ${missingClaimNumbers.join(', ')}\n\nPlease try again with valid claim numbers.`,
+                        components: []
+                    });
+                    return;
+                }
+
+                // Move submissions to the trash by claim number
+                const deletedSubmissions = await moveClaimsToTrash(claimNumbers, interaction.user);
+                pendingBulkDeletes.delete(bulkDeleteToken);
+
+                const deletedList = deletedSubmissions
+                    .map(submission => `• ${submission.claim_number}: ${submission.project_name} - ${submission.username}`)
+                    .join('\n');
+
+                await interaction.update({
+                    content: `✅ **Bulk Deletion Successful**\n\n**Moved ${deletedSubmissions.length} submission(s) to trash:**\n\n${deletedList}\n\nUse \`/admin-action restore\` to bring one back. Claims can be purged after ${TRASH_RETENTION_DAYS} days.`,
+                    components: []
+                });
 
-            // Clean up
-            submissions.delete(userId);
+            } catch (error) {
+                console.error('Error bulk deleting submissions:', error);
+                await interaction.update({
+                    content: '❌ Error bulk deleting submissions from backup.',
+                    components: []
+                });
+            }
         }
 
-        else if (interaction.customId === 'cancel_submission') {
-            submissions.delete(userId);
-            await interaction.update({
-                content: '❌ Submission cancelled.',
-                embeds: [],
-                components: []
-            });
+        else if (customId.startsWith('claim_status_')) {
+            if (!(await hasAdminAccess(interaction))) {
+                await interaction.reply({
+                    content: '❌ You do not have permission to change claim statuses.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const match = /^claim_status_([A-Z]+-\d{4}-\d+)_(\w+)$/.exec(customId);
+            if (!match || !CLAIM_STATUSES[match[2]]) {
+                await interaction.reply({
+                    content: '❌ Unknown claim status action.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const [, claimNumber, nextStatus] = match;
+
+            // Rejections need a reason for the agent, so ask for it first
+            if (nextStatus === 'rejected') {
+                await interaction.showModal(createRejectClaimModal(claimNumber));
+                return;
+            }
+
+            await handleClaimStatusChange(interaction, claimNumber, nextStatus);
         }
 
-        else if (interaction.customId.startsWith('confirm_delete_')) {
+        else if (customId.startsWith('claim_stage_')) {
+            if (!(await hasAdminAccess(interaction))) {
+                await interaction.reply({
+                    content: '❌ You do not have permission to change claim stages.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const match = /^claim_stage_([A-Z]+-\d{4}-\d+)_(\w+?)_(\w+)$/.exec(customId);
+            if (!match || !CLAIM_STAGES[match[2]] || !STAGE_STATUSES[match[3]]) {
+                await interaction.reply({
+                    content: '❌ Unknown claim stage action.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const [, claimNumber, stageKey, stageStatus] = match;
+            await interaction.deferUpdate();
 
             try {
-                const index = parseInt(interaction.customId.split('_')[2]);
-                const backupData = await loadBackupFromGitHub();
-
-                if (index < 0 || index >= backupData.length) {                    await interaction.update({
-                        content: '❌ Invalid submission index.',
-                        components: []
+                const claim = await updateClaimStage(claimNumber, stageKey, stageStatus, interaction.user);
+                if (!claim) {
+                    await interaction.followUp({
+                        content: `❌ Claim ${claimNumber} not found. It may have been deleted.`,
+                        ephemeral: true
                     });
                     return;
                 }
 
-                const deletedSubmission = backupData[index];
-                backupData.splice(index, 1);
-                await saveBackupToGitHub(backupData);
+                await interaction.editReply({
+                    embeds: [createSubmissionNotificationEmbed(claim, claim.jotformSubmissionId)],
+                    components: createClaimStatusButtons(claim)
+                });
+                console.log(`✅ Claim ${claimNumber} ${stageKey} stage set to ${stageStatus} by ${interaction.user.username}`);
+            } catch (error) {
+                console.error(`Error changing claim ${claimNumber} ${stageKey} stage:`, error);
+                await interaction.followUp({
+                    content: `❌ ${error.message}`,
+                    ephemeral: true
+                }).catch(followUpError => console.error('Could not report the claim stage error:', followUpError.message));
+            }
+        }
 
-                await interaction.update({
-                    content: `✅ **Submission Deleted Successfully**\n\n**Project:** ${deletedSubmission.project_name}\n**User:** ${deletedSubmission.username}\n**Previous Index:** ${index}\n\nBackup updated in GitHub.`,
-                    components: []
+        else if (customId.startsWith('claim_search_')) {
+            if (!(await hasAdminAccess(interaction))) {
+                await interaction.reply({
+                    content: '❌ You do not have permission to use this action.',
+                    ephemeral: true
                 });
+                return;
+            }
 
-            } catch (error) {
-                console.error('Error deleting submission:', error);
+            const [, searchToken, page] = customId.match(/^claim_search_(\w+)_(-?\d+)$/) || [];
+            const search = claimSearches.get(searchToken);
+
+            if (!search) {
                 await interaction.update({
-                    content: '❌ Error deleting submission from GitHub backup.',
+                    content: '❌ This search has expired. Please run `/admin-action search` again.',
+                    embeds: [],
                     components: []
                 });
+                return;
             }
+
+            // Re-run the search so paging reflects claims saved since the first page
+            const results = searchClaims(await loadBackup(), search.filters);
+            const { embed, components } = createClaimSearchPage(results, search.filters, searchToken, Number(page));
+
+            await interaction.update({
+                embeds: [embed],
+                components
+            });
         }
 
-        else if (interaction.customId.startsWith('confirm_bulk_delete_')) {
+        else if (customId.startsWith('payout_confirm_') || customId.startsWith('payout_cancel_')) {
+            if (!(await hasAdminAccess(interaction))) {
+                await interaction.reply({
+                    content: '❌ You do not have permission to manage payouts.',
+                    ephemeral: true
+                });
+                return;
+            }
 
-            try {
-                const indicesString = interaction.customId.replace('confirm_bulk_delete_', '');
-                const indices = indicesString.split(',').map(str => parseInt(str.trim())).sort((a, b) => b - a);
-                const backupData = await loadBackupFromGitHub();
+            const isConfirm = customId.startsWith('payout_confirm_');
+            const batchId = customId.replace(isConfirm ? 'payout_confirm_' : 'payout_cancel_', '');
+            await interaction.deferUpdate();
 
-                // Validate indices again
-                const invalidIndices = indices.filter(idx => idx < 0 || idx >= backupData.length);
-                if (invalidIndices.length > 0) {
-                    await interaction.update({
-                        content: `❌ Some indices are now invalid: ${invalidIndices.join(', ')}\n\nPlease try again with valid indices.`,
+            if (!isConfirm) {
+                let batch;
+                try {
+                    const batches = await loadPayoutBatches();
+                    batch = batches.find(entry => entry.batch_id === batchId);
+                    if (batch && batch.status === 'draft') {
+                        batch.status = 'cancelled';
+                        await savePayoutBatches(batches);
+                        await recordAudit(interaction.user, 'payout_batch_cancelled', null, null, { batch_id: batchId });
+                    }
+                } catch (error) {
+                    console.error('Error cancelling payout batch:', error);
+                    await interaction.editReply({
+                        content: `❌ Could not cancel payout batch ${batchId}. Please try again.`,
                         components: []
                     });
                     return;
                 }
-
-                // Delete submissions (from highest index to lowest to avoid index shifting)
-                const deletedSubmissions = [];
-                for (const index of indices) {
-                    deletedSubmissions.push({
-                        index: index,
-                        project: backupData[index].project_name,
-                        user: backupData[index].username
-                    });
-                    backupData.splice(index, 1);
-                }
-
-                await saveBackupToGitHub(backupData);
-
-                const deletedList = deletedSubmissions
-                    .map(item => `• Index ${item.index}: ${item.project} - ${item.user}`)
-                    .join('\n');
-
-                await interaction.update({
-                    content: `✅ **Bulk Deletion Successful**\n\n**Deleted ${deletedSubmissions.length} submission(s):**\n\n${deletedList}\n\nBackup updated in GitHub.`,
+                await interaction.editReply({
+                    content: `❌ Payout batch ${batchId} cancelled. Nothing was marked as paid.`,
+                    embeds: batch ? [createPayoutBatchEmbed(batch)] : [],
+                    files: [],
                     components: []
                 });
+                return;
+            }
 
+            let result;
+            try {
+                result = await confirmPayoutBatch(batchId, interaction.user);
             } catch (error) {
-                console.error('Error bulk deleting submissions:', error);
-                await interaction.update({
-                    content: '❌ Error bulk deleting submissions from GitHub backup.',
+                await interaction.editReply({
+                    content: `❌ ${error.message}`,
                     components: []
                 });
+                return;
+            }
+
+            await interaction.editReply({
+                content: `✅ **Payout batch confirmed.** ${result.claims.length} claim(s) updated.`,
+                embeds: [createPayoutBatchEmbed(result.batch)],
+                files: [new AttachmentBuilder(Buffer.from(createPayoutSummaryCsv(result.batch), 'utf8'), { name: `${batchId}-summary.csv` })],
+                components: []
+            });
+
+            for (const claim of result.claims) {
+                await refreshClaimNotification(claim);
+                const lastChange = claim.status_history?.[claim.status_history.length - 1];
+                if (lastChange && lastChange.note === `Paid in payout batch ${batchId}`) {
+                    await notifyAgentOfStatusChange(claim, lastChange.note);
+                }
             }
+            console.log(`✅ Payout batch ${batchId} confirmed by ${interaction.user.username}`);
         }
 
-        else if (interaction.customId === 'cancel_delete') {
+        else if (customId === 'cancel_delete') {
             await interaction.update({
                 content: '❌ Deletion cancelled.',
                 components: []
@@ -2903,43 +6250,36 @@ client.on('interactionCreate', async interaction => {
 
 
 
-        else if (interaction.customId === 'upload_booking_form') {
-            await interaction.reply({
-                content: '📝 **Ready to upload Booking Form!**\n\n**Now attach your Booking Form documents to your next message.**\n\nSupported formats: PDF, DOC, DOCX, JPG, PNG\n\nI\'ll process your files automatically and update the checklist!',
-                ephemeral: true
-            });
-
-            // Set user state to expect specific document upload
-            const data = submissions.get(userId);
-            submissions.set(userId, { ...data, status: 'awaiting_booking_form' });
-        }
+        else if (customId.startsWith('upload_document_')) {
+            // Discord provider: the next message with attachments from this agent fills the chosen checklist slot
+            const match = customId.match(/^upload_document_(draft_\d+_[a-z0-9]+)_(\w+)$/);
+            const data = match && submissions.get(match[1]);
+            const document = data && getRequiredDocuments(data).find(entry => entry.key === match[2]);
 
-        else if (interaction.customId === 'upload_spa') {
-            await interaction.reply({
-                content: '📄 **Ready to upload SPA Document!**\n\n**Now attach your SPA documents to your next message.**\n\nSupported formats: PDF, DOC, DOCX, JPG, PNG\n\nI\'ll process your files automatically and update the checklist!',
-                ephemeral: true
-            });
+            if (!data || !document || data.userId !== userId || data.status !== 'awaiting_form_completion') {
+                await interaction.reply({
+                    content: '❌ This upload checklist is no longer active. Use `/my-drafts` to resume your draft.',
+                    ephemeral: true
+                });
+                return;
+            }
 
-            // Set user state to expect specific document upload
-            const data = submissions.get(userId);
-            submissions.set(userId, { ...data, status: 'awaiting_spa' });
-        }
+            data.awaitingDocument = document.key;
+            submissions.set(data.draftId, data);
+            activeDrafts.set(userId, data.draftId);
 
-        else if (interaction.customId === 'upload_la') {
             await interaction.reply({
-                content: '📑 **Ready to upload LA Document!**\n\n**Now attach your LA documents to your next message.**\n\nSupported formats: PDF, DOC, DOCX, JPG, PNG\n\nI\'ll process your files automatically and update the checklist!',
+                content: `📎 **Ready to upload ${document.label}!**\n\n**Now attach your ${document.label} to your next message in this channel.**\n\nSupported formats: ${UPLOAD_ALLOWED_EXTENSIONS.join(', ').toUpperCase()} (up to ${UPLOAD_MAX_FILE_MB} MB each)\n\nI'll process your files automatically and update the checklist!`,
                 ephemeral: true
             });
-
-            // Set user state to expect specific document upload
-            const data = submissions.get(userId);
-            submissions.set(userId, { ...data, status: 'awaiting_la' });
         }
 
-        else if (interaction.customId === 'check_upload_status') {
-            const data = submissions.get(userId);
+        else if (customId.startsWith('check_upload_status')) {
+            // Buttons carry the draft ID so an older upload message checks its own draft
+            const draftId = customId.replace(/^check_upload_status_?/, '') || activeDrafts.get(userId);
+            const data = submissions.get(draftId) || completedDrafts.get(draftId);
 
-            if (!data || !data.jotform) {
+            if (!data || !['awaiting_form_completion', 'completed'].includes(data.status) || data.userId !== userId) {
                 await interaction.reply({
                     content: '❌ No form data found. Please restart the submission process.',
                     ephemeral: true
@@ -2948,7 +6288,7 @@ client.on('interactionCreate', async interaction => {
             }
 
             // Prevent multiple simultaneous status checks
-            const statusCheckKey = `status_check_${userId}`;
+            const statusCheckKey = `status_check_${draftId}`;
             if (processingConfirmations.has(statusCheckKey)) {
                 await interaction.reply({
                     content: '⏳ Status check already in progress. Please wait...',
@@ -2962,269 +6302,41 @@ client.on('interactionCreate', async interaction => {
 
             try {
                 await interaction.deferUpdate();
+                const provider = getUploadProvider(data);
 
-                // Check if already completed via webhook for THIS specific user AND has actual files
-                if (data.status === 'completed' && data.jotformSubmissionId && data.uploadedFiles && data.uploadedFiles.length > 0) {
-                    await interaction.followUp({
-                        content: `🎉 **Commission Submission Complete!**\n\nCongratulations! Your claim submission is under review. Please be patient, we have notified our admin to proceed with your application.\n\n✅ **Status:** Complete\n📁 **Documents:** Successfully uploaded\n📋 **Notification:** Sent to admin channel\n\n📄 **Files Uploaded:** ${data.uploadedFiles.length} document(s)`
-                    });
-                    submissions.delete(userId);
-                    return;
-                }
-
-                // Check if user already has files uploaded (prevent duplicate processing)
-                if (data.uploadedFiles && data.uploadedFiles.length > 0) {
+                // The Jotform webhook and the upload portal complete drafts on their own; otherwise ask the provider now
+                if (data.status !== 'completed') {
                     await interaction.editReply({
-                        content: `🎉 **Commission Submission Complete!**\n\nCongratulations! Your claim submission is under review. Please be patient, we have notified our admin to proceed with your application.\n\n✅ **Status:** Complete\n📁 **Documents:** Successfully uploaded\n📋 **Notification:** Sent to admin channel\n\n📄 **Files Uploaded:** ${data.uploadedFiles.length} document(s)`,
+                        content: '📤 **Checking your documents...**\n\nIf they have arrived they will be transferred to the server now. Please wait.',
                         embeds: [],
                         components: []
                     });
-                    data.status = 'completed';
-                    submissions.set(userId, data);
-                    processingConfirmations.delete(statusCheckKey);
-                    return;
+                    await collectAndCompleteDraft(data, provider);
                 }
 
-                // Check if this specific submission was already processed via webhook
-                if (data.jotformSubmissionId && processedSubmissions.has(data.jotformSubmissionId)) {
-                    console.log('Submission already processed globally:', data.jotformSubmissionId);
+                if (data.status === 'completed') {
                     await interaction.editReply({
-                        content: `🎉 **Commission Submission Complete!**\n\nCongratulations! Your claim submission is already processed.\n\n✅ **Status:** Complete\n📁 **Documents:** Already uploaded\n📋 **Notification:** Already sent`,
+                        content: `🎉 **Commission Submission Complete!**\n\nCongratulations! Your claim submission is under review. Please be patient, we have notified our admin to proceed with your application.\n\n✅ **Status:** Complete\n🔢 **Claim No.:** ${data.claim_number}\n📁 **Documents:** Successfully uploaded\n📋 **Notification:** Sent to admin channel\n\n📄 **Files Uploaded:** ${(data.uploadedFiles || []).length} document(s)`,
                         embeds: [],
                         components: []
                     });
-                    data.status = 'completed';
-                    submissions.set(userId, data);
-                    processingConfirmations.delete(statusCheckKey);
                     return;
                 }
 
-                // Check for submissions with matching session token (perfect matching)
-                const hasNewSubmissions = await checkForTokenBasedJotformSubmissions(data.jotform.formId, data);
-
-                if (hasNewSubmissions) {
-                    // Show progress bar first
-                    const progressEmbed = new EmbedBuilder()
-                        .setTitle('⏳ Processing Your Documents')
-                        .setColor(0xFF6600)
-                        .setDescription('Your files are being transferred to server...')
-                        .addFields(
-                            { name: '📁 Status', value: '🔄 Downloading from Jotform...', inline: false },
-                            { name: '🎯 Project', value: `${data.project_name} - ${data.unit_no}`, inline: false },
-                            { name: '📄 Submission ID', value: hasNewSubmissions.submissionId, inline: false }
-                        )
-                        .setFooter({ text: 'Please wait while we process your documents' });
-
-                    await interaction.editReply({
-                        content: '📤 **File Upload in Progress...**',
-                        embeds: [progressEmbed],
-                        components: []
-                    });
-
-                    // Check if this submission was already processed by this user
-                    if (data.jotformSubmissionId === hasNewSubmissions.submissionId && data.uploadedFiles && data.uploadedFiles.length > 0) {
-                        // Final completion message
-                        // Send completion as a new persistent message
-                        await interaction.followUp({
-                            content: `🎉 **Commission Submission Complete!**\n\nCongratulations! Your claim submission is under review. Please be patient, we have notified our admin to proceed with your application.\n\n✅ **Status:** Complete\n📁 **Documents:** Successfully uploaded\n📋 **Notification:** Sent to admin channel\n\n📄 **Files Uploaded:** ${data.uploadedFiles.length} document(s)`
-                        });
-
-                        // Clear the status check message
-                        await interaction.editReply({
-                            content: '✅ Processing completed - see message below',
-                            embeds: [],
-                            components: []
-                        });
-                        processingConfirmations.delete(statusCheckKey);
-                        return;
-                    }
-
-                    // Check if this submission ID was already processed globally (prevent duplicate processing)
-                    if (processedSubmissions.has(hasNewSubmissions.submissionId)) {
-                        console.log('Submission already processed globally:', hasNewSubmissions.submissionId);
-                        await interaction.editReply({
-                            content: `🎉 **Commission Submission Complete!**\n\nCongratulations! Your claim submission is already processed.\n\n✅ **Status:** Complete\n📁 **Documents:** Already uploaded\n📋 **Notification:** Already sent`,
-                            embeds: [],
-                            components: []
-                        });
-                        processingConfirmations.delete(statusCheckKey);
-                        return;
-                    }
-
-                    // Process the completion with REAL submission ID and update progress
-                    try {
-                        // Update progress: Starting transfer
-                        progressEmbed.setFields(
-                            { name: '📁 Status', value: '📤 Uploading to server...', inline: false },
-                            { name: '🎯 Project', value: `${data.project_name} - ${data.unit_no}`, inline: false },
-                            { name: '📄 Submission ID', value: hasNewSubmissions.submissionId, inline: false }
-                        );
-
-                        await interaction.editReply({
-                            content: '📤 **File Upload in Progress...**',
-                            embeds: [progressEmbed],
-                            components: []
-                        });
-
-                        const uploadedFiles = await transferJotformFilesToGoogleDrive(hasNewSubmissions.submissionId, data);
-
-                        // Only proceed if files were actually uploaded
-                        if (uploadedFiles && uploadedFiles.length > 0) {
-                            // Update progress: Saving to backup
-                            progressEmbed.setFields(
-                                { name: '📁 Status', value: '💾 Saving to backup...', inline: false },
-                                { name: '🎯 Project', value: `${data.project_name} - ${data.unit_no}`, inline: false },
-                                { name: '📄 Files Transferred', value: `${uploadedFiles.length} document(s)`, inline: false }
-                            );
-
-                            await interaction.editReply({
-                                content: '💾 **Finalizing Upload...**',
-                                embeds: [progressEmbed],
-                                components: []
-                            });
-
-                            data.uploadedFiles = uploadedFiles;
-                            data.jotformSubmissionId = hasNewSubmissions.submissionId;
-
-                            // NOW save to GitHub backup (only after successful file upload)
-                            const backupData = await loadBackupFromGitHub();
-                            const submissionData = {
-                                ...data,
-                                user_id: userId,
-                                username: data.username || 'Unknown User',
-                                submitted_at: getGMT8Date().toISOString(),
-                                uploadedFiles: uploadedFiles
-                            };
-                            backupData.push(submissionData);
-                            await saveBackupToGitHub(backupData);
-
-                            // Update progress: Sending notifications
-                            progressEmbed.setFields(
-                                { name: '📁 Status', value: '📨 Sending notifications...', inline: false },
-                                { name: '🎯 Project', value: `${data.project_name} - ${data.unit_no}`, inline: false },
-                                { name: '📄 Files Transferred', value: `${uploadedFiles.length} document(s)`, inline: false }
-                            );
-
-                            await interaction.editReply({
-                                content: '📨 **Sending Notifications...**',
-                                embeds: [progressEmbed],
-                                components: []
-                            });
-
-                            // Send notification to channel
-                            await sendSubmissionNotification(data, hasNewSubmissions.submissionId);
-                            data.status = 'completed';
-                            submissions.set(userId, data);
-
-                            // Final completion message
-                            await interaction.editReply({
-                                content: `🎉 **Commission Submission Complete!**\n\nCongratulations! Your claim submission is under review. Please be patient, we have notified our admin to proceed with your application.\n\n✅ **Status:** Complete\n📁 **Documents:** Successfully uploaded\n📋 **Notification:** Sent to admin channel\n\n📄 **Files Uploaded:** ${uploadedFiles.length} document(s)`,
-                                embeds: [],
-                                components: []
-                            });
-
-                            // Clean up
-                            submissions.delete(userId);
-                            processingConfirmations.delete(statusCheckKey);
-                            return;
-                        } else {
-                            // Files failed to upload
-                            await interaction.editReply({
-                                content: '❌ **File Upload Failed**\n\nDocuments were submitted to Jotform but failed to transfer to server. Please try again or contact support.',
-                                embeds: [],
-                                components: []
-                            });
-                            processingConfirmations.delete(statusCheckKey);
-                            return;
-                        }
-                    } catch (uploadError) {
-                        console.error('Error during upload processing:', uploadError);
-
-                        const errorEmbed = new EmbedBuilder()
-                            .setTitle('❌ Upload Processing Failed')
-                            .setColor(0xFF0000)
-                            .setDescription('There was an error processing your documents.')
-                            .addFields(
-                                { name: '🔍 Error Details', value: uploadError.message || 'Unknown error occurred', inline: false },
-                                { name: '🔄 What to do next', value: 'Please try checking status again or contact support', inline: false }
-                            );
-
-                        const retryRow = new ActionRowBuilder()
-                            .addComponents(
-                                new ButtonBuilder()
-                                    .setCustomId('check_upload_status')
-                                    .setLabel('🔄 Try Again')
-                                    .setStyle(ButtonStyle.Primary),
-                                new ButtonBuilder()
-                                    .setCustomId('back_to_form_view')
-                                    .setLabel('← Back to Form')
-                                    .setStyle(ButtonStyle.Secondary)
-                            );
-
-                        await interaction.editReply({
-                            content: '❌ **Upload Processing Error**',
-                            embeds: [errorEmbed],
-                            components: [retryRow]
-                        });
-                        processingConfirmations.delete(statusCheckKey);
-                        return;
-                    }
-                } else {
-                    const backRow = new ActionRowBuilder()
-                        .addComponents(
-                            new ButtonBuilder()
-                                .setCustomId('check_upload_status')
-                                .setLabel('🔄 Check Again (Auto-refresh in 30s)')
-                                .setStyle(ButtonStyle.Primary),
-                            new ButtonBuilder()
-                                .setLabel('📝 Upload Documents')
-                                .setStyle(ButtonStyle.Link)
-                                .setURL(data.jotform.formUrl),
-                            new ButtonBuilder()
-                                .setCustomId('back_to_form_view')
-                                .setLabel('← Back to Form Info')
-                                .setStyle(ButtonStyle.Secondary)
-                        );
-
-                    await interaction.editReply({
-                        content: '⏳ **No form submission detected yet**\n\nPlease complete the Jotform first, then check status again.\n\n📝 If you haven\'t submitted the form yet, click the "Upload Documents" button below.\n\n🔔 **Note:** The system will auto-check every 30 seconds, or you can manually check again.',
-                        embeds: [],
-                        components: [backRow]
-                    });
+                const { embeds, components } = provider.createUploadMessage(data);
+                await interaction.editReply({
+                    content: provider.describePending(data),
+                    embeds,
+                    components
+                });
 
-                                        // Auto-refresh after 30 seconds
+                // Providers that can be polled get one more automatic check after 30 seconds
+                if (provider.autoCheck) {
                     setTimeout(async () => {
                         try {
-                            const laterData = submissions.get(userId);
+                            const laterData = submissions.get(draftId);
                             if (laterData && laterData.status === 'awaiting_form_completion') {
-                                const hasSubmissions = await checkForTokenBasedJotformSubmissions(laterData.jotform.formId, laterData);
-                                if (hasSubmissions) {
-                                    // Process completion automatically
-                                    const uploadedFiles = await transferJotformFilesToGoogleDrive(hasSubmissions.submissionId, laterData);
-
-                                    if (uploadedFiles && uploadedFiles.length > 0) {
-                                        laterData.uploadedFiles = uploadedFiles;
-                                        laterData.jotformSubmissionId = hasSubmissions.submissionId;
-
-                                        // Save to GitHub backup
-                                        const backupData = await loadBackupFromGitHub();
-                                        const submissionData = {
-                                            ...laterData,
-                                            user_id: userId,
-                                            username: laterData.username || 'Unknown User',
-                                            submitted_at: getGMT8Date().toISOString(),
-                                            uploadedFiles: uploadedFiles
-                                        };
-                                        backupData.push(submissionData);
-                                        await saveBackupToGitHub(backupData);
-
-                                        await sendSubmissionNotification(laterData, hasSubmissions.submissionId);
-                                        laterData.status = 'completed';
-                                        submissions.set(userId, laterData);
-
-                                        console.log('Auto-processed submission for user:', userId);
-                                    }
-                                }
+                                await collectAndCompleteDraft(laterData, provider);
                             }
                         } catch (autoError) {
                             console.error('Auto-check error:', autoError);
@@ -3232,32 +6344,42 @@ client.on('interactionCreate', async interaction => {
                     }, 30000);
                 }
             } catch (error) {
-                console.error('Error checking form status:', error);
-                await interaction.followUp({
-                    content: '❌ Error checking form status. Please try again.',
-                    ephemeral: true
-                });
+                console.error('Error checking upload status:', error);
+
+                const errorEmbed = new EmbedBuilder()
+                    .setTitle('❌ Upload Processing Failed')
+                    .setColor(0xFF0000)
+                    .setDescription('There was an error processing your documents.')
+                    .addFields(
+                        { name: '🔍 Error Details', value: error.message || 'Unknown error occurred', inline: false },
+                        { name: '🔄 What to do next', value: 'Please try checking status again or contact support', inline: false }
+                    );
+
+                const retryRow = new ActionRowBuilder()
+                    .addComponents(
+                        new ButtonBuilder()
+                            .setCustomId(`check_upload_status_${data.draftId}`)
+                            .setLabel('🔄 Try Again')
+                            .setStyle(ButtonStyle.Primary),
+                        new ButtonBuilder()
+                            .setCustomId(`back_to_form_view_${data.draftId}`)
+                            .setLabel('← Back to Form')
+                            .setStyle(ButtonStyle.Secondary)
+                    );
+
+                await interaction.editReply({
+                    content: '❌ **Upload Processing Error**',
+                    embeds: [errorEmbed],
+                    components: [retryRow]
+                }).catch(editError => console.error('Failed to show upload error:', editError));
             } finally {
                 // Always clean up status check processing state
                 processingConfirmations.delete(statusCheckKey);
             }
         }
 
-        else if (interaction.customId === 'complete_submission') {
-            const data = submissions.get(userId);
-
-            await interaction.update({
-                content: '🎉 **Commission Submission Complete!**\n\nThank you for your submission. All documents have been uploaded and your data has been saved.\n\n✅ **Status:** Complete\n📁 **All Documents:** Successfully uploaded',
-                embeds: [],
-                components: []
-            });
-
-            // Clean up
-            submissions.delete(userId);
-        }
-
-        else if (interaction.customId === 'view_preserved_data') {
-            const data = submissions.get(userId);
+        else if (customId === 'view_preserved_data') {
+            const data = getActiveDraft(userId);
 
             if (!data || !data.project_name) {
                 await interaction.reply({
@@ -3280,11 +6402,11 @@ client.on('interactionCreate', async interaction => {
             const actionRow = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId('retry_jotform')
+                        .setCustomId(draftCustomId('retry_jotform', data))
                         .setLabel('🔄 Retry Form Creation')
                         .setStyle(ButtonStyle.Primary),
                     new ButtonBuilder()
-                        .setCustomId('back_to_confirmation')
+                        .setCustomId(draftCustomId('back_to_confirmation', data))
                         .setLabel('← Edit Details')
                         .setStyle(ButtonStyle.Secondary)
                 );
@@ -3297,12 +6419,12 @@ client.on('interactionCreate', async interaction => {
             });
         }
 
-        else if (interaction.customId === 'retry_jotform') {
+        else if (customId === 'retry_jotform') {
             await interaction.deferUpdate();
 
-            const data = submissions.get(userId);
+            const data = getActiveDraft(userId);
 
-            if (!data || !data.project_name) {
+            if (!data || !data.project_name || !data.sessionToken) {
                 const restartRow = new ActionRowBuilder()
                     .addComponents(
                         new ButtonBuilder()
@@ -3319,102 +6441,68 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
 
+            const provider = getUploadProvider(data);
+
             try {
                 // Add a delay to avoid rate limiting
                 await new Promise(resolve => setTimeout(resolve, 1000));
 
-                // Retry creating Jotform for document uploads
-                const formData = await createJotformUpload(data);
-
-                // Store form info
-                data.jotform = formData;
-                data.status = 'awaiting_form_completion';
-                submissions.set(userId, data);
-
-                const embed = new EmbedBuilder()
-                    .setTitle('📋 Document Upload - Jotform')
-                    .setColor(0xFF6600)
-                    .setDescription('Your personalized Jotform has been created successfully!')
-                    .addFields(
-                        { name: '📝 What to do next:', value: '1. Click the "Upload Documents" button below\n2. Fill out the Jotform with your documents\n3. Submit the form\n4. Return here and click "Check Upload Status"', inline: false },
-                        { name: '📋 Required Documents:', value: '• Booking Form\n• SPA Document\n• LO Document', inline: false }
-                    )
-                    .setFooter({ text: 'The form will automatically save your documents' });
-
-                const actionRow = new ActionRowBuilder()
-                    .addComponents(
-                        new ButtonBuilder()
-                            .setLabel('📝 Upload Documents')
-                            .setStyle(ButtonStyle.Link)
-                            .setURL(formData.formUrl),
-                        new ButtonBuilder()
-                            .setCustomId('check_upload_status')
-                            .setLabel('🔄 Check Upload Status')
-                            .setStyle(ButtonStyle.Primary),
-                        new ButtonBuilder()
-                            .setCustomId('cancel_submission')
-                            .setLabel('❌ Cancel')
-                            .setStyle(ButtonStyle.Danger)
-                    );
+                await startDraftUpload(data, provider);
+                const { embeds, components } = provider.createUploadMessage(data);
 
                 await interaction.editReply({
-                    content: '✅ **Form Creation Successful!**\n\n📋 **Your commission data has been saved.**\n🎯 **Jotform created for document uploads!**',
-                    embeds: [embed],
-                    components: [actionRow],
-                    ephemeral: true
+                    content: '✅ **Upload Setup Successful!**\n\n📋 **Your commission data has been saved.**\n🎯 **Document upload ready!**',
+                    embeds,
+                    components
                 });
 
             } catch (error) {
-                console.error('Retry Google Form creation failed:', error);
+                console.error(`Retry ${provider.label} upload setup failed:`, error);
 
                 try {
                     const errorEmbed = new EmbedBuilder()
-                        .setTitle('⚠️ Form Creation Still Failing')
+                        .setTitle('⚠️ Upload Setup Still Failing')
                         .setColor(0xFF6B6B)
-                        .setDescription('The Jotform creation is experiencing persistent issues.')
+                        .setDescription(`Preparing the document upload (${provider.label}) is experiencing persistent issues.`)
                         .addFields(
-                            { name: '📋 Your Data Status', value: '✅ All submission data preserved in GitHub backup', inline: false },
-                            { name: '🔄 What to try:', value: 'Use `/fast-comm-submission` again - your data will be restored automatically', inline: false },
-                            { name: '🆘 If issues persist:', value: 'Check your Jotform API key and permissions', inline: false }
+                            { name: '📋 Your Data Status', value: '✅ All submission data preserved in your draft', inline: false },
+                            { name: '🔄 What to try:', value: 'Use `/my-drafts` to resume this draft - your data is kept there', inline: false },
+                            { name: '🔍 Error Details', value: error.message || 'Unknown error occurred', inline: false }
                         )
                         .setTimestamp();
 
                     const alternativeRow = new ActionRowBuilder()
                         .addComponents(
                             new ButtonBuilder()
-                                .setCustomId('retry_jotform')
+                                .setCustomId(draftCustomId('retry_jotform', data))
                                 .setLabel('🔄 Try Again')
                                 .setStyle(ButtonStyle.Primary),
                             new ButtonBuilder()
-                                .setCustomId('cancel_submission')
+                                .setCustomId(draftCustomId('cancel_submission', data))
                                 .setLabel('❌ Cancel Session')
                                 .setStyle(ButtonStyle.Danger)
                         );
 
                     await interaction.editReply({
-                        content: '❌ **Form Creation Failed Again**\n\n💾 **Your data is still safe in GitHub backup!**',
+                        content: '❌ **Upload Setup Failed Again**\n\n💾 **Your data is still safe in your draft!**',
                         embeds: [errorEmbed],
                         components: [alternativeRow]
                     });
                 } catch (updateError) {
                     console.error('Interaction update failed, sending followUp:', updateError);
                     await interaction.followUp({
-                        content: '❌ **Form Creation Failed**\n\n✅ Your data is preserved in GitHub backup.\n🔄 Try `/fast-comm-submission` again - your data will be restored.',
+                        content: '❌ **Upload Setup Failed**\n\n✅ Your data is preserved in your draft.\n🔄 Use `/my-drafts` to resume this draft and try again.',
                         ephemeral: true
                     });
                 }
             }
         }
 
-        else if (interaction.customId === 'open_file_upload') {
-            const modal = createFileUploadModal();
-            await interaction.showModal(modal);
-        }
-
-        else if (interaction.customId === 'back_to_form_view') {
-            const data = submissions.get(userId);
+        else if (customId.startsWith('back_to_form_view')) {
+            const draftId = customId.replace(/^back_to_form_view_?/, '') || activeDrafts.get(userId);
+            const data = submissions.get(draftId);
 
-            if (!data || !data.jotform) {
+            if (!data || data.status !== 'awaiting_form_completion' || data.userId !== userId) {
                 await interaction.reply({
                     content: '❌ No form data found. Please restart the submission process.',
                     ephemeral: true
@@ -3422,54 +6510,30 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
 
-            const embed = new EmbedBuilder()
-                .setTitle('📋 Document Upload - Jotform')
-                .setColor(0xFF6600)
-                .setDescription('Your document upload form is ready!')
-                .addFields(
-                    { name: '📝 What to do next:', value: '1. Click the "Upload Documents" button below\n2. Fill out the Jotform with your documents\n3. Submit the form\n4. Return here and click "Check Upload Status"', inline: false },
-                    { name: '📋 Required Documents:', value: '• Booking Form\n• SPA Document\n• LO Document', inline: false },
-                    { name: '📋 Project Info', value: `${data.project_name} - ${data.unit_no}`, inline: false }
-                )
-                .setFooter({ text: 'The form will automatically save your documents' });
-
-            const actionRow = new ActionRowBuilder()
-                .addComponents(
-                    new ButtonBuilder()
-                        .setLabel('📝 Upload Documents')
-                        .setStyle(ButtonStyle.Link)
-                        .setURL(data.jotform.formUrl),
-                    new ButtonBuilder()
-                        .setCustomId('check_upload_status')
-                        .setLabel('🔄 Check Upload Status')
-                        .setStyle(ButtonStyle.Primary),
-                    new ButtonBuilder()
-                        .setCustomId('cancel_submission')
-                        .setLabel('❌ Cancel')
-                        .setStyle(ButtonStyle.Danger)
-                );
+            const { embeds, components } = getUploadProvider(data).createUploadMessage(data);
 
             await interaction.update({
-                content: '✅ **Back to Form Information**\n\n📋 **Your commission data has been saved.**\n🎯 **Document upload form ready!**',
-                embeds: [embed],
-                components: [actionRow]
+                content: '✅ **Back to Form Information**\n\n📋 **Your commission data has been saved.**\n🎯 **Document upload ready!**',
+                embeds,
+                components
             });
         }
 
-        else if (interaction.customId === 'restart_submission') {
-            submissions.delete(userId);
+        else if (customId === 'restart_submission') {
+            discardActiveDraft(userId);
             await interaction.reply({
                 content: '🔄 **Starting a new submission!**\n\nPlease use `/fast-comm-submission` command to start over.',
                 ephemeral: true
             });
         }
 
-        else if (interaction.customId.startsWith('view_submission_')) {
+        else if (customId.startsWith('view_submission_')) {
             try {
-                const submissionIndex = parseInt(interaction.customId.split('_')[2]);
-                const backupData = await loadBackupFromGitHub();
+                const claimNumber = customId.replace('view_submission_', '');
+                const backupData = await loadBackup();
+                const submission = findSubmissionByClaimNumber(backupData, claimNumber);
 
-                if (submissionIndex < 0 || submissionIndex >= backupData.length) {
+                if (!submission) {
                     await interaction.reply({
                         content: '❌ Submission not found. It may have been deleted.',
                         ephemeral: true
@@ -3477,8 +6541,6 @@ client.on('interactionCreate', async interaction => {
                     return;
                 }
 
-                const submission = backupData[submissionIndex];
-
                 // Verify this submission belongs to the user
                 if (submission.user_id !== userId) {
                     await interaction.reply({
@@ -3490,16 +6552,13 @@ client.on('interactionCreate', async interaction => {
 
                 // Create detailed submission embed
                 const embed = createConfirmationEmbed(submission);
-                embed.setTitle(`📋 Submission Details: ${submission.project_name}`);
+                embed.setTitle(`📋 Submission Details: ${submission.project_name} (${submission.claim_number})`);
                 embed.setColor(0x28A745);
 
                 // Add document status
                 if (submission.uploadedFiles && submission.uploadedFiles.length > 0) {
-                    const fileList = submission.uploadedFiles
-                        .map(file => `✅ [${file.originalName || file.finalName}](${file.driveLink})`)
-                        .join('\n');
-
-                    embed.addFields({ name: `📂 Uploaded Documents (${submission.uploadedFiles.length})`, value: fileList.length > 1024 ? fileList.substring(0, 1020) + '...' : fileList, inline: false });
+                    const fileList = formatFilesByDocumentType(submission.uploadedFiles, file => `✅ [${file.originalName || file.finalName}](${file.driveLink})`);
+                    embed.addFields({ name: `📂 Uploaded Documents (${submission.uploadedFiles.length})`, value: fileList, inline: false });
                 } else {
                     embed.addFields({ name: '📂 Documents Status', value: '❌ No documents uploaded', inline: false });
                 }
@@ -3507,10 +6566,25 @@ client.on('interactionCreate', async interaction => {
                 // Add submission metadata
                 embed.addFields({
                     name: '📊 Submission Information',
-                    value: `**Submission ID:** ${submission.jotformSubmissionId || 'N/A'}\n**Submitted:** ${formatGMT8DateString(new Date(submission.submitted_at))}\n**Status:** Complete`,
+                    value: `**Claim No.:** ${submission.claim_number}\n**Submission ID:** ${submission.jotformSubmissionId || 'N/A'}\n**Submitted:** ${formatGMT8DateString(new Date(submission.submitted_at))}\n**Status:** ${formatClaimStatus(getClaimStatus(submission))}`,
                     inline: false
                 });
 
+                embed.addFields({
+                    name: `🧾 Payout Stages (RM${formatSen(getOutstandingSen(submission))} outstanding)`,
+                    value: formatClaimStages(submission),
+                    inline: false
+                });
+
+                // Add status history so agents can see when their claim moved along
+                if (submission.status_history && submission.status_history.length > 1) {
+                    const historyList = submission.status_history
+                        .map(change => `${formatClaimStatus(change.status)} - ${formatGMT8DateString(new Date(change.changed_at))}${change.note ? `\n  _${change.note}_` : ''}`)
+                        .join('\n');
+
+                    embed.addFields({ name: '🕒 Status History', value: historyList.length > 1024 ? historyList.substring(0, 1020) + '...' : historyList, inline: false });
+                }
+
                 // Back button
                 const backRow = new ActionRowBuilder()
                     .addComponents(
@@ -3535,9 +6609,9 @@ client.on('interactionCreate', async interaction => {
             }
         }
 
-        else if (interaction.customId === 'back_to_my_submissions' || interaction.customId === 'refresh_my_submissions') {
+        else if (customId === 'back_to_my_submissions' || customId === 'refresh_my_submissions') {
             try {
-                const backupData = await loadBackupFromGitHub();
+                const backupData = await loadBackup();
                 const userSubmissions = backupData.filter(submission => submission.user_id === userId);
 
                 if (userSubmissions.length === 0) {
@@ -3553,7 +6627,7 @@ client.on('interactionCreate', async interaction => {
                 const embed = new EmbedBuilder()
                     .setTitle('📋 Your Commission Submissions')
                     .setColor(0x0099FF)
-                    .setDescription(`Found ${userSubmissions.length} submission(s)`)
+                    .setDescription(`Found ${userSubmissions.length} submission(s) • **RM${formatSen(userSubmissions.reduce((sum, submission) => sum + getOutstandingSen(submission), 0))}** outstanding`)
                     .setTimestamp();
 
                 // Create buttons for each submission
@@ -3562,22 +6636,19 @@ client.on('interactionCreate', async interaction => {
 
                 for (let i = 0; i < maxButtons; i++) {
                     const submission = userSubmissions[i];
-                    const submissionIndex = backupData.indexOf(submission);
-                    const totalCommission = submission.agents
-                        ?.filter(agent => agent.name)
-                        ?.reduce((sum, agent) => sum + parseFloat(agent.commission || 0), 0) || 0;
+                    const totalCommissionSen = calculateCommissionBreakdown(submission).total_commission_sen;
 
                     // Add to embed
                     embed.addFields({
-                        name: `${i + 1}. ${submission.project_name}`,
-                        value: `**Unit:** ${submission.unit_no}\n**Total Commission:** RM${totalCommission.toFixed(2)}\n**Submitted:** ${formatGMT8DateString(new Date(submission.submitted_at))}\n**Documents:** ${submission.uploadedFiles?.length || 0} file(s)`,
+                        name: `${i + 1}. ${submission.project_name} (${submission.claim_number})`,
+                        value: `**Unit:** ${submission.unit_no}\n**Status:** ${formatClaimStatus(getClaimStatus(submission))}\n**Total Commission:** RM${formatSen(totalCommissionSen)}\n**Outstanding:** RM${formatSen(getOutstandingSen(submission))}\n**Submitted:** ${formatGMT8DateString(new Date(submission.submitted_at))}\n**Documents:** ${submission.uploadedFiles?.length || 0} file(s)`,
                         inline: true
                     });
 
                     // Create button for detailed view
                     buttons.push(
                         new ButtonBuilder()
-                            .setCustomId(`view_submission_${submissionIndex}`)
+                            .setCustomId(`view_submission_${submission.claim_number}`)
                             .setLabel(`View ${submission.project_name}`)
                             .setStyle(ButtonStyle.Primary)
                     );
@@ -3620,107 +6691,209 @@ client.on('interactionCreate', async interaction => {
                     components: rows
                 });
 
-            } catch (error) {
-                console.error('Error refreshing submissions:', error);
-                await interaction.followUp({
-                    content: '❌ Error refreshing submission data. Please try again.',
-                    ephemeral: true
-                });
+            } catch (error) {
+                console.error('Error refreshing submissions:', error);
+                await interaction.followUp({
+                    content: '❌ Error refreshing submission data. Please try again.',
+                    ephemeral: true
+                });
+            }
+        }
+
+        return;
+    }
+});
+
+// Drive client for the company account, from the OAuth config and stored company tokens
+function getCompanyDriveClient() {
+    // Use your existing OAuth config
+    if (!oauth_config) {
+        throw new Error('Google OAuth not configured. Check GOOGLE_OAUTH_SECRETS environment variable.');
+    }
+
+    // Create OAuth client with your credentials
+    const oauth_client = new google.auth.OAuth2(
+        oauth_config.web.client_id,
+        oauth_config.web.client_secret,
+        oauth_config.web.redirect_uris[0]
+    );
+
+    // Set credentials - you'll need to get these tokens once
+    const accessToken = process.env.COMPANY_DRIVE_ACCESS_TOKEN;
+    const refreshToken = process.env.COMPANY_DRIVE_REFRESH_TOKEN;
+
+    if (!accessToken || !refreshToken) {
+        throw new Error('Please set COMPANY_DRIVE_ACCESS_TOKEN and COMPANY_DRIVE_REFRESH_TOKEN in Secrets. Run get_oauth_tokens.js to get them.');
+    }
+
+    oauth_client.setCredentials({
+        access_token: accessToken,
+        refresh_token: refreshToken
+    });
+
+    return google.drive({ version: 'v3', auth: oauth_client });
+}
+
+// Folders every claim and statement folder lives under, e.g. Discord Uploads > Agent Claim Request
+const DOCUMENT_STORAGE_SETTINGS = settings.documentStorage || {};
+const DOCUMENT_ROOT_FOLDERS = DOCUMENT_STORAGE_SETTINGS.rootFolders || ['Discord Uploads', settings.googleDrive.folderName || 'Agent Claim Request'];
+const CLAIM_FOLDER_TEMPLATE = DOCUMENT_STORAGE_SETTINGS.claimFolderTemplate || '{claim_number} - {date} - {username} - {project} - {unit}';
+
+// Name of a claim's document folder, from the claimFolderTemplate placeholders
+function formatClaimFolderName(userData, date = new Date()) {
+    const values = {
+        claim_number: userData.claim_number || 'Unnumbered',
+        date: formatInTimeZone(date, GMT8_TIMEZONE, 'yyyy-MM-dd'),
+        username: userData.username || 'Unknown User',
+        project: userData.project_name?.replace(/[^a-zA-Z0-9]/g, '_') || 'Project',
+        unit: userData.unit_no?.replace(/[^a-zA-Z0-9]/g, '_') || 'Unit',
+        agent_code: (userData.agents && userData.agents[0] && userData.agents[0].code) || 'Agent'
+    };
+    return CLAIM_FOLDER_TEMPLATE.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? values[name] : placeholder));
+}
+
+// Folder path for a claim's documents; the name is fixed the first time so every file lands in the same folder
+function getClaimFolderPath(userData) {
+    if (!userData.document_folder) {
+        userData.document_folder = formatClaimFolderName(userData);
+    }
+    return [...DOCUMENT_ROOT_FOLDERS, userData.document_folder];
+}
+
+// Make a folder or file name safe to use as one path segment on disk or in an object key
+function sanitizePathSegment(segment) {
+    return String(segment).replace(/[\/\\:*?"<>|]/g, '_').replace(/^\.+/, '_') || '_';
+}
+
+// Google Drive document store - files go to the company Drive, folders are created on first use
+function createDriveDocumentStore() {
+    const folderCache = new Map(); // Folder path -> Drive folder ID, so repeat uploads skip the lookups
+
+    async function getFolderId(companyDrive, folderPath) {
+        let parentId = null;
+        for (let depth = 0; depth < folderPath.length; depth++) {
+            const cacheKey = folderPath.slice(0, depth + 1).join('/');
+            if (!folderCache.has(cacheKey)) {
+                const folderId = parentId
+                    ? await createOrGetCompanySubFolder(companyDrive, folderPath[depth], parentId)
+                    : await createOrGetCompanyFolder(companyDrive, folderPath[depth]);
+                folderCache.set(cacheKey, folderId);
             }
+            parentId = folderCache.get(cacheKey);
         }
-
-        return;
+        return parentId;
     }
-});
 
-// Upload file directly to company Google Drive with organized folder structure
-async function uploadToCompanyGoogleDrive(filePath, fileName, mimeType, userData = null) {
-    try {
-        // Use your existing OAuth config
-        if (!oauth_config) {
-            throw new Error('Google OAuth not configured. Check GOOGLE_OAUTH_SECRETS environment variable.');
-        }
+    return {
+        name: 'drive',
+        label: 'Google Drive',
 
-        // Create OAuth client with your credentials
-        const oauth_client = new google.auth.OAuth2(
-            oauth_config.web.client_id,
-            oauth_config.web.client_secret,
-            oauth_config.web.redirect_uris[0]
-        );
+        async saveFile(folderPath, fileName, source, mimeType) {
+            const companyDrive = getCompanyDriveClient();
+            const folderId = await getFolderId(companyDrive, folderPath);
 
-        // Set credentials - you'll need to get these tokens once
-        const accessToken = process.env.COMPANY_DRIVE_ACCESS_TOKEN;
-        const refreshToken = process.env.COMPANY_DRIVE_REFRESH_TOKEN;
+            const response = await companyDrive.files.create({
+                resource: { name: fileName, parents: [folderId] },
+                media: {
+                    mimeType: mimeType,
+                    body: typeof source === 'string' ? require('fs').createReadStream(source) : Readable.from(source)
+                },
+                fields: 'id, name, webViewLink'
+            });
 
-        if (!accessToken || !refreshToken) {
-            throw new Error('Please set COMPANY_DRIVE_ACCESS_TOKEN and COMPANY_DRIVE_REFRESH_TOKEN in Secrets. Run get_oauth_tokens.js to get them.');
+            return { id: response.data.id, link: response.data.webViewLink };
         }
+    };
+}
 
-        oauth_client.setCredentials({
-            access_token: accessToken,
-            refresh_token: refreshToken
-        });
-
-        const companyDrive = google.drive({ version: 'v3', auth: oauth_client });
-
-        // Create organized folder structure: Discord Uploads > Agent Claim Request > [Date - Username]
-        const discordUploadsFolder = await createOrGetCompanyFolder(companyDrive, 'Discord Uploads');
-        const agentClaimFolder = await createOrGetCompanySubFolder(companyDrive, 'Agent Claim Request', discordUploadsFolder);
+// Local disk document store - mirrors the folder tree under a directory on this machine
+function createLocalDocumentStore(directory) {
+    return {
+        name: 'local',
+        label: 'local disk',
 
-        // Create unique folder for this submission if userData is provided
-        let targetFolderId = agentClaimFolder;
-        if (userData && userData.username) {
-            // Create a more specific cache key including session token for uniqueness
-            const sessionToken = userData.sessionToken || 'no_token';
-            const cacheKey = `${userData.userId}_${userData.project_name}_${userData.unit_no}_${sessionToken}`;
+        async saveFile(folderPath, fileName, source) {
+            const folder = path.join(directory, ...folderPath.map(sanitizePathSegment));
+            await fs.mkdir(folder, { recursive: true });
 
-            // Check if we already have a folder for this submission
-            if (userFolderCache.has(cacheKey)) {
-                targetFolderId = userFolderCache.get(cacheKey);
-                console.log('✅ Using cached submission folder for:', cacheKey);
+            const targetPath = path.join(folder, sanitizePathSegment(fileName));
+            if (typeof source === 'string') {
+                await fs.copyFile(source, targetPath);
             } else {
-                const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-                const projectName = userData.project_name?.replace(/[^a-zA-Z0-9]/g, '_') || 'Project';
-                const unitNo = userData.unit_no?.replace(/[^a-zA-Z0-9]/g, '_') || 'Unit';
+                await fs.writeFile(targetPath, source);
+            }
 
-                // Use consistent folder naming without time component to prevent duplicates
-                const userFolderName = `${today} - ${userData.username} - ${projectName} - ${unitNo}`;
-                targetFolderId = await createOrGetCompanySubFolder(companyDrive, userFolderName, agentClaimFolder);
+            return { id: path.relative(directory, targetPath), link: pathToFileURL(targetPath).href };
+        }
+    };
+}
 
-                // Cache the folder ID for this submission
-                userFolderCache.set(cacheKey, targetFolderId);
-                console.log('✅ Created/cached submission folder:', userFolderName);
-            }
+// S3-compatible document store (AWS S3, MinIO, ...) - the folder path becomes the object key prefix
+function createS3DocumentStore(options) {
+    const client = new S3Client({
+        region: options.region || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || options.endpoint || undefined,
+        forcePathStyle: options.forcePathStyle !== false, // MinIO needs path-style URLs
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+    const publicBaseUrl = options.publicBaseUrl ? options.publicBaseUrl.replace(/\/$/, '') : null;
+
+    return {
+        name: 's3',
+        label: 'S3',
+
+        async saveFile(folderPath, fileName, source, mimeType) {
+            const key = [...folderPath, fileName].map(sanitizePathSegment).join('/');
+
+            await client.send(new PutObjectCommand({
+                Bucket: options.bucket,
+                Key: key,
+                Body: typeof source === 'string' ? await fs.readFile(source) : source,
+                ContentType: mimeType
+            }));
+
+            const link = publicBaseUrl
+                ? `${publicBaseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`
+                : `s3://${options.bucket}/${key}`;
+            return { id: key, link };
         }
+    };
+}
 
-        const fileMetadata = {
-            name: fileName,
-            parents: [targetFolderId]
-        };
+// Pick the document store named in settings.json (defaults to Google Drive)
+function createDocumentStore() {
+    const backend = DOCUMENT_STORAGE_SETTINGS.backend || 'drive';
 
-        const media = {
-            mimeType: mimeType,
-            body: require('fs').createReadStream(filePath)
-        };
+    if (backend === 'local') {
+        const directory = path.resolve(__dirname, DOCUMENT_STORAGE_SETTINGS.localPath || 'documents');
+        console.log('✅ Storing documents on local disk:', directory);
+        return createLocalDocumentStore(directory);
+    }
 
-        const response = await companyDrive.files.create({
-            resource: fileMetadata,
-            media: media,
-            fields: 'id, name, webViewLink'
-        });
+    if (backend === 's3') {
+        const s3Settings = DOCUMENT_STORAGE_SETTINGS.s3 || {};
+        if (!s3Settings.bucket) {
+            console.error('❌ documentStorage.s3.bucket not set - S3 document uploads will fail');
+        }
+        console.log('✅ Storing documents in S3 bucket:', s3Settings.bucket, process.env.S3_ENDPOINT || s3Settings.endpoint || '');
+        return createS3DocumentStore(s3Settings);
+    }
 
-        console.log('✅ File uploaded to company Google Drive:', response.data.name);
-        console.log('✅ Folder structure: Discord Uploads > Agent Claim Request > ' + (userData?.username ? `${new Date().toISOString().split('T')[0]} - ${userData.username}` : 'Agent Claim Request'));
-        return response.data;
-    } catch (error) {
-        console.error('❌ Error uploading to company Google Drive:', error);
-        throw error;
+    if (backend !== 'drive') {
+        console.error(`❌ Unknown document storage backend "${backend}", falling back to Google Drive`);
     }
+    console.log('✅ Storing documents in Google Drive:', DOCUMENT_ROOT_FOLDERS.join(' > '));
+    return createDriveDocumentStore();
 }
 
-// Legacy function - now redirects to company drive
-async function uploadToGoogleDrive(filePath, fileName, mimeType, userData = null) {
-    return await uploadToCompanyGoogleDrive(filePath, fileName, mimeType, userData);
+// Save a monthly statement PDF under <root folders> > Statements > YYYY-MM
+async function uploadStatement(pdfBuffer, fileName, month) {
+    const savedFile = await documentStore.saveFile([...DOCUMENT_ROOT_FOLDERS, 'Statements', month], fileName, pdfBuffer, 'application/pdf');
+    console.log(`✅ Statement saved to ${documentStore.label}:`, fileName);
+    return savedFile;
 }
 
 // Create Jotform URL with prefilled data (using template form)
@@ -3940,12 +7113,17 @@ async function checkForTokenBasedJotformSubmissions(formId, userData) {
     }
 }
 
+// Escape a value for a quoted string in a Drive files.list query (usernames can contain apostrophes)
+function escapeDriveQuery(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
 // Create or get existing folder in company Google Drive
 async function createOrGetCompanyFolder(companyDrive, folderName) {
     try {
         // Search for existing folder
         const response = await companyDrive.files.list({
-            q: `name='${folderName}' and mimeType='application/vnd.google-apps.folder'`,
+            q: `name='${escapeDriveQuery(folderName)}' and mimeType='application/vnd.google-apps.folder'`,
             spaces: 'drive'
         });
 
@@ -3976,7 +7154,7 @@ async function createOrGetCompanySubFolder(companyDrive, folderName, parentFolde
     try {
         // Search for existing subfolder within the parent folder
         const response = await companyDrive.files.list({
-            q: `name='${folderName}' and mimeType='application/vnd.google-apps.folder' and '${parentFolderId}' in parents`,
+            q: `name='${escapeDriveQuery(folderName)}' and mimeType='application/vnd.google-apps.folder' and '${parentFolderId}' in parents`,
             spaces: 'drive'
         });
 
@@ -4075,48 +7253,295 @@ async function createOrGetFolder(folderName, driveInstance = null) {
     }
 }
 
-// HTML upload form
-app.get('/upload/:userId', (req, res) => {
-    const userId = req.params.userId;
-    const html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <title>Commission Document Upload</title>
-        <meta name="viewport" content="width=device-width, initial-scale=1">
-        <style>
+// File types the upload portal knows how to check: the MIME types browsers report and the leading bytes of a genuine file
+const UPLOAD_FILE_TYPES = {
+    pdf: { mimeTypes: ['application/pdf'], signatures: [[0x25, 0x50, 0x44, 0x46]] },
+    jpg: { mimeTypes: ['image/jpeg'], signatures: [[0xFF, 0xD8, 0xFF]] },
+    jpeg: { mimeTypes: ['image/jpeg'], signatures: [[0xFF, 0xD8, 0xFF]] },
+    png: { mimeTypes: ['image/png'], signatures: [[0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]] },
+    doc: { mimeTypes: ['application/msword'], signatures: [[0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]] },
+    docx: { mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'], signatures: [[0x50, 0x4B, 0x03, 0x04]] }
+};
+const UPLOAD_ALLOWED_EXTENSIONS = (UPLOAD_PORTAL_SETTINGS.allowedTypes || ['pdf', 'jpg', 'jpeg', 'png'])
+    .map(type => type.toLowerCase().replace(/^\./, ''))
+    .filter(type => UPLOAD_FILE_TYPES[type]);
+
+const portalUpload = multer({
+    dest: 'uploads/',
+    limits: { fileSize: UPLOAD_MAX_FILE_MB * 1024 * 1024 }
+});
+
+// Documents the agent must upload for a claim, one portal slot each. The list comes from
+// settings.documents: a project entry (by canonical registry name) wins over the buyer type
+// chosen with select_cash_buyer / select_loan_buyer, which wins over every known type.
+// Either level may be a plain list or split by buyer type, e.g. { "loan": [...], "cash": [...] }.
+function getRequiredDocuments(data = {}) {
+    const buyerType = data.buyer_type || 'default';
+    const projectName = data.project_name ? (findProject(data.project_name)?.name || data.project_name) : null;
+    const projectRules = projectName && Object.entries(DOCUMENT_SETTINGS.projects || {})
+        .find(([name]) => normalizeForMatch(name) === normalizeForMatch(projectName))?.[1];
+    const pick = rules => Array.isArray(rules) ? rules : rules && (rules[buyerType] || rules.default);
+
+    const keys = pick(projectRules) || pick(DOCUMENT_SETTINGS.buyerTypes) || DEFAULT_REQUIRED_DOCUMENTS;
+    return [...new Set(keys)]
+        .filter(key => {
+            if (!DOCUMENT_TYPES[key]) {
+                console.error(`❌ Unknown document type "${key}" in settings.documents - skipping`);
+                return false;
+            }
+            return true;
+        })
+        .map(key => DOCUMENT_TYPES[key]);
+}
+
+// Document type a Jotform upload question holds. settings.documents.jotformFields maps a question ID,
+// unique name or label to a type key; a question labelled like a type (e.g. "SPA Document") needs no entry.
+function classifyJotformQuestion(questionId, answer) {
+    const mapping = DOCUMENT_SETTINGS.jotformFields || {};
+    const candidates = [questionId, answer.name, answer.text].filter(Boolean).map(normalizeForMatch);
+
+    const mapped = Object.entries(mapping).find(([field]) => candidates.includes(normalizeForMatch(field)));
+    if (mapped) {
+        if (DOCUMENT_TYPES[mapped[1]]) {
+            return DOCUMENT_TYPES[mapped[1]];
+        }
+        console.error(`❌ Jotform field "${mapped[0]}" maps to unknown document type "${mapped[1]}"`);
+    }
+
+    return Object.values(DOCUMENT_TYPES).find(type =>
+        [type.key, type.label, type.folder].some(name => candidates.includes(normalizeForMatch(name)))
+    ) || UNCLASSIFIED_DOCUMENT;
+}
+
+// A claim's files as one embed field value, listed under a heading per document type in the order types
+// first appear. Lines that would pass the 1024-char field limit are dropped and counted instead.
+function formatFilesByDocumentType(files, formatFile) {
+    const groups = new Map();
+    for (const file of files) {
+        const type = file.documentType || 'Documents';
+        groups.set(type, [...(groups.get(type) || []), file]);
+    }
+
+    const lines = Array.from(groups, ([type, typeFiles]) => [`**${type}** (${typeFiles.length})`, ...typeFiles.map(formatFile)]).flat();
+    let value = '';
+    for (const [index, line] of lines.entries()) {
+        const next = value ? `${value}\n${line}` : line;
+        if (next.length > 1000) {
+            return `${value}\n…and ${lines.length - index} more line(s)`;
+        }
+        value = next;
+    }
+    return value;
+}
+
+// Public address of this server, used to build links agents open in their browser
+function getPublicBaseUrl() {
+    if (process.env.PUBLIC_BASE_URL) {
+        return process.env.PUBLIC_BASE_URL.replace(/\/$/, '');
+    }
+    if (process.env.WEBHOOK_URL) {
+        return new URL(process.env.WEBHOOK_URL).origin;
+    }
+    if (process.env.RENDER_EXTERNAL_URL) {
+        return process.env.RENDER_EXTERNAL_URL.replace(/\/$/, '');
+    }
+    if (process.env.RAILWAY_PUBLIC_DOMAIN) {
+        return `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`;
+    }
+    if (process.env.VERCEL_URL) {
+        return `https://${process.env.VERCEL_URL}`;
+    }
+    if (process.env.REPL_SLUG && process.env.REPL_OWNER) {
+        return `https://${process.env.REPL_SLUG}.${process.env.REPL_OWNER}.repl.co`;
+    }
+    throw new Error('PUBLIC_BASE_URL environment variable is required for the upload portal');
+}
+
+// Key for upload link signatures. There is deliberately no built-in default: anyone who can read
+// this file could otherwise sign links for any draft.
+const UPLOAD_LINK_SECRET = process.env.UPLOAD_LINK_SECRET || process.env.SESSION_SECRET || null;
+
+function signUploadLink(draftId, sessionToken, expires) {
+    if (!UPLOAD_LINK_SECRET) {
+        throw new Error('UPLOAD_LINK_SECRET environment variable is required for the upload portal');
+    }
+    return crypto.createHmac('sha256', UPLOAD_LINK_SECRET).update(`${draftId}.${sessionToken}.${expires}`).digest('hex');
+}
+
+// Issue a portal link for a confirmed draft. The signature covers the draft's session token,
+// so confirming the draft again invalidates older links.
+function createUploadPortalLink(data) {
+    const expires = Date.now() + UPLOAD_LINK_TTL_MS;
+    const signature = signUploadLink(data.draftId, data.sessionToken, expires);
+    return {
+        formUrl: `${getPublicBaseUrl()}/upload/${encodeURIComponent(data.draftId)}?expires=${expires}&sig=${signature}`,
+        expiresAt: new Date(expires).toISOString()
+    };
+}
+
+// Give a draft a fresh portal link if its current one has expired
+function refreshUploadPortalLink(data) {
+    if (new Date(data.uploadPortal.expiresAt).getTime() <= Date.now()) {
+        data.uploadPortal = createUploadPortalLink(data);
+        submissions.set(data.draftId, data);
+    }
+    return data.uploadPortal;
+}
+
+// Find the draft a portal request belongs to; returns { data } or { error, statusCode } with a message safe to show the agent
+function resolveUploadPortalDraft(draftId, expires, signature) {
+    const invalid = { error: 'This upload link is not valid. Please open the latest link from Discord.', statusCode: 403 };
+    const data = submissions.get(draftId) || completedDrafts.get(draftId);
+    const expiresAt = Number(expires);
+
+    if (!UPLOAD_LINK_SECRET || !data || !data.sessionToken || typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature) || !Number.isSafeInteger(expiresAt)) {
+        return invalid;
+    }
+
+    const expected = Buffer.from(signUploadLink(draftId, data.sessionToken, expiresAt), 'hex');
+    if (!crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'))) {
+        return invalid;
+    }
+    if (expiresAt <= Date.now()) {
+        return { error: 'This upload link has expired. Click "Check Upload Status" in Discord to get a new one.', statusCode: 410 };
+    }
+    if (data.status === 'completed') {
+        return { error: 'Documents for this claim have already been uploaded.', statusCode: 409 };
+    }
+    if (data.status !== 'awaiting_form_completion' || !data.uploadPortal) {
+        return invalid;
+    }
+
+    return { data };
+}
+
+// Check an uploaded file's extension, reported MIME type and leading bytes; returns the MIME type to store it under
+async function validateUploadedFile(file) {
+    const extension = path.extname(file.originalname).toLowerCase().replace('.', '');
+    const fileType = UPLOAD_ALLOWED_EXTENSIONS.includes(extension) ? UPLOAD_FILE_TYPES[extension] : null;
+
+    if (!fileType) {
+        throw new Error(`${file.originalname}: only ${UPLOAD_ALLOWED_EXTENSIONS.join(', ').toUpperCase()} files are accepted`);
+    }
+    if (!fileType.mimeTypes.includes(file.mimetype) && file.mimetype !== 'application/octet-stream') {
+        throw new Error(`${file.originalname}: file type ${file.mimetype} does not match its .${extension} extension`);
+    }
+    if (file.size === 0) {
+        throw new Error(`${file.originalname}: file is empty`);
+    }
+
+    const header = Buffer.alloc(8);
+    const handle = await fs.open(file.path, 'r');
+    try {
+        await handle.read(header, 0, header.length, 0);
+    } finally {
+        await handle.close();
+    }
+
+    if (!fileType.signatures.some(signature => signature.every((byte, index) => header[index] === byte))) {
+        throw new Error(`${file.originalname}: file contents are not a valid ${extension.toUpperCase()} file`);
+    }
+
+    return fileType.mimeTypes[0];
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const UPLOAD_PORTAL_STYLES = `
             body { font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px; background-color: #f5f5f5; }
             .container { background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
             h1 { color: #333; text-align: center; margin-bottom: 30px; }
-            .upload-area { border: 2px dashed #ddd; border-radius: 8px; padding: 40px; text-align: center; margin: 20px 0; }
+            .upload-area { border: 2px dashed #ddd; border-radius: 8px; padding: 20px; margin: 20px 0; }
             .upload-area:hover { border-color: #007bff; }
-            input[type="file"] { margin: 20px 0; }
+            .upload-area.done { border-color: #28a745; border-style: solid; }
+            .checklist { list-style: none; padding: 0; }
+            .checklist li { padding: 4px 0; }
+            label { font-weight: bold; display: block; }
+            input[type="file"] { margin: 10px 0 0; }
             button { background: #007bff; color: white; padding: 12px 24px; border: none; border-radius: 5px; cursor: pointer; font-size: 16px; width: 100%; }
             button:hover { background: #0056b3; }
+            button:disabled { background: #9bbbe0; cursor: not-allowed; }
             .status { margin-top: 20px; padding: 10px; border-radius: 5px; }
             .success { background: #d4edda; color: #155724; border: 1px solid #c3e6cb; }
-            .error { background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb; }
-        </style>
+            .error { background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb; }`;
+
+// Page shown instead of the portal when a link cannot be used
+function renderUploadPortalMessage(message) {
+    return `<!DOCTYPE html>
+    <html>
+    <head>
+        <title>Commission Document Upload</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <style>${UPLOAD_PORTAL_STYLES}</style>
+    </head>
+    <body>
+        <div class="container">
+            <h1>📁 Commission Document Upload</h1>
+            <div class="status error">❌ ${escapeHtml(message)}</div>
+        </div>
+    </body>
+    </html>`;
+}
+
+// Upload page with one labelled file slot per required document and a checklist that ticks off as files are chosen
+function renderUploadPortalPage(data, actionUrl) {
+    const accept = UPLOAD_ALLOWED_EXTENSIONS.map(extension => `.${extension}`).join(',');
+    const documents = getRequiredDocuments(data);
+    const checklist = documents.map(document => `
+                <li data-document="${document.key}" data-label="${escapeHtml(document.label)}">❌ ${escapeHtml(document.label)}</li>`).join('');
+    const slots = documents.map(document => `
+                <div class="upload-area" id="slot_${document.key}">
+                    <label for="${document.key}">📄 ${escapeHtml(document.label)}</label>
+                    <input type="file" id="${document.key}" name="${document.key}" multiple accept="${accept}" required>
+                </div>`).join('');
+
+    return `<!DOCTYPE html>
+    <html>
+    <head>
+        <title>Commission Document Upload</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <style>${UPLOAD_PORTAL_STYLES}</style>
     </head>
     <body>
         <div class="container">
             <h1>📁 Commission Document Upload</h1>
-            <p><strong>User ID:</strong> ${userId}</p>
+            <p><strong>Project:</strong> ${escapeHtml(data.project_name)} - ${escapeHtml(data.unit_no)}</p>
+            <p><small>Supported formats: ${UPLOAD_ALLOWED_EXTENSIONS.join(', ').toUpperCase()}, up to ${UPLOAD_MAX_FILE_MB} MB and ${UPLOAD_MAX_FILES_PER_DOCUMENT} files per document. This link expires ${escapeHtml(formatGMT8DateString(new Date(data.uploadPortal.expiresAt)))}.</small></p>
 
-            <form id="uploadForm" enctype="multipart/form-data">
-                <div class="upload-area">
-                    <p>📄 Select your commission documents</p>
-                    <input type="file" name="documents" multiple accept=".pdf,.doc,.docx,.jpg,.jpeg,.png" required>
-                    <p><small>Supported formats: PDF, DOC, DOCX, JPG, PNG</small></p>
-                </div>
+            <p><strong>Required documents:</strong></p>
+            <ul class="checklist" id="checklist">${checklist}
+            </ul>
 
-                <button type="submit">🚀 Upload Documents</button>
+            <form id="uploadForm" action="${escapeHtml(actionUrl)}" enctype="multipart/form-data">${slots}
+
+                <button type="submit" disabled>🚀 Upload Documents</button>
             </form>
 
             <div id="status"></div>
         </div>
 
         <script>
+            // Tick each document off as files are chosen; the button stays disabled until nothing is missing
+            const fileInputs = Array.from(document.querySelectorAll('#uploadForm input[type="file"]'));
+            const updateChecklist = () => {
+                fileInputs.forEach(input => {
+                    const item = document.querySelector('#checklist li[data-document="' + input.name + '"]');
+                    const count = input.files.length;
+                    item.textContent = (count > 0 ? '✅ ' : '❌ ') + item.dataset.label + (count > 0 ? ' (' + count + ' file(s))' : '');
+                    document.getElementById('slot_' + input.name).classList.toggle('done', count > 0);
+                });
+                document.querySelector('#uploadForm button').disabled = fileInputs.some(input => input.files.length === 0);
+            };
+            fileInputs.forEach(input => input.addEventListener('change', updateChecklist));
+            updateChecklist();
+
             document.getElementById('uploadForm').addEventListener('submit', async (e) => {
                 e.preventDefault();
 
@@ -4129,31 +7554,330 @@ app.get('/upload/:userId', (req, res) => {
                 statusDiv.innerHTML = '';
 
                 try {
-                    const response = await fetch('/upload/${userId}', {
+                    const response = await fetch(e.target.action, {
                         method: 'POST',
                         body: formData
                     });
 
                     const result = await response.json();
 
-                    if (result.success) {
-                        statusDiv.innerHTML = '<div class="status success">✅ Files uploaded successfully! You can now return to Discord and click "Complete Submission".</div>';
-                        button.textContent = '✅ Upload Complete';
-                    } else {
-                        throw new Error(result.message);
-                    }
-                } catch (error) {
-                    statusDiv.innerHTML = '<div class="status error">❌ Upload failed: ' + error.message + '</div>';
-                    button.disabled = false;
-                    button.textContent = '🚀 Upload Documents';
-                }
-            });
-        </script>
-    </body>
-    </html>
-    `;
+                    if (result.success) {
+                        statusDiv.innerHTML = '<div class="status success"></div>';
+                        statusDiv.firstChild.textContent = '✅ ' + result.message;
+                        button.textContent = '✅ Upload Complete';
+                    } else {
+                        throw new Error(result.message);
+                    }
+                } catch (error) {
+                    statusDiv.innerHTML = '<div class="status error"></div>';
+                    statusDiv.firstChild.textContent = '❌ Upload failed: ' + error.message;
+                    button.disabled = false;
+                    button.textContent = '🚀 Upload Documents';
+                }
+            });
+        </script>
+    </body>
+    </html>`;
+}
+
+// Required documents that have no files on a Discord-provider draft yet
+function getMissingDocuments(data) {
+    const checklist = data.documentChecklist || {};
+    return getRequiredDocuments(data).filter(document => !checklist[document.key] || !checklist[document.key].uploaded);
+}
+
+// Required documents with no file among a submission's uploaded files
+function getMissingUploadedDocuments(data, uploadedFiles) {
+    const uploadedKeys = new Set(uploadedFiles.map(file => file.documentKey));
+    return getRequiredDocuments(data).filter(document => !uploadedKeys.has(document.key));
+}
+
+// Checklist embed with one upload button per required document, used by the Discord upload provider
+function createDocumentChecklistMessage(data) {
+    const checklist = data.documentChecklist || {};
+    const documents = getRequiredDocuments(data);
+    const allUploaded = getMissingDocuments(data).length === 0;
+
+    const embed = new EmbedBuilder()
+        .setTitle('📋 Document Upload Checklist')
+        .setColor(0xFF9900)
+        .setDescription(`Please upload all required documents for **${data.project_name} - ${data.unit_no}**${data.buyer_type ? ` (${data.buyer_type} buyer)` : ''}:`)
+        .addFields(documents.map(document => ({
+            name: `📄 ${document.label}`,
+            value: checklist[document.key]?.uploaded ? `✅ Uploaded (${checklist[document.key].files.length} file(s))` : '❌ Not uploaded',
+            inline: true
+        })))
+        .setFooter({ text: 'Click a button below, then attach the files to your next message in this channel' });
+
+    // Five buttons fit on a row; the last row is kept for completing or cancelling
+    const components = [];
+    for (let start = 0; start < documents.length && components.length < 4; start += 5) {
+        components.push(new ActionRowBuilder().addComponents(documents.slice(start, start + 5).map(document =>
+            new ButtonBuilder()
+                .setCustomId(`upload_document_${data.draftId}_${document.key}`)
+                .setLabel(`Upload ${document.label}`.slice(0, 80))
+                .setStyle(checklist[document.key]?.uploaded ? ButtonStyle.Secondary : ButtonStyle.Primary)
+        )));
+    }
+
+    components.push(new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`check_upload_status_${data.draftId}`)
+                .setLabel('✅ Complete Submission')
+                .setStyle(ButtonStyle.Success)
+                .setDisabled(!allUploaded),
+            new ButtonBuilder()
+                .setCustomId(`discard_draft_${data.draftId}`)
+                .setLabel('❌ Cancel')
+                .setStyle(ButtonStyle.Danger)
+        ));
+
+    return { embeds: [embed], components };
+}
+
+// Reserve the claim number and copy a Jotform submission's files to Drive
+async function transferJotformSubmission(data, submissionId) {
+    // Claim number is fixed before the transfer so the Drive folder can carry it
+    if (!data.claim_number) {
+        data.claim_number = await reserveClaimNumber();
+    }
+    return transferJotformFilesToGoogleDrive(submissionId, data);
+}
+
+// Jotform upload provider - agents fill in the template form; files arrive through /webhook/jotform or a status check
+function createJotformUploadProvider() {
+    return {
+        name: 'jotform',
+        label: 'Jotform',
+        autoCheck: true,
+
+        async start(data) {
+            if (!JOTFORM_API_KEY || !JOTFORM_TEMPLATE_ID) {
+                throw new Error('Jotform not configured');
+            }
+            data.jotform = await createJotformUpload(data, data.sessionToken);
+        },
+
+        createUploadMessage(data) {
+            const embed = new EmbedBuilder()
+                .setTitle('📋 Document Upload - Jotform')
+                .setColor(0xFF6600)
+                .setDescription('Your document upload form is ready!')
+                .addFields(
+                    { name: '📝 What to do next:', value: '1. Click the "Upload Documents" button below\n2. Fill out the Jotform with your documents\n3. Submit the form\n4. Return here and click "Check Upload Status"', inline: false },
+                    { name: '📋 Required Documents:', value: getRequiredDocuments(data).map(document => `• ${document.label}`).join('\n'), inline: false },
+                    { name: '📋 Project Info', value: `${data.project_name} - ${data.unit_no}`, inline: false }
+                )
+                .setFooter({ text: 'The form will automatically save your documents' });
+
+            const row = new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setLabel('📝 Upload Documents')
+                        .setStyle(ButtonStyle.Link)
+                        .setURL(data.jotform.formUrl),
+                    new ButtonBuilder()
+                        .setCustomId(`check_upload_status_${data.draftId}`)
+                        .setLabel('🔄 Check Upload Status')
+                        .setStyle(ButtonStyle.Primary),
+                    new ButtonBuilder()
+                        .setCustomId(`discard_draft_${data.draftId}`)
+                        .setLabel('❌ Cancel')
+                        .setStyle(ButtonStyle.Danger)
+                );
+
+            return { embeds: [embed], components: [row] };
+        },
+
+        // Look for a submission carrying this draft's session token, in case the webhook never arrived
+        async collectFiles(data) {
+            const found = await checkForTokenBasedJotformSubmissions(data.jotform.formId, data);
+            if (!found || processedSubmissions.has(found.submissionId) || processingSubmissions.has(found.submissionId)) {
+                return null;
+            }
+
+            processingSubmissions.add(found.submissionId);
+            try {
+                return {
+                    submissionId: found.submissionId,
+                    uploadedFiles: await transferJotformSubmission(data, found.submissionId)
+                };
+            } finally {
+                processingSubmissions.delete(found.submissionId);
+            }
+        },
+
+        describePending(data) {
+            if (data.missingDocuments) {
+                return `⚠️ **Your form submission is missing required documents:** ${data.missingDocuments.join(', ')}\n\nPlease open the form again with the "Upload Documents" button below and submit it with every required document.`;
+            }
+            return '⏳ **No form submission detected yet**\n\nPlease complete the Jotform first, then check status again.\n\n📝 If you haven\'t submitted the form yet, click the "Upload Documents" button below.\n\n🔔 **Note:** The system will check again in 30 seconds, or you can manually check again.';
+        }
+    };
+}
+
+// Upload portal provider - agents use the signed /upload page, which completes the claim itself
+function createPortalUploadProvider() {
+    return {
+        name: 'portal',
+        label: 'upload portal',
+        autoCheck: false,
+
+        async start(data) {
+            data.uploadPortal = createUploadPortalLink(data);
+        },
+
+        createUploadMessage(data) {
+            refreshUploadPortalLink(data);
+
+            const embed = new EmbedBuilder()
+                .setTitle('📋 Document Upload')
+                .setColor(0xFF6600)
+                .setDescription('Your document upload page is ready!')
+                .addFields(
+                    { name: '📝 What to do next:', value: '1. Click the "Upload Documents" button below\n2. Attach each required document\n3. Submit the page\n4. Return here and click "Check Upload Status"', inline: false },
+                    { name: '📋 Required Documents:', value: getRequiredDocuments(data).map(document => `• ${document.label}`).join('\n'), inline: false },
+                    { name: '📋 Project Info', value: `${data.project_name} - ${data.unit_no}`, inline: false }
+                )
+                .setFooter({ text: `This link expires ${formatGMT8DateString(new Date(data.uploadPortal.expiresAt))}` });
+
+            const row = new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setLabel('📝 Upload Documents')
+                        .setStyle(ButtonStyle.Link)
+                        .setURL(data.uploadPortal.formUrl),
+                    new ButtonBuilder()
+                        .setCustomId(`check_upload_status_${data.draftId}`)
+                        .setLabel('🔄 Check Upload Status')
+                        .setStyle(ButtonStyle.Primary),
+                    new ButtonBuilder()
+                        .setCustomId(`discard_draft_${data.draftId}`)
+                        .setLabel('❌ Cancel')
+                        .setStyle(ButtonStyle.Danger)
+                );
+
+            return { embeds: [embed], components: [row] };
+        },
+
+        // Files are pushed by POST /upload/:draftId, which completes the claim as soon as they are stored
+        async collectFiles() {
+            return null;
+        },
+
+        describePending() {
+            return '⏳ **No documents uploaded yet**\n\nPlease upload your documents on the upload page first, then check status again.\n\n📝 If you haven\'t uploaded yet, click the "Upload Documents" button below.';
+        }
+    };
+}
+
+// Discord upload provider - agents attach files to messages in the channel, one checklist slot at a time
+function createDiscordUploadProvider() {
+    return {
+        name: 'discord',
+        label: 'Discord attachments',
+        autoCheck: false,
+
+        async start(data) {
+            data.documentChecklist = {};
+            data.awaitingDocument = null;
+        },
+
+        createUploadMessage(data) {
+            return createDocumentChecklistMessage(data);
+        },
+
+        // Files are already in Drive (see messageCreate); the claim is complete once every slot is filled
+        async collectFiles(data) {
+            if (getMissingDocuments(data).length > 0) {
+                return null;
+            }
+            return {
+                submissionId: `discord_${Date.now()}`,
+                uploadedFiles: getRequiredDocuments(data).flatMap(document => data.documentChecklist[document.key].files)
+            };
+        },
+
+        describePending(data) {
+            return `📋 **Documents still missing:** ${getMissingDocuments(data).map(document => document.label).join(', ')}\n\nClick a document button below, then attach the files to your next message in this channel.`;
+        }
+    };
+}
+
+// Every upload provider implements start, createUploadMessage, collectFiles and describePending,
+// and hands finished uploads to completeDraftSubmission
+const uploadProviders = {
+    jotform: createJotformUploadProvider(),
+    portal: createPortalUploadProvider(),
+    discord: createDiscordUploadProvider()
+};
+
+if (!uploadProviders[UPLOAD_PROVIDER_NAME]) {
+    console.error(`❌ Unknown upload provider "${UPLOAD_PROVIDER_NAME}", falling back to Jotform`);
+}
+if (UPLOAD_PROVIDER_NAME === 'portal' && !UPLOAD_LINK_SECRET) {
+    console.error('❌ UPLOAD_LINK_SECRET environment variable not set - upload portal links cannot be issued');
+}
+
+// Upload provider for a draft: the one it was started with, otherwise the deployment's provider from settings.json
+function getUploadProvider(data) {
+    if (data && uploadProviders[data.uploadProvider]) {
+        return uploadProviders[data.uploadProvider];
+    }
+    // Drafts confirmed before providers were recorded
+    if (data && data.jotform) {
+        return uploadProviders.jotform;
+    }
+    if (data && data.uploadPortal) {
+        return uploadProviders.portal;
+    }
+    return uploadProviders[UPLOAD_PROVIDER_NAME] || uploadProviders.jotform;
+}
+
+// Begin collecting documents for a confirmed draft
+async function startDraftUpload(data, provider = getUploadProvider(data)) {
+    await provider.start(data);
+    data.uploadProvider = provider.name;
+    data.status = 'awaiting_form_completion';
+    submissions.set(data.draftId, data);
+}
+
+// Ask a draft's upload provider for finished documents and complete the claim once they are in.
+// Returns the saved claim, or null while documents are still outstanding.
+async function collectAndCompleteDraft(data, provider = getUploadProvider(data)) {
+    if (data.status !== 'awaiting_form_completion') {
+        return null;
+    }
+
+    const collected = await provider.collectFiles(data);
+    if (!collected) {
+        return null;
+    }
+    if (collected.uploadedFiles.length === 0) {
+        throw new Error('Your documents were received but could not be transferred to the server. Please try again or contact support.');
+    }
+
+    try {
+        return await completeDraftSubmission(data, collected.uploadedFiles, collected.submissionId);
+    } catch (error) {
+        // The draft stays open and describePending lists what is missing
+        if (error.missingDocuments) {
+            console.log(`⚠️ Draft ${data.draftId} submission ${collected.submissionId} is missing:`, error.missingDocuments.join(', '));
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Document upload portal, reached through the signed link sent when a claim is confirmed
+app.get('/upload/:draftId', (req, res) => {
+    const { data, error, statusCode } = resolveUploadPortalDraft(req.params.draftId, req.query.expires, req.query.sig);
+    if (error) {
+        return res.status(statusCode).send(renderUploadPortalMessage(error));
+    }
 
-    res.send(html);
+    res.send(renderUploadPortalPage(data, req.originalUrl));
 });
 
 // OAuth routes
@@ -4174,11 +7898,11 @@ app.get('/oauth2callback', async (req, res) => {
         req.session.credentials = tokens;
 
         // Update user's submission data with access token
-        const userData = submissions.get(userId);
+        const userData = getActiveDraft(userId);
         if (userData) {
             userData.googleAccessToken = tokens.access_token;
             userData.status = 'authenticated';
-            submissions.set(userId, userData);
+            submissions.set(userData.draftId, userData);
         }
 
         res.send(`
@@ -4245,51 +7969,102 @@ app.get('/privacy', (req, res) => {
   `);
 });
 
-// Express route for file upload
-app.post('/upload/:userId', upload.array('documents'), async (req, res) => {
+// Portal submission: check the link and every file, then hand off to the same Drive transfer and save path as the Jotform webhook
+app.post('/upload/:draftId', (req, res, next) => {
+    const { data, error, statusCode } = resolveUploadPortalDraft(req.params.draftId, req.query.expires, req.query.sig);
+    if (error) {
+        return res.status(statusCode).json({ success: false, message: error });
+    }
+    if (processingSubmissions.has(`portal_${data.draftId}`)) {
+        return res.status(409).json({ success: false, message: 'Your documents are already being uploaded. Please wait.' });
+    }
+
+    const slots = getRequiredDocuments(data).map(document => ({ name: document.key, maxCount: UPLOAD_MAX_FILES_PER_DOCUMENT }));
+    portalUpload.fields(slots)(req, res, uploadError => {
+        if (uploadError) {
+            // Multer removes any files it already wrote before reporting the error
+            const message = uploadError.code === 'LIMIT_FILE_SIZE' ? `Each file must be ${UPLOAD_MAX_FILE_MB} MB or smaller`
+                : uploadError.code === 'LIMIT_UNEXPECTED_FILE' && !slots.some(slot => slot.name === uploadError.field) ? 'The required documents for this claim have changed. Please reload the page.'
+                : uploadError.code === 'LIMIT_UNEXPECTED_FILE' ? `Too many files for one document (maximum ${UPLOAD_MAX_FILES_PER_DOCUMENT})`
+                : 'Failed to receive files';
+            console.error('❌ Upload portal rejected request:', uploadError.code || uploadError.message);
+            return res.status(uploadError instanceof multer.MulterError ? 400 : 500).json({ success: false, message });
+        }
+
+        req.uploadDraft = data;
+        next();
+    });
+}, async (req, res) => {
+    const data = req.uploadDraft;
+    const processingKey = `portal_${data.draftId}`;
+    const receivedFiles = Object.values(req.files || {}).flat();
+    const documents = getRequiredDocuments(data);
+    let processingStarted = false;
+
     try {
-        const userId = req.params.userId;
-        const userData = submissions.get(userId);
+        const missing = documents.filter(document => !req.files || !req.files[document.key] || req.files[document.key].length === 0);
+        if (missing.length > 0) {
+            return res.status(400).json({ success: false, message: `Please attach: ${missing.map(document => document.label).join(', ')}` });
+        }
 
-        if (!userData || !userData.googleAccessToken) {
-            return res.status(401).json({
-                success: false,
-                message: 'Please authenticate with Google first'
-            });
+        const mimeTypes = new Map();
+        try {
+            for (const file of receivedFiles) {
+                mimeTypes.set(file, await validateUploadedFile(file));
+            }
+        } catch (validationError) {
+            return res.status(400).json({ success: false, message: validationError.message });
         }
 
-        const uploadedFiles = [];
-        const userDrive = createUserGoogleDrive(userData.googleAccessToken);
-
-        for (const file of req.files) {
-            const driveFile = await uploadToUserGoogleDrive(
-                userDrive,
-                file.path,
-                `${userId}_${Date.now()}_${file.originalname}`,
-                file.mimetype
-            );
+        // Checked again now the files have arrived: another submit of this page may have finished
+        // or started while they were streaming in
+        if (data.status !== 'awaiting_form_completion' || submissions.get(data.draftId) !== data) {
+            return res.status(409).json({ success: false, message: 'Documents for this claim have already been uploaded.' });
+        }
+        if (processingSubmissions.has(processingKey)) {
+            return res.status(409).json({ success: false, message: 'Your documents are already being uploaded. Please wait.' });
+        }
+        processingSubmissions.add(processingKey);
+        processingStarted = true;
 
-            uploadedFiles.push({
-                originalName: file.originalname,
-                driveId: driveFile.id,
-                driveLink: driveFile.webViewLink
-            });
+        // Claim number is fixed before the transfer so the Drive folder can carry it
+        if (!data.claim_number) {
+            data.claim_number = await reserveClaimNumber();
+        }
 
-            // Clean up local file
-            await fs.unlink(file.path);
+        const uploadedFiles = [];
+        for (const document of documents) {
+            for (const file of req.files[document.key]) {
+                const cleanFilename = file.originalname.replace(/[<>:"/\\|?*]/g, '_');
+                const storedFile = await storeClaimDocument(file.path, cleanFilename, mimeTypes.get(file), file.size, data, document);
+                uploadedFiles.push({
+                    originalName: file.originalname,
+                    ...storedFile,
+                    documentKey: document.key,
+                    documentType: document.label
+                });
+            }
         }
 
+        const submission = await completeDraftSubmission(data, uploadedFiles, `portal_${Date.now()}`);
+        console.log('✅ Upload portal submission completed:', submission.claim_number, uploadedFiles.length, 'file(s)');
+
         res.json({
             success: true,
-            message: 'Files uploaded successfully to your Google Drive',
-            files: uploadedFiles
+            message: `Documents uploaded for claim ${submission.claim_number}. You can return to Discord and click "Check Upload Status".`
         });
     } catch (error) {
-        console.error('Upload error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to upload files'
-        });
+        console.error('❌ Upload portal error:', error);
+        res.status(500).json({ success: false, message: 'Failed to upload documents. Please try again.' });
+    } finally {
+        if (processingStarted) {
+            processingSubmissions.delete(processingKey);
+        }
+
+        // Files already handed to Drive are removed by storeClaimDocument; clear whatever is left
+        for (const file of receivedFiles) {
+            await fs.unlink(file.path).catch(() => {});
+        }
     }
 });
 
@@ -4323,6 +8098,78 @@ app.get('/debug/webhooks', async (req, res) => {
     }
 });
 
+// Check the export API token sent as "Authorization: Bearer <token>"
+function isAuthorizedExportRequest(req) {
+    const expected = process.env.EXPORT_API_TOKEN;
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+    if (!expected || !match) {
+        return false;
+    }
+
+    const given = Buffer.from(match[1]);
+    const wanted = Buffer.from(expected);
+    return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
+
+// Claims export for finance; accepts the same filters as /admin-action export as query parameters
+app.get('/export/claims.:format(csv|xlsx)', async (req, res) => {
+    if (!process.env.EXPORT_API_TOKEN) {
+        return res.status(503).json({ success: false, message: 'Export API is not configured' });
+    }
+    if (!isAuthorizedExportRequest(req)) {
+        return res.status(401).json({ success: false, message: 'Unauthorized' });
+    }
+
+    let filters;
+    try {
+        filters = getClaimSearchFilters(name => (typeof req.query[name] === 'string' && req.query[name]) || null);
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+
+    try {
+        const rows = buildClaimExportRows(searchClaims(await loadBackupForUpdate(), filters).reverse());
+        const fileBaseName = `claims-export-${formatInTimeZone(new Date(), GMT8_TIMEZONE, 'yyyyMMdd-HHmm')}`;
+
+        if (req.params.format === 'xlsx') {
+            res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.set('Content-Disposition', `attachment; filename="${fileBaseName}.xlsx"`);
+            res.send(await createClaimExportXlsx(rows));
+        } else {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${fileBaseName}.csv"`);
+            res.send(createClaimExportCsv(rows));
+        }
+    } catch (error) {
+        console.error('❌ Error exporting claims:', error);
+        res.status(500).json({ success: false, message: 'Export failed' });
+    }
+});
+
+app.get('/export/payouts/:batchId/:file(bank|summary).csv', async (req, res) => {
+    if (!process.env.EXPORT_API_TOKEN) {
+        return res.status(503).json({ success: false, message: 'Export API is not configured' });
+    }
+    if (!isAuthorizedExportRequest(req)) {
+        return res.status(401).json({ success: false, message: 'Unauthorized' });
+    }
+
+    let batch;
+    try {
+        batch = (await loadPayoutBatches()).find(entry => entry.batch_id === req.params.batchId);
+    } catch (error) {
+        console.error('❌ Payout export failed:', error);
+        return res.status(500).json({ success: false, message: 'Failed to load payout batches' });
+    }
+    if (!batch) {
+        return res.status(404).json({ success: false, message: 'Payout batch not found' });
+    }
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${batch.batch_id}-${req.params.file}.csv"`);
+    res.send(req.params.file === 'bank' ? createBankPaymentFile(batch) : createPayoutSummaryCsv(batch));
+});
+
 app.post('/webhook/jotform', async (req, res) => {
     try {
         console.log('Webhook received:', req.body);
@@ -4371,11 +8218,12 @@ app.post('/webhook/jotform', async (req, res) => {
 
         if (sessionToken) {
             // Perfect token-based matching - no ambiguity
-            matchedUserId = tokenToUserId.get(sessionToken);
-            if (matchedUserId) {
-                userData = submissions.get(matchedUserId);
+            const matchedDraftId = tokenToDraftId.get(sessionToken);
+            if (matchedDraftId) {
+                userData = submissions.get(matchedDraftId);
                 if (userData && userData.sessionToken === sessionToken && userData.status === 'awaiting_form_completion') {
-                    console.log('✅ Perfect token match found:', matchedUserId);
+                    matchedUserId = userData.userId;
+                    console.log('✅ Perfect token match found:', matchedDraftId);
                     console.log('✅ Session token:', sessionToken);
                     console.log('✅ User project:', userData.project_name, '-', userData.unit_no);
 
@@ -4387,9 +8235,8 @@ app.post('/webhook/jotform', async (req, res) => {
                         return;
                     }
                 } else {
-                    console.log('❌ Token found but user session invalid:', matchedUserId);
+                    console.log('❌ Token found but draft session invalid:', matchedDraftId);
                     userData = null;
-                    matchedUserId = null;
                 }
             } else {
                 console.log('❌ Session token not found in token map:', sessionToken);
@@ -4401,35 +8248,11 @@ app.post('/webhook/jotform', async (req, res) => {
         if (userData && matchedUserId) {
             try {
                 // Download and transfer files from Jotform to Google Drive
-                const uploadedFiles = await transferJotformFilesToGoogleDrive(submissionId, userData);
+                const uploadedFiles = await transferJotformSubmission(userData, submissionId);
 
                 // Only proceed if files were actually transferred
                 if (uploadedFiles && uploadedFiles.length > 0) {
-                    // Update user data with Google Drive file info
-                    userData.uploadedFiles = uploadedFiles;
-                    userData.jotformSubmissionId = submissionId;
-
-                    // NOW save to GitHub backup (only after successful file upload)
-                    const backupData = await loadBackupFromGitHub();
-                    const submissionData = {
-                        ...userData,
-                        user_id: matchedUserId,
-                        username: userData.username || 'Unknown User',
-                        submitted_at: getGMT8Date().toISOString(),
-                        uploadedFiles: uploadedFiles
-                    };
-                    backupData.push(submissionData);
-                    await saveBackupToGitHub(backupData);
-
-                    // Send notification to channel with file info
-                    await sendSubmissionNotification(userData, submissionId);
-
-                    // Update user's submission status to completed
-                    userData.status = 'completed';
-                    submissions.set(matchedUserId, userData);
-
-                    // Clean up token mapping after successful processing
-                    tokenToUserId.delete(userData.sessionToken);
+                    await completeDraftSubmission(userData, uploadedFiles, submissionId);
 
                     console.log('✅ Webhook processed successfully for user:', matchedUserId);
                     console.log('✅ Files transferred to Google Drive:', uploadedFiles.length);
@@ -4444,8 +8267,11 @@ app.post('/webhook/jotform', async (req, res) => {
                 }
             } catch (processingError) {
                 console.error('Error during webhook processing:', processingError);
-                // Remove from processed sets if processing failed so it can be retried
-                processedSubmissions.delete(submissionId);
+                // Remove from processed sets if processing failed so it can be retried. A submission missing
+                // required documents stays processed - retrying it cannot help - but the agent may submit the form again.
+                if (!processingError.missingDocuments) {
+                    processedSubmissions.delete(submissionId);
+                }
                 if (sessionToken) {
                     processedTokens.delete(sessionToken);
                 }
@@ -4457,7 +8283,7 @@ app.post('/webhook/jotform', async (req, res) => {
             console.log('❌ No matching user session found for submission:', submissionId);
             console.log('❌ Session token provided:', sessionToken);
             console.log('❌ Available sessions:', Array.from(submissions.keys()));
-            console.log('❌ Available tokens:', Array.from(tokenToUserId.keys()));
+            console.log('❌ Available tokens:', Array.from(tokenToDraftId.keys()));
 
             // Remove from processing sets since we're not processing this one
             processingSubmissions.delete(submissionId);
@@ -4487,31 +8313,111 @@ app.post('/webhook/jotform', async (req, res) => {
 
 
 
+// Save one claim document from a temp file into the claim's folder in the document store, then remove the temp file.
+// Every upload provider goes through here so documents are named and filed the same way.
+async function storeClaimDocument(tempPath, cleanFilename, mimeType, fileSize, userData, document = null) {
+    // Create a descriptive filename but preserve original extension; typed documents lead with their type and get their own subfolder
+    const projectName = userData.project_name?.replace(/[^a-zA-Z0-9]/g, '_') || 'project';
+    const timestamp = new Date().toISOString().split('T')[0];
+    const uniqueId = Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    const typePrefix = document ? `${sanitizePathSegment(document.folder)}_` : '';
+    const finalFilename = `${typePrefix}${projectName}_${userData.unit_no || 'unit'}_${timestamp}_${uniqueId}_${cleanFilename}`;
+
+    const folderPath = document ? [...getClaimFolderPath(userData), document.folder] : getClaimFolderPath(userData);
+
+    console.log(`Uploading to ${documentStore.label}:`, finalFilename);
+    console.log('MIME type:', mimeType);
+    console.log('File size:', fileSize, 'bytes');
+
+    let savedFile;
+    try {
+        savedFile = await documentStore.saveFile(folderPath, finalFilename, tempPath, mimeType);
+    } finally {
+        try {
+            await fs.unlink(tempPath);
+            console.log('Temp file cleaned up:', tempPath);
+        } catch (cleanupError) {
+            console.error('Failed to cleanup temp file:', tempPath, cleanupError);
+        }
+    }
+
+    console.log('✅ File successfully transferred:', folderPath.join(' > '), '>', finalFilename);
+
+    // driveId/driveLink keep their names so older claims read the same; for other stores they hold the object ID and link
+    return {
+        cleanName: cleanFilename,
+        finalName: finalFilename,
+        driveId: savedFile.id,
+        driveLink: savedFile.link,
+        storageBackend: documentStore.name,
+        fileSize: fileSize,
+        mimeType: mimeType
+    };
+}
+
+// Save a draft whose documents are stored as a claim and notify the admin channel.
+// Every upload provider finishes here: store the files, save the claim, notify.
+async function completeDraftSubmission(userData, uploadedFiles, submissionId) {
+    // Every provider is held to the draft's required document types; an incomplete submission leaves the draft open
+    const missing = getMissingUploadedDocuments(userData, uploadedFiles);
+    if (missing.length > 0) {
+        userData.missingDocuments = missing.map(document => document.label);
+        submissions.set(userData.draftId, userData);
+
+        const error = new Error(`Missing required documents: ${userData.missingDocuments.join(', ')}`);
+        error.missingDocuments = userData.missingDocuments;
+        throw error;
+    }
+    delete userData.missingDocuments;
+
+    if (!userData.claim_number) {
+        userData.claim_number = await reserveClaimNumber();
+    }
+    userData.uploadedFiles = uploadedFiles;
+    userData.jotformSubmissionId = submissionId; // Holds portal and Discord submission IDs too ("portal_…", "discord_…")
+
+    // NOW save to backup (only after successful file upload)
+    const submissionData = await queueClaimsUpdate(async () => {
+        const backupData = await loadBackupForUpdate();
+        const record = createClaimRecord(userData, userData.userId, uploadedFiles, backupData);
+        backupData.push(record);
+        await saveBackup(backupData);
+        return record;
+    });
+    await recordAudit({ id: userData.userId, username: userData.username }, 'claim_submitted', submissionData.claim_number, null, summarizeClaimForAudit(submissionData));
+
+    // Send notification to channel with file info
+    await sendSubmissionNotification(submissionData, submissionId);
+
+    // The draft is now a claim: drop it (and its token) from the drafts, keeping only what status checks need
+    userData.status = 'completed';
+    completedDrafts.set(userData.draftId, {
+        draftId: userData.draftId,
+        userId: userData.userId,
+        sessionToken: userData.sessionToken,
+        status: 'completed',
+        claim_number: submissionData.claim_number,
+        uploadedFiles: uploadedFiles,
+        completedAt: Date.now()
+    });
+    discardDraft(userData.draftId);
+
+    return submissionData;
+}
+
 // Transfer files from Jotform to Google Drive
 async function transferJotformFilesToGoogleDrive(submissionId, userData) {
     try {
+        // Callers guard against processing the same submission twice (see processedSubmissions / processingSubmissions)
         console.log('Starting file transfer for submission:', submissionId);
 
-        // Check if this submission ID has already been processed
-        if (processedSubmissions.has(submissionId)) {
-            console.log('Submission already processed, skipping transfer for:', submissionId);
-            return userData.uploadedFiles || [];
-        }
-
-        // Additional check: if user already has uploaded files, skip this
+        // If user already has uploaded files, skip this
         if (userData.uploadedFiles && userData.uploadedFiles.length > 0) {
             console.log('User already has uploaded files, skipping transfer for:', submissionId);
             processedSubmissions.add(submissionId); // Mark as processed
             return userData.uploadedFiles;
         }
 
-        // Mark as being processed to prevent concurrent processing
-        if (processingSubmissions.has(submissionId)) {
-            console.log('Submission currently being processed, waiting for:', submissionId);
-            return [];
-        }
-        processingSubmissions.add(submissionId);
-
         // Get submission details from Jotform API
         const submissionResponse = await fetch(`${JOTFORM_BASE_URL}/submission/${submissionId}`, {
             headers: {
@@ -4537,6 +8443,8 @@ async function transferJotformFilesToGoogleDrive(submissionId, userData) {
             // Check if this answer contains file uploads
             if (answer.type === 'control_fileupload' && answer.answer) {
                 const files = Array.isArray(answer.answer) ? answer.answer : [answer.answer];
+                const document = classifyJotformQuestion(questionId, answer);
+                console.log(`Jotform question ${questionId} (${answer.text || answer.name || 'untitled'}) holds:`, document.label);
 
                 for (const fileUrl of files) {
                     if (fileUrl && fileUrl.trim()) {
@@ -4612,13 +8520,8 @@ async function transferJotformFilesToGoogleDrive(submissionId, userData) {
 
                             console.log('Processing file:', cleanFilename, 'Original:', originalFilename);
 
-                            // Create a descriptive filename but preserve original extension
-                            const projectName = userData.project_name?.replace(/[^a-zA-Z0-9]/g, '_') || 'project';
-                            const timestamp = new Date().toISOString().split('T')[0];
-                            const uniqueId = Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-                            const finalFilename = `${projectName}_${userData.unit_no || 'unit'}_${timestamp}_${uniqueId}_${cleanFilename}`;
-
                             // Save temporarily with unique path to avoid conflicts
+                            const uniqueId = Date.now() + '_' + Math.random().toString(36).substr(2, 9);
                             const tempPath = path.join('uploads', `temp_${uniqueId}_${cleanFilename}`);
 
                             // Ensure uploads directory exists
@@ -4667,42 +8570,18 @@ async function transferJotformFilesToGoogleDrive(submissionId, userData) {
                             }
 
                             // Upload to Google Drive with organized folder structure
-                            console.log('Uploading to Google Drive:', finalFilename);
-                            console.log('MIME type:', mimeType);
-                            console.log('File size:', stats.size, 'bytes');
-
-                            const enhancedUserData = {
-                                ...userData,
-                                username: userData.username || 'Unknown User'
-                            };
-
-                            const driveFile = await uploadToCompanyGoogleDrive(tempPath, finalFilename, mimeType, enhancedUserData);
+                            const storedFile = await storeClaimDocument(tempPath, cleanFilename, mimeType, stats.size, userData, document);
 
                             uploadedFiles.push({
                                 originalName: originalFilename, // Store actual original filename
-                                cleanName: cleanFilename,
-                                finalName: finalFilename,
-                                driveId: driveFile.id,
-                                driveLink: driveFile.webViewLink,
+                                ...storedFile,
+                                documentKey: document.key,
+                                documentType: document.label,
                                 jotformUrl: fileUrl,
-                                questionId: questionId,
-                                fileSize: stats.size,
-                                mimeType: mimeType
+                                questionId: questionId
                             });
 
-                            // Clean up temp file after successful upload
-                            try {
-                                await fs.unlink(tempPath);
-                                console.log('Temp file cleaned up:', tempPath);
-                            } catch (cleanupError) {
-                                console.error('Failed to cleanup temp file:', tempPath, cleanupError);
-                                // Continue anyway since upload was successful
-                            }
-
-                            console.log('✅ File successfully transferred:', finalFilename);
                             console.log('✅ Original filename:', originalFilename);
-                            console.log('✅ File size:', stats.size, 'bytes');
-                            console.log('✅ Google Drive ID:', driveFile.id);
 
                         } catch (fileError) {
                             console.error('Error processing individual file:', fileError);
@@ -4725,174 +8604,271 @@ async function transferJotformFilesToGoogleDrive(submissionId, userData) {
     } catch (error) {
         console.error('Error transferring files from Jotform to Google Drive:', error);
         return []; // Return empty array instead of throwing to prevent webhook failure
-    } finally {
-        // Always clean up processing state
-        processingSubmissions.delete(submissionId);
     }
 }
 
-// Send notification to channel when documents are submitted
-async function sendSubmissionNotification(userData, submissionId) {
-    try {
-        // Prevent duplicate notifications
-        const notificationKey = `${submissionId}_${userData.userId}`;
-        if (notificationsSent.has(notificationKey)) {
-            console.log('Notification already sent for:', notificationKey);
-            return;
-        }
-        notificationsSent.add(notificationKey);
+// Build the admin notification embed for a claim, reflecting its current status
+function createSubmissionNotificationEmbed(userData, submissionId) {
+    const status = getClaimStatus(userData);
 
-        const channel = client.channels.cache.get(NOTIFICATION_CHANNEL_ID);
-        if (!channel) {
-            console.error('Notification channel not found:', NOTIFICATION_CHANNEL_ID);
-            return;
-        }
+    // Fast commission uses the project percentage snapshotted on the claim
+    const breakdown = calculateCommissionBreakdown(userData);
 
-        const totalCommission = userData.agents
-            ?.filter(agent => agent.name)
-            ?.reduce((sum, agent) => sum + parseFloat(agent.commission || 0), 0) || 0;
+    const embed = new EmbedBuilder()
+        .setTitle('📋 New Commission Submission Completed')
+        .setColor(CLAIM_STATUSES[status].color)
+        .addFields(
+            { name: '🔖 Claim No.', value: userData.claim_number || 'N/A', inline: true },
+            { name: '📌 Status', value: formatClaimStatus(status), inline: true },
+            { name: '🏢 Project', value: `${userData.project_name} - ${userData.unit_no}`, inline: true },
+            { name: '👤 Customer', value: userData.customer_name, inline: true },
+            { name: '💰 Total Commission', value: `RM${formatSen(breakdown.total_commission_sen)}`, inline: true },
+            { name: '💵 Net Commission', value: `RM${formatSen(breakdown.total_net_sen)}`, inline: true },
+            { name: '⚡ Fast Commission', value: `RM${formatSen(breakdown.total_fast_commission_sen)} (${breakdown.fast_commission_percentage}% of ${breakdown.fast_commission_basis})`, inline: true },
+            { name: '📝 Submission ID', value: submissionId || 'N/A', inline: true },
+            { name: '📅 Submitted', value: userData.submitted_at ? formatGMT8DateString(new Date(userData.submitted_at)) : new Date().toLocaleString(), inline: true }
+        )
+        .setTimestamp();
 
-        // Calculate fast commission based on project-specific percentage
-        const fastCommissionPercentage = getFastCommissionPercentage(userData.project_name);
-        const fastCommissionAmount = (totalCommission * fastCommissionPercentage) / 100;
+    const rateWarning = getCommissionRateWarning(userData);
+    if (rateWarning) {
+        embed.addFields({ name: '⚠️ Non-default Commission Rate', value: rateWarning, inline: false });
+    }
 
-        const embed = new EmbedBuilder()
-            .setTitle('📋 New Commission Submission Completed')
-            .setColor(0x28A745)
-            .addFields(
-                { name: '🏢 Project', value: `${userData.project_name} - ${userData.unit_no}`, inline: true },
-                { name: '👤 Customer', value: userData.customer_name, inline: true },
-                { name: '💰 Total Commission', value: `RM${totalCommission.toFixed(2)}`, inline: true },
-                { name: '⚡ Fast Commission', value: `RM${fastCommissionAmount.toFixed(2)} (${fastCommissionPercentage}%)`, inline: true },
-                { name: '📝 Submission ID', value: submissionId, inline: true },
-                { name: '📅 Submitted', value: new Date().toLocaleString(), inline: true }
-            )
-            .setTimestamp();
+    if (userData.possible_duplicate_of && userData.possible_duplicate_of.length > 0) {
+        embed.addFields({
+            name: '⚠️ Possible Duplicate',
+            value: `This unit was already claimed under: ${userData.possible_duplicate_of.join(', ')}`,
+            inline: false
+        });
+    }
 
-        if (userData.agents && userData.agents.length > 0) {
-            const agentDetails = userData.agents
-                .filter(agent => agent.name)
-                .map(agent => `**${agent.name}**: RM${agent.commission}`)
-                .join('\n');
-            embed.addFields({ name: '👥 Agent Commissions', value: agentDetails, inline: false });
-        }
+    if (breakdown.agents.length > 0) {
+        const agentDetails = breakdown.agents
+            .map(agent => `**${agent.name}**: RM${formatSen(agent.commission_sen)} (fast RM${formatSen(agent.fast_commission_sen)})`)
+            .join('\n');
+        embed.addFields({ name: '👥 Agent Commissions', value: agentDetails, inline: false });
+    }
 
-        // Add Google Drive file information
-        if (userData.uploadedFiles && userData.uploadedFiles.length > 0) {
-            const fileList = userData.uploadedFiles
-                .map(file => `📁 [${file.originalName}](${file.driveLink})`)
-                .join('\n');
+    // Add Google Drive file information
+    if (userData.uploadedFiles && userData.uploadedFiles.length > 0) {
+        embed.addFields({
+            name: `📂 Documents Uploaded to Google Drive (${userData.uploadedFiles.length})`,
+            value: formatFilesByDocumentType(userData.uploadedFiles, file => `📁 [${file.originalName}](${file.driveLink})`),
+            inline: false
+        });
+    } else {
+        embed.addFields({
+            name: '📂 Documents',
+            value: '⚠️ No files were transferred to Google Drive',
+            inline: false
+        });
+    }
 
-            embed.addFields({
-                name: `📂 Documents Uploaded to Google Drive (${userData.uploadedFiles.length})`,
-                value: fileList.length > 1024 ? fileList.substring(0, 1020) + '...' : fileList,
-                inline: false
-            });
-        } else {
-            embed.addFields({
-                name: '📂 Documents',
-                value: '⚠️ No files were transferred to Google Drive',
-                inline: false
+    embed.addFields({ name: '🧾 Payout Stages', value: formatClaimStages(userData), inline: false });
+
+    // Show the latest status change once the claim has moved past submitted
+    const lastChange = userData.status_history?.[userData.status_history.length - 1];
+    if (lastChange && lastChange.status !== 'submitted') {
+        embed.addFields({
+            name: '🕒 Last Status Change',
+            value: `${formatClaimStatus(lastChange.status)} by <@${lastChange.changed_by}> on ${formatGMT8DateString(new Date(lastChange.changed_at))}${lastChange.note ? `\n**Note:** ${lastChange.note}` : ''}`,
+            inline: false
+        });
+    }
+
+    return embed;
+}
+
+// Build the admin buttons that move a claim to its allowed next statuses
+function createClaimStatusButtons(claim) {
+    const status = getClaimStatus(claim);
+    const buttons = CLAIM_STATUSES[status].next.map(nextStatus => {
+        const statusInfo = CLAIM_STATUSES[nextStatus];
+        const isReopen = status === 'rejected' && nextStatus === 'under_review';
+
+        return new ButtonBuilder()
+            .setCustomId(`claim_status_${claim.claim_number}_${nextStatus}`)
+            .setLabel(isReopen ? '🔄 Reopen for Review' : `${statusInfo.emoji} ${statusInfo.label}`)
+            .setStyle(nextStatus === 'rejected' ? ButtonStyle.Danger : ButtonStyle.Primary);
+    });
+
+    // The balance only becomes payable once the developer has paid the agency
+    const balanceStage = getClaimStages(claim).find(stage => stage.key === 'balance');
+    if (['approved', 'fast_commission_paid'].includes(status) && balanceStage && balanceStage.status === 'pending') {
+        buttons.push(new ButtonBuilder()
+            .setCustomId(`claim_stage_${claim.claim_number}_balance_due`)
+            .setLabel('🏗️ Developer Paid (Balance Due)')
+            .setStyle(ButtonStyle.Secondary));
+    }
+
+    return buttons.length > 0 ? [new ActionRowBuilder().addComponents(buttons)] : [];
+}
+
+// Create modal asking for the reason a claim is rejected
+function createRejectClaimModal(claimNumber) {
+    const modal = new ModalBuilder()
+        .setCustomId(`claim_reject_${claimNumber}`)
+        .setTitle(`Reject Claim ${claimNumber}`);
+
+    const reasonComponent = new TextInputBuilder()
+        .setCustomId('reject_reason')
+        .setLabel('Reason for rejection (sent to the agent)')
+        .setStyle(TextInputStyle.Paragraph)
+        .setRequired(true)
+        .setMaxLength(500);
+
+    modal.addComponents(new ActionRowBuilder().addComponents(reasonComponent));
+
+    return modal;
+}
+
+// Apply a status change from an admin button/modal: edit the notification embed and DM the agent
+async function handleClaimStatusChange(interaction, claimNumber, nextStatus, note = '') {
+    // Saving the claim and its audit entry can outlast Discord's 3 second reply window on GitHub storage
+    await interaction.deferUpdate();
+
+    try {
+        const result = await transitionClaimStatus(claimNumber, nextStatus, interaction.user, note);
+        if (!result) {
+            await interaction.followUp({
+                content: `❌ Claim ${claimNumber} not found. It may have been deleted.`,
+                ephemeral: true
             });
+            return;
         }
 
-        await channel.send({
-            content: '🎉 **New Commission Submission!**',
-            embeds: [embed]
+        const { claim } = result;
+        await interaction.editReply({
+            embeds: [createSubmissionNotificationEmbed(claim, claim.jotformSubmissionId)],
+            components: createClaimStatusButtons(claim)
         });
 
-        console.log('Notification sent to channel for submission:', submissionId);
+        await notifyAgentOfStatusChange(claim, note);
+        console.log(`✅ Claim ${claimNumber} moved from ${result.previousStatus} to ${nextStatus} by ${interaction.user.username}`);
     } catch (error) {
-        console.error('Error sending notification:', error);
+        console.error(`Error changing claim ${claimNumber} to ${nextStatus}:`, error);
+        await interaction.followUp({
+            content: `❌ ${error.message}`,
+            ephemeral: true
+        }).catch(followUpError => console.error('Could not report the claim status error:', followUpError.message));
     }
 }
 
-// Update checklist display
-async function updateChecklistDisplay(message, data, userId) {
-    const checklist = data.documentChecklist;
-
-    // Create updated embed
-    const embed = new EmbedBuilder()
-        .setTitle('📋 Document Upload Checklist')
-        .setColor(0xFF9900)
-        .setDescription('Please upload all required documents:')
-        .addFields(
-            {
-                name: '📝 Booking Form',
-                value: checklist.booking_form?.uploaded ? `✅ Uploaded (${checklist.booking_form.files.length} file(s))` : '❌ Not uploaded',
-                inline: true
-            },
-            {
-                name: '📄 SPA',
-                value: checklist.spa?.uploaded ? `✅ Uploaded (${checklist.spa.files.length} file(s))` : '❌ Not uploaded',
-                inline: true
-            },
-            {
-                name: '📑 LO',
-                value: checklist.la?.uploaded ? `✅ Uploaded (${checklist.la.files.length} file(s))` : '❌ Not uploaded',
-                inline: true
-            }
-        )
-        .setFooter({ text: 'Click the buttons below to upload each document type' });
+// DM the submitting agent when their claim changes status
+async function notifyAgentOfStatusChange(claim, note = '') {
+    try {
+        const agentUser = await client.users.fetch(claim.user_id);
+        const status = getClaimStatus(claim);
 
-    const docRow1 = new ActionRowBuilder()
-        .addComponents(
-            new ButtonBuilder()
-                .setCustomId('upload_booking_form')
-                .setLabel('📝 Upload Booking Form')
-                .setStyle(checklist.booking_form?.uploaded ? ButtonStyle.Secondary : ButtonStyle.Primary),
-            new ButtonBuilder()
-                .setCustomId('upload_spa')
-                .setLabel('📄 Upload SPA')
-                .setStyle(checklist.spa?.uploaded ? ButtonStyle.Secondary : ButtonStyle.Primary),
-            new ButtonBuilder()
-                .setCustomId('upload_la')
-                .setLabel('📑 Upload LO')
-                .setStyle(checklist.la?.uploaded ? ButtonStyle.Secondary : ButtonStyle.Primary)
-        );
+        const embed = new EmbedBuilder()
+            .setTitle('📋 Commission Claim Update')
+            .setColor(CLAIM_STATUSES[status].color)
+            .setDescription(`Your claim **${claim.claim_number}** is now **${formatClaimStatus(status)}**.`)
+            .addFields(
+                { name: '🏢 Project', value: `${claim.project_name} - ${claim.unit_no}`, inline: true },
+                { name: '👤 Customer', value: claim.customer_name || 'N/A', inline: true }
+            )
+            .setTimestamp();
 
-    // Check if all documents are uploaded
-    const allUploaded = checklist.booking_form?.uploaded && checklist.spa?.uploaded && checklist.la?.uploaded;
+        if (note) {
+            embed.addFields({ name: '📝 Note from Admin', value: note, inline: false });
+        }
 
-    const docRow2 = new ActionRowBuilder()
-        .addComponents(
-            new ButtonBuilder()
-                .setCustomId('complete_submission')
-                .setLabel('✅ Complete Submission')
-                .setStyle(ButtonStyle.Success)
-                .setDisabled(!allUploaded),
-            new ButtonBuilder()
-                .setCustomId('cancel_submission')
-                .setLabel('❌ Cancel')
-                .setStyle(ButtonStyle.Danger)
-        );
+        await agentUser.send({ embeds: [embed] });
+    } catch (error) {
+        // Agents with DMs closed simply miss the message; the status is still visible in /check-my-upload
+        console.error(`Could not DM agent ${claim.user_id} about claim ${claim.claim_number}:`, error.message);
+    }
+}
 
+// Send notification to channel when documents are submitted
+async function sendSubmissionNotification(userData, submissionId) {
     try {
-        // Find the original checklist message and update it
-        const messages = await message.channel.messages.fetch({ limit: 20 });
+        // Prevent duplicate notifications
+        const notificationKey = `${submissionId}_${userData.userId}`;
+        if (notificationsSent.has(notificationKey)) {
+            console.log('Notification already sent for:', notificationKey);
+            return;
+        }
+        notificationsSent.add(notificationKey);
 
-        const checklistMessage = messages.find(msg =>
-            msg.author.id === message.client.user.id &&
-            msg.embeds.length > 0 &&
-            msg.embeds[0].title === '📋 Document Upload Checklist'
-        );
+        const channel = client.channels.cache.get(NOTIFICATION_CHANNEL_ID);
+        if (!channel) {
+            console.error('Notification channel not found:', NOTIFICATION_CHANNEL_ID);
+            return;
+        }
 
-        if (checklistMessage) {
-            await checklistMessage.edit({
-                content: '✅ **Submission Confirmed!**\n\n📋 **Your commission data has been saved.**\n\n**Next Step:** Upload all required documents using the checklist below:',
-                embeds: [embed],
-                components: [docRow1, docRow2]
+        const notificationMessage = await channel.send({
+            content: '🎉 **New Commission Submission!**',
+            embeds: [createSubmissionNotificationEmbed(userData, submissionId)],
+            components: createClaimStatusButtons(userData)
+        });
+
+        // Remember where the notification lives so status changes can edit it later
+        if (userData.claim_number) {
+            await updateClaim(userData.claim_number, claim => {
+                claim.notification = {
+                    channel_id: notificationMessage.channelId,
+                    message_id: notificationMessage.id
+                };
             });
         }
+
+        console.log('Notification sent to channel for submission:', submissionId);
     } catch (error) {
-        console.error('Error updating checklist display:', error);
+        console.error('Error sending notification:', error);
     }
+}
+
+// Reply to an agent's attachment message with the refreshed document checklist
+async function updateChecklistDisplay(message, data) {
+    const { embeds, components } = createDocumentChecklistMessage(data);
+    const allUploaded = getMissingDocuments(data).length === 0;
 
     await message.reply({
         content: `✅ **Document uploaded successfully!**\n\n${allUploaded ? '🎉 **All documents uploaded!** You can now complete your submission.' : '📋 **Please upload remaining documents to complete your submission.**'}`,
-        ephemeral: true
+        embeds,
+        components
+    });
+}
+
+// Flush drafts before a deploy/restart stops the process
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+        console.log(`${signal} received, saving drafts before shutdown...`);
+        clearTimeout(draftSaveTimer);
+        await saveDrafts();
+        process.exit(0);
     });
 }
 
-// Login to Discord
-client.login(process.env.DISCORD_TOKEN);
+// Login to Discord when started directly; the tests require this file without connecting.
+// The storage backend is picked first so a misconfigured one stops the bot before it goes online
+if (require.main === module) {
+    storage = createStorage();
+    client.login(process.env.DISCORD_TOKEN);
+}
+
+// Helpers covered by the offline tests in test/
+module.exports = {
+    createLocalStorage,
+    createStorage,
+    toSen,
+    formatSen,
+    normalizeDecimalInput,
+    applyPercentageSen,
+    allocateSen,
+    calculateCommissionBreakdown,
+    consultantDirectory,
+    getLeaderChain,
+    calculateOverrideCommissions,
+    createClaimStages,
+    createPayoutBatch,
+    applyPayoutBatch,
+    buildAgentStatement,
+    submissions,
+    signUploadLink,
+    createUploadPortalLink,
+    resolveUploadPortalDraft
+};
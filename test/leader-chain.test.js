@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    consultantDirectory,
+    getLeaderChain,
+    calculateOverrideCommissions,
+    calculateCommissionBreakdown
+} = require('../index.js');
+
+// Override rules come from settings.json: level 1 pays 5% (8% for senior leaders), level 2 pays senior leaders 3%
+function setDirectory(consultants) {
+    consultantDirectory.clear();
+    for (const consultant of consultants) {
+        consultantDirectory.set(consultant.code, { active: true, tier: null, team_leader_code: null, ...consultant });
+    }
+}
+
+const codes = chain => chain.map(consultant => consultant.code);
+
+test.afterEach(() => consultantDirectory.clear());
+
+test('getLeaderChain walks up team leaders from the given code', () => {
+    setDirectory([
+        { code: 'A1', name: 'Alice', team_leader_code: 'L1' },
+        { code: 'L1', name: 'Lee', team_leader_code: 'S1' },
+        { code: 'S1', name: 'Sam' }
+    ]);
+
+    assert.deepEqual(codes(getLeaderChain('a1')), ['A1', 'L1', 'S1']);
+    assert.deepEqual(codes(getLeaderChain('L1')), ['L1', 'S1']);
+    assert.deepEqual(codes(getLeaderChain('A1', 2)), ['A1', 'L1']);
+    assert.deepEqual(getLeaderChain('NOPE'), []);
+});
+
+test('getLeaderChain stops at reporting loops and missing leaders', t => {
+    // Keep the loop warning out of the test runner's output
+    t.mock.method(console, 'log', () => {});
+    setDirectory([
+        { code: 'A1', name: 'Alice', team_leader_code: 'L1' },
+        { code: 'L1', name: 'Lee', team_leader_code: 'A1' },
+        { code: 'B1', name: 'Bob', team_leader_code: 'GONE' }
+    ]);
+
+    assert.deepEqual(codes(getLeaderChain('A1')), ['A1', 'L1']);
+    assert.deepEqual(codes(getLeaderChain('B1')), ['B1']);
+});
+
+test('calculateOverrideCommissions pays each leader by level and tier', () => {
+    setDirectory([
+        { code: 'A1', name: 'Alice', team_leader_code: 'L1' },
+        { code: 'L1', name: 'Lee', team_leader_code: 'S1' },
+        { code: 'S1', name: 'Sam', tier: 'senior_leader' }
+    ]);
+
+    const overrides = calculateOverrideCommissions([{ code: 'A1', name: 'Alice', commission_sen: 100001 }]);
+    assert.deepEqual(overrides.map(override => [override.leader_code, override.level, override.percentage, override.amount_sen]), [
+        ['L1', 1, 5, 5000],
+        ['S1', 2, 3, 3000]
+    ]);
+});
+
+test('calculateOverrideCommissions skips inactive leaders but keeps paying the chain above them', () => {
+    setDirectory([
+        { code: 'A1', name: 'Alice', team_leader_code: 'L1' },
+        { code: 'L1', name: 'Lee', team_leader_code: 'S1', tier: 'senior_leader', active: false },
+        { code: 'S1', name: 'Sam', tier: 'senior_leader' }
+    ]);
+
+    const overrides = calculateOverrideCommissions([{ code: 'A1', name: 'Alice', commission_sen: 10000 }]);
+    assert.deepEqual(overrides.map(override => [override.leader_code, override.level, override.amount_sen]), [['S1', 2, 300]]);
+});
+
+test('calculateOverrideCommissions uses the tier rule for a senior leader directly above', () => {
+    setDirectory([
+        { code: 'A1', name: 'Alice', team_leader_code: 'S1' },
+        { code: 'S1', name: 'Sam', tier: 'senior_leader' }
+    ]);
+
+    const overrides = calculateOverrideCommissions([{ code: 'A1', name: 'Alice', commission_sen: 10000 }]);
+    assert.deepEqual(overrides.map(override => [override.leader_code, override.percentage, override.amount_sen]), [['S1', 8, 800]]);
+});
+
+test('commission breakdown includes overrides from the current hierarchy for drafts only', () => {
+    setDirectory([
+        { code: 'A1', name: 'Alice', team_leader_code: 'L1' },
+        { code: 'L1', name: 'Lee' }
+    ]);
+    const draft = {
+        nett_price: '100000',
+        commission_rate: '2',
+        agents: [{ name: 'Alice', code: 'A1', percentage: '100' }]
+    };
+
+    const breakdown = calculateCommissionBreakdown(draft, 0);
+    assert.equal(breakdown.total_override_sen, 10000);
+    assert.equal(breakdown.overrides[0].from_agent_code, 'A1');
+
+    const submitted = calculateCommissionBreakdown({ ...draft, override_commissions: [] }, 0);
+    assert.deepEqual(submitted.overrides, []);
+    assert.equal(submitted.total_override_sen, 0);
+});
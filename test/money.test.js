@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    toSen,
+    formatSen,
+    normalizeDecimalInput,
+    applyPercentageSen,
+    allocateSen,
+    calculateCommissionBreakdown
+} = require('../index.js');
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+test('toSen parses ringgit amounts without floating point error', () => {
+    assert.equal(toSen('1,234.56'), 123456);
+    assert.equal(toSen('0.1') + toSen('0.2'), toSen('0.3'));
+    assert.equal(toSen('1.005'), 101); // half up on the dropped digit
+    assert.equal(toSen(''), 0);
+    assert.equal(toSen('abc'), 0);
+});
+
+test('typed amounts and rates accept RM, percent signs, thousands commas and spaces', () => {
+    assert.equal(toSen('RM500,000'), 50000000);
+    assert.equal(toSen('rm 500,000.50'), 50000050);
+    assert.equal(toSen(' 1 234.5 '), 123450);
+    assert.equal(applyPercentageSen(toSen('RM500,000'), '3%'), applyPercentageSen(50000000, 3));
+    assert.equal(applyPercentageSen(10000, ' 2.5 % '), 250);
+
+    assert.equal(normalizeDecimalInput('RM 500,000'), '500,000');
+    assert.equal(normalizeDecimalInput('3%'), '3');
+    assert.equal(normalizeDecimalInput('.5'), '.5');
+    assert.equal(normalizeDecimalInput(1234.5), '1234.5');
+});
+
+test('normalizeDecimalInput rejects values that are not numbers', () => {
+    for (const value of ['', '   ', 'abc', 'three', '3%%', '1.2.3', 'RM', '%', '5k', 'USD 100', null, undefined]) {
+        assert.equal(normalizeDecimalInput(value), null, `expected ${JSON.stringify(value)} to be rejected`);
+    }
+});
+
+test('commission breakdown uses typed rates and prices the way agents enter them', () => {
+    const breakdown = calculateCommissionBreakdown({
+        nett_price: 'RM500,000',
+        commission_rate: '3%',
+        agents: [{ name: 'Alice', code: 'A1', percentage: '100%' }]
+    }, 0);
+
+    assert.equal(breakdown.nett_price_sen, 50000000);
+    assert.equal(breakdown.total_commission_sen, 1500000);
+    assert.equal(breakdown.agents[0].commission_sen, 1500000);
+});
+
+test('formatSen formats integer sen with thousands separators', () => {
+    assert.equal(formatSen(123456789), '1,234,567.89');
+    assert.equal(formatSen(5), '0.05');
+    assert.equal(formatSen(-5), '-0.05');
+});
+
+test('applyPercentageSen rounds half up', () => {
+    assert.equal(applyPercentageSen(1001, 50), 501);
+    assert.equal(applyPercentageSen(1000, '33.3333'), 333);
+    assert.equal(applyPercentageSen(3000000, 3), 90000);
+});
+
+test('allocateSen always adds up to the total and gives leftovers to the largest remainders', () => {
+    assert.deepEqual(allocateSen(100, ['1', '1', '1']), [34, 33, 33]);
+    assert.deepEqual(allocateSen(100, ['33.3333', '33.3333', '33.3334']), [33, 33, 34]);
+    assert.deepEqual(allocateSen(100, [0, 0]), [0, 0]);
+    assert.deepEqual(allocateSen(7, [1n, 0n, 2n]), [2, 0, 5]);
+
+    for (const total of [1, 99, 10001, 123457]) {
+        assert.equal(sum(allocateSen(total, ['12.5', '37.5', '20', '30'])), total);
+    }
+});
+
+test('commission breakdown splits the total exactly across consultants', () => {
+    const breakdown = calculateCommissionBreakdown({
+        nett_price: '100.01',
+        commission_rate: '1',
+        agents: [
+            { name: 'Alice', code: 'A1', percentage: '33.3333' },
+            { name: 'Bob', code: 'B1', percentage: '33.3333' },
+            { name: 'Cara', code: 'C1', percentage: '33.3334' }
+        ]
+    }, 50);
+
+    assert.equal(breakdown.nett_price_sen, 10001);
+    assert.equal(breakdown.total_commission_sen, 100);
+    assert.deepEqual(breakdown.agents.map(agent => agent.commission_sen), [33, 33, 34]);
+    assert.equal(breakdown.total_fast_commission_sen, 50);
+    assert.equal(sum(breakdown.agents.map(agent => agent.fast_commission_sen)), 50);
+    assert.equal(sum(breakdown.agents.map(agent => agent.balance_sen)), breakdown.total_balance_sen);
+    assert.equal(breakdown.total_net_sen - breakdown.total_fast_commission_sen, breakdown.total_balance_sen);
+});
+
+test('commission breakdown only pays the stated share when splits do not reach the required total', () => {
+    const breakdown = calculateCommissionBreakdown({
+        nett_price: '1000000',
+        commission_rate: '3',
+        agents: [
+            { name: 'Alice', code: 'A1', percentage: '50' },
+            { name: 'Bob', code: 'B1', percentage: '30' }
+        ]
+    }, 0);
+
+    assert.equal(breakdown.total_commission_sen, 2400000);
+    assert.deepEqual(breakdown.agents.map(agent => agent.commission_sen), [1500000, 900000]);
+});
+
+test('commission breakdown shares claim deductions and applies withholding per consultant', () => {
+    const breakdown = calculateCommissionBreakdown({
+        nett_price: '500000',
+        commission_rate: '2',
+        agents: [
+            { name: 'Alice', code: 'A1', percentage: '60' },
+            { name: 'Bob', code: 'B1', percentage: '40' }
+        ],
+        deductions: {
+            referral_fee_sen: 100001,
+            withholding_percentage: 10,
+            agent_deductions: [{ code: 'B1', amount_sen: 5000 }]
+        }
+    }, 50);
+
+    const [alice, bob] = breakdown.agents;
+    assert.deepEqual([alice.commission_sen, bob.commission_sen], [600000, 400000]);
+    assert.equal(alice.deduction_sen + bob.deduction_sen, 100001 + 5000);
+    assert.equal(alice.deduction_sen, 60001);
+    assert.equal(bob.deduction_sen, 45000);
+    assert.equal(alice.withholding_sen, applyPercentageSen(600000 - 60001, 10));
+    assert.equal(alice.net_commission_sen, 600000 - 60001 - alice.withholding_sen);
+    assert.equal(breakdown.total_fast_commission_sen, 500000);
+});
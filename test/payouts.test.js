@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    consultantDirectory,
+    calculateCommissionBreakdown,
+    createClaimStages,
+    createPayoutBatch,
+    applyPayoutBatch
+} = require('../index.js');
+
+const admin = { id: '1', username: 'admin' };
+
+function createApprovedClaim(claimNumber, fastCommissionPercentage, agents) {
+    const data = { nett_price: '100000', commission_rate: '2', agents, override_commissions: [] };
+    return {
+        claim_number: claimNumber,
+        project_name: 'Sky Residence',
+        unit_no: 'A-1',
+        claim_status: 'approved',
+        ...data,
+        stages: createClaimStages(calculateCommissionBreakdown(data, fastCommissionPercentage), 'approved')
+    };
+}
+
+test.beforeEach(() => {
+    consultantDirectory.clear();
+    for (const code of ['A1', 'B1']) {
+        consultantDirectory.set(code, { code, name: code, active: true, bank_name: 'Bank', bank_account_no: '1234567890' });
+    }
+});
+
+test.afterEach(() => consultantDirectory.clear());
+
+test('lines with nothing to pay are settled instead of paid', () => {
+    const claim = createApprovedClaim('CC-2026-000001', 50, [{ name: 'Alice', code: 'A1', percentage: '100' }]);
+    claim.stages[0].lines[0].due_sen = 0;
+
+    const batch = createPayoutBatch([claim], admin);
+    assert.deepEqual(batch.lines, []);
+    assert.equal(batch.total_sen, 0);
+    assert.deepEqual(batch.settled.map(item => [item.claim_number, item.stage, item.agent_code]), [['CC-2026-000001', 'fast', 'A1']]);
+});
+
+test('a 0% fast commission stage still completes when its batch is confirmed', () => {
+    const claim = createApprovedClaim('CC-2026-000002', 0, [
+        { name: 'Alice', code: 'A1', percentage: '60' },
+        { name: 'Bob', code: 'B1', percentage: '40' }
+    ]);
+    const backupData = [claim];
+
+    const batch = createPayoutBatch(backupData, admin);
+    assert.equal(batch.settled.length, 2);
+
+    const changed = applyPayoutBatch(batch, backupData, admin, '2026-01-31T00:00:00.000Z');
+    assert.deepEqual(changed, [claim]);
+    assert.equal(claim.stages[0].status, 'paid');
+    assert.equal(claim.claim_status, 'fast_commission_paid');
+});
+
+test('a negative line does not stop the rest of its stage from completing', () => {
+    const claim = createApprovedClaim('CC-2026-000003', 50, [
+        { name: 'Alice', code: 'A1', percentage: '60' },
+        { name: 'Bob', code: 'B1', percentage: '40' }
+    ]);
+    claim.stages[0].lines[1].due_sen = -500;
+    const backupData = [claim];
+
+    const batch = createPayoutBatch(backupData, admin);
+    assert.deepEqual(batch.lines.map(line => [line.agent_code, line.amount_sen]), [['A1', claim.stages[0].lines[0].due_sen]]);
+    assert.deepEqual(batch.settled.map(item => item.agent_code), ['B1']);
+
+    applyPayoutBatch(batch, backupData, admin, '2026-01-31T00:00:00.000Z');
+    assert.ok(claim.stages[0].lines.every(line => line.paid));
+    assert.equal(claim.claim_status, 'fast_commission_paid');
+});
+
+test('a batch that no longer matches the claims changes nothing', () => {
+    const claim = createApprovedClaim('CC-2026-000004', 50, [{ name: 'Alice', code: 'A1', percentage: '100' }]);
+    const batch = createPayoutBatch([claim], admin);
+
+    const reloaded = JSON.parse(JSON.stringify(claim));
+    reloaded.stages[0].lines[0].paid = true;
+    assert.throws(() => applyPayoutBatch(batch, [reloaded], admin, '2026-01-31T00:00:00.000Z'), /no unpaid fast line for A1/);
+    assert.equal(reloaded.claim_status, 'approved');
+});
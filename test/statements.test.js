@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    consultantDirectory,
+    calculateCommissionBreakdown,
+    createClaimStages,
+    createPayoutBatch,
+    applyPayoutBatch,
+    buildAgentStatement
+} = require('../index.js');
+
+const admin = { id: '1', username: 'admin' };
+
+test.beforeEach(() => {
+    consultantDirectory.clear();
+    consultantDirectory.set('A1', { code: 'A1', name: 'Alice', active: true, bank_name: 'Bank', bank_account_no: '1234567890' });
+});
+
+test.afterEach(() => consultantDirectory.clear());
+
+test('a line paid after the statement month is still outstanding in that month', () => {
+    const data = { nett_price: '100000', commission_rate: '2', agents: [{ name: 'Alice', code: 'A1', percentage: '100' }], override_commissions: [] };
+    const claim = {
+        claim_number: 'CC-2026-000001',
+        project_name: 'Sky Residence',
+        unit_no: 'A-1',
+        claim_status: 'approved',
+        submitted_at: '2026-01-10T02:00:00.000Z',
+        ...data,
+        stages: createClaimStages(calculateCommissionBreakdown(data, 50), 'approved')
+    };
+    const backupData = [claim];
+    applyPayoutBatch(createPayoutBatch(backupData, admin), backupData, admin, '2026-02-05T02:00:00.000Z');
+
+    const january = buildAgentStatement(backupData, 'A1', '2026-01');
+    assert.equal(january.total_fast_paid_sen, 0);
+    assert.equal(january.total_paid_this_month_sen, 0);
+    assert.equal(january.total_outstanding_sen, 200000);
+
+    const february = buildAgentStatement(backupData, 'A1', '2026-02');
+    assert.equal(february.total_fast_paid_sen, 100000);
+    assert.equal(february.total_paid_this_month_sen, 100000);
+    assert.equal(february.total_outstanding_sen, 100000);
+});
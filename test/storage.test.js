@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const settings = require('../settings.json');
+const { createLocalStorage, createStorage } = require('../index.js');
+
+async function withTempDirectory(run) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'comm-claim-storage-'));
+    try {
+        await run(directory);
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+}
+
+test('local storage reads back what it wrote', () => withTempDirectory(async directory => {
+    const storage = createLocalStorage(path.join(directory, 'backups'));
+    const claims = [{ claim_number: 'CC-2026-000001', nett_price: '500000.00', agents: [{ name: 'Alice' }] }];
+
+    await storage.write('submissions.json', claims, 'ignored commit message');
+    assert.deepEqual(await storage.read('submissions.json'), claims);
+
+    claims.push({ claim_number: 'CC-2026-000002' });
+    await storage.write('submissions.json', claims);
+    assert.deepEqual(await storage.read('submissions.json'), claims);
+    assert.deepEqual(await fs.readdir(path.join(directory, 'backups')), ['submissions.json']);
+}));
+
+test('local storage returns null for a missing file and throws on unreadable content', () => withTempDirectory(async directory => {
+    const storage = createLocalStorage(directory);
+
+    assert.equal(await storage.read('missing.json'), null);
+
+    await fs.writeFile(path.join(directory, 'broken.json'), '{ not json');
+    await assert.rejects(storage.read('broken.json'), SyntaxError);
+}));
+
+test('local storage applies concurrent writes in call order', () => withTempDirectory(async directory => {
+    const storage = createLocalStorage(directory);
+
+    await Promise.all([1, 2, 3, 4, 5].map(version => storage.write('counter.json', { version })));
+    assert.deepEqual(await storage.read('counter.json'), { version: 5 });
+}));
+
+test('a failed local write does not block later writes', () => withTempDirectory(async directory => {
+    const storage = createLocalStorage(directory);
+
+    const circular = {};
+    circular.self = circular;
+    await assert.rejects(storage.write('bad.json', circular), TypeError);
+
+    await storage.write('good.json', { ok: true });
+    assert.deepEqual(await storage.read('good.json'), { ok: true });
+}));
+
+test('createStorage picks the backend named in settings.json and rejects unknown ones', t => withTempDirectory(async directory => {
+    // Keep the backend log lines out of the test runner's output
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    const original = settings.storage;
+    try {
+        settings.storage = { backend: 'local', localPath: directory };
+        const local = createStorage();
+        assert.equal(local.name, 'local');
+        await local.write('submissions.json', []);
+        assert.deepEqual(await fs.readdir(directory), ['submissions.json']);
+
+        settings.storage = { backend: 'github' };
+        assert.equal(createStorage().name, 'github');
+
+        settings.storage = undefined;
+        assert.equal(createStorage().name, 'github');
+
+        settings.storage = { backend: 'dropbox' };
+        assert.throws(() => createStorage(), /Unknown storage backend "dropbox"/);
+    } finally {
+        settings.storage = original;
+    }
+}));
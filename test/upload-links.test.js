@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.UPLOAD_LINK_SECRET = 'test-upload-secret';
+process.env.PUBLIC_BASE_URL = 'https://claims.example.com/';
+
+const {
+    submissions,
+    signUploadLink,
+    createUploadPortalLink,
+    resolveUploadPortalDraft
+} = require('../index.js');
+
+function createDraft(overrides = {}) {
+    const draft = {
+        draftId: 'draft_1_test',
+        userId: '1',
+        sessionToken: 'session-token',
+        status: 'awaiting_form_completion',
+        ...overrides
+    };
+    draft.uploadPortal = createUploadPortalLink(draft);
+    submissions.set(draft.draftId, draft);
+    return draft;
+}
+
+function linkParams(draft) {
+    const url = new URL(draft.uploadPortal.formUrl);
+    return { url, expires: url.searchParams.get('expires'), sig: url.searchParams.get('sig') };
+}
+
+test.afterEach(() => submissions.clear());
+
+test('createUploadPortalLink signs the draft, session token and expiry', () => {
+    const draft = createDraft();
+    const { url, expires, sig } = linkParams(draft);
+
+    assert.equal(url.origin, 'https://claims.example.com');
+    assert.equal(url.pathname, '/upload/draft_1_test');
+    assert.equal(sig, signUploadLink(draft.draftId, draft.sessionToken, expires));
+    assert.match(sig, /^[0-9a-f]{64}$/);
+    assert.equal(new Date(Number(expires)).toISOString(), draft.uploadPortal.expiresAt);
+});
+
+test('resolveUploadPortalDraft accepts a valid link', () => {
+    const draft = createDraft();
+    const { expires, sig } = linkParams(draft);
+
+    assert.equal(resolveUploadPortalDraft(draft.draftId, expires, sig).data, draft);
+});
+
+test('resolveUploadPortalDraft rejects tampered, malformed and unknown links', () => {
+    const draft = createDraft();
+    const { expires, sig } = linkParams(draft);
+
+    assert.equal(resolveUploadPortalDraft(draft.draftId, String(Number(expires) + 1), sig).statusCode, 403);
+    assert.equal(resolveUploadPortalDraft(draft.draftId, expires, sig.replace(/^./, sig[0] === 'a' ? 'b' : 'a')).statusCode, 403);
+    assert.equal(resolveUploadPortalDraft(draft.draftId, expires, 'not-a-signature').statusCode, 403);
+    assert.equal(resolveUploadPortalDraft(draft.draftId, 'soon', sig).statusCode, 403);
+    assert.equal(resolveUploadPortalDraft('draft_2_other', expires, sig).statusCode, 403);
+});
+
+test('a new session token invalidates older links', () => {
+    const draft = createDraft();
+    const { expires, sig } = linkParams(draft);
+    draft.sessionToken = 'new-session-token';
+
+    assert.equal(resolveUploadPortalDraft(draft.draftId, expires, sig).statusCode, 403);
+});
+
+test('resolveUploadPortalDraft reports expired links and finished uploads', () => {
+    const draft = createDraft();
+    const expired = Date.now() - 1000;
+    assert.equal(resolveUploadPortalDraft(draft.draftId, String(expired), signUploadLink(draft.draftId, draft.sessionToken, expired)).statusCode, 410);
+
+    const { expires, sig } = linkParams(draft);
+    draft.status = 'completed';
+    assert.equal(resolveUploadPortalDraft(draft.draftId, expires, sig).statusCode, 409);
+
+    draft.status = 'draft';
+    assert.equal(resolveUploadPortalDraft(draft.draftId, expires, sig).statusCode, 403);
+});
+
+test('links cannot be signed or accepted without a configured secret', t => {
+    // Loading index.js again repeats its startup warnings; keep them out of the test runner's output
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    delete process.env.UPLOAD_LINK_SECRET;
+    delete process.env.SESSION_SECRET;
+    const indexPath = require.resolve('../index.js');
+    delete require.cache[indexPath];
+    const unsigned = require('../index.js');
+    delete require.cache[indexPath];
+
+    assert.throws(() => unsigned.signUploadLink('draft_1_test', 'session-token', Date.now() + 1000), /UPLOAD_LINK_SECRET/);
+
+    const draft = { draftId: 'draft_1_test', sessionToken: 'session-token', status: 'awaiting_form_completion', uploadPortal: {} };
+    unsigned.submissions.set(draft.draftId, draft);
+    const expires = Date.now() + 60000;
+    assert.equal(unsigned.resolveUploadPortalDraft(draft.draftId, String(expires), signUploadLink(draft.draftId, draft.sessionToken, expires)).statusCode, 403);
+});